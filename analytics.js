@@ -0,0 +1,152 @@
+/**
+ * Vancouver Rezoning Guide - Analytics
+ * Queues usage events and sends them in batches through a pluggable transport.
+ * Nothing is recorded until consent is given (see initializeAnalytics in js/tracking.js).
+ * No DOM access here, so batching and transports can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Transports
+// ========================================
+// A transport has send(payload) and returns whether the payload was handed off.
+// Payloads look like { schema, sessionId, reason, sentAt, events: [{ name, properties, time }] }
+const ANALYTICS_SCHEMA_VERSION = 1;
+
+const ANALYTICS_TRANSPORTS = ['none', 'console', 'beacon'];
+
+function createNoopTransport() {
+    return { send: () => true };
+}
+
+function createConsoleTransport(log = console.log) {
+    return {
+        send(payload) {
+            log('[analytics]', payload);
+            return true;
+        }
+    };
+}
+
+/**
+ * POSTs each batch as JSON to endpoint. sendBeacon survives the page closing, so it's
+ * tried first; fetch with keepalive is the fallback when it's missing or refuses the batch.
+ */
+function createBeaconTransport(endpoint, { sendBeacon = null, fetch = null } = {}) {
+    return {
+        send(payload) {
+            const body = JSON.stringify(payload);
+            
+            if (sendBeacon && sendBeacon(endpoint, body)) {
+                return true;
+            }
+            
+            if (fetch) {
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {});
+                return true;
+            }
+            
+            return false;
+        }
+    };
+}
+
+/**
+ * The transport for a configured type ('none', 'console' or 'beacon').
+ * A beacon without an endpoint, or an unknown type, records nothing.
+ */
+function createTransport(type, { endpoint = '', sendBeacon, fetch, log } = {}) {
+    if (type === 'console') return createConsoleTransport(log);
+    if (type === 'beacon' && endpoint) return createBeaconTransport(endpoint, { sendBeacon, fetch });
+    return createNoopTransport();
+}
+
+// ========================================
+// Event Queue
+// ========================================
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_MAX_STRING_LENGTH = 200;
+
+/**
+ * track() queues events while enabled; flush() sends them as one batch.
+ * A full batch is sent straight away; otherwise the caller decides when to flush
+ * (the page does it when it's hidden or closed).
+ */
+function createAnalytics({ transport, sessionId, batchSize = ANALYTICS_BATCH_SIZE, now = () => new Date() }) {
+    let queue = [];
+    let enabled = false;
+    
+    function flush(reason = 'manual') {
+        if (queue.length === 0) return false;
+        
+        const payload = {
+            schema: ANALYTICS_SCHEMA_VERSION,
+            sessionId,
+            reason,
+            sentAt: now().toISOString(),
+            events: queue
+        };
+        queue = [];
+        
+        return transport.send(payload);
+    }
+    
+    return {
+        // Turning analytics off also drops anything not sent yet
+        setEnabled(value) {
+            enabled = Boolean(value);
+            if (!enabled) queue = [];
+        },
+        
+        isEnabled: () => enabled,
+        
+        pendingCount: () => queue.length,
+        
+        track(name, properties = {}) {
+            if (!enabled) return;
+            
+            queue.push({ name, properties: cleanEventProperties(properties), time: now().toISOString() });
+            if (queue.length >= batchSize) {
+                flush('batch');
+            }
+        },
+        
+        flush
+    };
+}
+
+// Only flat strings, numbers and booleans are sent, and long text is cut short
+function cleanEventProperties(properties) {
+    const cleaned = {};
+    
+    Object.keys(properties || {}).forEach(key => {
+        const value = properties[key];
+        if (typeof value === 'string') {
+            cleaned[key] = value.slice(0, ANALYTICS_MAX_STRING_LENGTH);
+        } else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') {
+            cleaned[key] = value;
+        }
+    });
+    
+    return cleaned;
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANALYTICS_SCHEMA_VERSION,
+        ANALYTICS_TRANSPORTS,
+        createNoopTransport,
+        createConsoleTransport,
+        createBeaconTransport,
+        createTransport,
+        createAnalytics,
+        cleanEventProperties
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Vancouver Rezoning Guide - Comment Drafts
+ * Checks and writes out the comments and speaker requests residents draft for public
+ * participation steps (see initializeCommentHelper in js/comment-helper.js). Nothing is sent anywhere.
+ * No DOM access here, so validation and formatting can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Draft Fields
+// ========================================
+// A draft: { stage, kind, address, application, topics, comment, name, email }
+// kind is 'comment', or 'speaker' for a request to speak where the stage allows it.
+const COMMENT_KINDS = ['comment', 'speaker'];
+const COMMENT_TOPICS = ['height', 'density', 'traffic', 'housing'];
+const COMMENT_MIN_LENGTH = 20;
+const COMMENT_MAX_LENGTH = 2000;
+const COMMENT_FIELD_MAX_LENGTH = 100;    // Address, application number, name and email
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Characters as people count them, so accented letters and Gurmukhi or Chinese text count once each
+function countCharacters(text) {
+    return Array.from(text || '').length;
+}
+
+/**
+ * Problems with a draft, as [{ field, error }] in form order; empty when it's ready.
+ * stages: { [stageId]: { speakers } } for the stages that can be chosen.
+ * error is 'required', 'tooShort', 'tooLong', 'invalid' or 'noSpeakers'.
+ */
+function validateCommentDraft(draft, stages) {
+    const errors = [];
+    const add = (field, error) => errors.push({ field, error });
+    const stage = stages[draft.stage];
+    const isSpeaker = draft.kind === 'speaker';
+    
+    if (!stage) {
+        add('stage', 'required');
+    } else if (isSpeaker && !stage.speakers) {
+        add('kind', 'noSpeakers');
+    }
+    if (!COMMENT_KINDS.includes(draft.kind)) add('kind', 'required');
+    
+    checkTextField(draft.address, { required: true }, error => add('address', error));
+    checkTextField(draft.application, { required: false }, error => add('application', error));
+    
+    // A comment has to say something; a speaker request can leave the summary out
+    const commentLength = countCharacters(draft.comment.trim());
+    if (commentLength === 0 && !isSpeaker) {
+        add('comment', 'required');
+    } else if (commentLength > 0 && commentLength < COMMENT_MIN_LENGTH && !isSpeaker) {
+        add('comment', 'tooShort');
+    } else if (commentLength > COMMENT_MAX_LENGTH) {
+        add('comment', 'tooLong');
+    }
+    
+    // The clerk needs to know who to call up and how to confirm
+    checkTextField(draft.name, { required: isSpeaker }, error => add('name', error));
+    checkTextField(draft.email, { required: isSpeaker, pattern: EMAIL_PATTERN }, error => add('email', error));
+    
+    return errors;
+}
+
+function checkTextField(value, { required, pattern = null }, report) {
+    const text = value.trim();
+    
+    if (!text) {
+        if (required) report('required');
+    } else if (countCharacters(text) > COMMENT_FIELD_MAX_LENGTH) {
+        report('tooLong');
+    } else if (pattern && !pattern.test(text)) {
+        report('invalid');
+    }
+}
+
+// ========================================
+// Formatting
+// ========================================
+
+/**
+ * The draft as plain text, ready to paste into an email or comment form.
+ * translate(key, params) gives the interface text (t() in the page); to is who the
+ * stage's comments go to ('applicant', 'planner' or 'council'). Speaker requests go to the clerk.
+ */
+function formatCommentDraft(draft, { to, translate }) {
+    const isSpeaker = draft.kind === 'speaker';
+    const address = draft.address.trim();
+    const application = draft.application.trim();
+    const comment = draft.comment.trim();
+    const name = draft.name.trim();
+    const email = draft.email.trim();
+    const topics = COMMENT_TOPICS.filter(topic => draft.topics.includes(topic))
+        .map(topic => translate(`comment.topic.${topic}`));
+    
+    const lines = [
+        translate(isSpeaker ? 'comment.draft.subjectSpeaker' : 'comment.draft.subject', { address }),
+        '',
+        translate(`comment.draft.greeting.${isSpeaker ? 'clerk' : to}`),
+        ''
+    ];
+    
+    if (isSpeaker) {
+        lines.push(translate('comment.draft.speakerIntro', { address }), '');
+    }
+    
+    lines.push(translate('comment.draft.address', { address }));
+    if (application) lines.push(translate('comment.draft.application', { application }));
+    if (topics.length > 0) lines.push(translate('comment.draft.topics', { topics: topics.join(', ') }));
+    
+    if (isSpeaker) {
+        lines.push(translate('comment.draft.name', { name }), translate('comment.draft.email', { email }));
+        if (comment) lines.push('', translate('comment.draft.speakerSummary'), comment);
+    } else {
+        lines.push('', comment);
+    }
+    
+    lines.push('', translate('comment.draft.signoff'));
+    if (name) lines.push(name);
+    if (email && !isSpeaker) lines.push(email);
+    
+    return lines.join('\n') + '\n';
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMMENT_KINDS,
+        COMMENT_TOPICS,
+        COMMENT_MIN_LENGTH,
+        COMMENT_MAX_LENGTH,
+        COMMENT_FIELD_MAX_LENGTH,
+        countCharacters,
+        validateCommentDraft,
+        formatCommentDraft
+    };
+}
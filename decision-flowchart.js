@@ -0,0 +1,81 @@
+/**
+ * Vancouver Rezoning Guide - Decision Flowchart
+ * Lays the decision tree out as numbered questions for the printed guide, where the
+ * questions can't be clicked through (see renderPrintFlowchart in js/print.js).
+ * No DOM access here, so the layout can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Flowchart
+// ========================================
+
+/**
+ * The questions reachable from the start, numbered in the order they're first reached
+ * (breadth first), and the results they lead to.
+ * tree: the content's decisionTree ({ start, nodes }).
+ * Returns { questions, results }:
+ *   questions: [{ id, number, question, branches: [{ labels, any, next }] }]
+ *   results:   [{ id, title, lead }]
+ * Options that lead to the same place share a branch (labels lists their labels in order);
+ * any is true when every answer does. next is { type: 'question', id, number } or
+ * { type: 'result', id, title }.
+ */
+function buildDecisionFlowchart(tree) {
+    const nodes = new Map(tree.nodes.map(node => [node.id, node]));
+    const order = [];
+    const queue = [tree.start];
+    
+    while (queue.length > 0) {
+        const node = nodes.get(queue.shift());
+        if (!node || order.includes(node)) continue;
+        
+        order.push(node);
+        (node.options || []).forEach(option => queue.push(option.next));
+    }
+    
+    const questions = order.filter(node => node.type === 'question');
+    const results = order.filter(node => node.type === 'result');
+    const numbers = new Map(questions.map((node, index) => [node.id, index + 1]));
+    
+    const getTarget = id => numbers.has(id)
+        ? { type: 'question', id, number: numbers.get(id) }
+        : { type: 'result', id, title: nodes.get(id).title };
+    
+    return {
+        questions: questions.map(node => ({
+            id: node.id,
+            number: numbers.get(node.id),
+            question: node.question,
+            branches: groupOptionsByNext(node.options).map(branch => ({
+                labels: branch.labels,
+                any: branch.labels.length === node.options.length && node.options.length > 1,
+                next: getTarget(branch.next)
+            }))
+        })),
+        results: results.map(node => ({ id: node.id, title: node.title, lead: node.lead || '' }))
+    };
+}
+
+// [{ next, labels }] in the order each destination first comes up
+function groupOptionsByNext(options) {
+    const branches = [];
+    
+    options.forEach(option => {
+        const branch = branches.find(item => item.next === option.next);
+        if (branch) {
+            branch.labels.push(option.label);
+        } else {
+            branches.push({ next: option.next, labels: [option.label] });
+        }
+    });
+    return branches;
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildDecisionFlowchart
+    };
+}
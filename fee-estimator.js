@@ -0,0 +1,169 @@
+/**
+ * Vancouver Rezoning Guide - Fee Estimator
+ * Itemises rezoning application fees, CACs, DCLs and permit fees for a project from the
+ * versioned rate table in data/fees.json (see js/fees.js for the form).
+ * No DOM access here, so the arithmetic can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Project
+// ========================================
+// In the order an estimate lists them
+const FEE_CATEGORIES = ['application', 'contribution', 'permit'];
+
+/**
+ * What stops a project from being estimated, or null if nothing does.
+ * project: { pathway, siteArea, floorArea, uses: { [use id]: % of the floor area } }
+ * Returns 'siteArea', 'floorArea' or 'useMix' (the shares don't add up to 100%).
+ */
+function checkFeeProject(project) {
+    if (!(project.siteArea > 0)) return 'siteArea';
+    if (!(project.floorArea > 0)) return 'floorArea';
+    
+    const shares = Object.values(project.uses);
+    const total = shares.reduce((sum, share) => sum + share, 0);
+    if (shares.some(share => !(share >= 0)) || Math.abs(total - 100) > 0.01) return 'useMix';
+    
+    return null;
+}
+
+// Floor space ratio (FSR)
+function getDensity(project) {
+    return project.floorArea / project.siteArea;
+}
+
+// Floor area above what the site allowed before rezoning
+function getAdditionalFloorArea(project, baseDensity) {
+    return Math.max(0, project.floorArea - project.siteArea * baseDensity);
+}
+
+// ========================================
+// Estimate
+// ========================================
+
+/**
+ * An itemised estimate for a project, from rates (the contents of data/fees.json).
+ * Items charged only on other pathways are left out. Returns
+ *   items   [{ id, category, name, low, high, note }]
+ *   totals  { low, high } for each of FEE_CATEGORIES
+ *   total   { low, high } for the whole estimate
+ * plus the density, additional floor area and the rate table it came from.
+ * Amounts are rounded to the dollar, item by item, so the totals add up.
+ */
+function estimateFees(project, rates) {
+    const areas = {
+        site: project.siteArea,
+        floor: project.floorArea,
+        'additional-floor': getAdditionalFloorArea(project, rates.baseDensity)
+    };
+    
+    const items = rates.items
+        .filter(item => !item.pathways || item.pathways.includes(project.pathway))
+        .map(item => {
+            // The fixed amount covers the first "included" m² of the basis
+            const area = item.basis ? Math.max(0, areas[item.basis] - (item.included || 0)) : 0;
+            const amount = bound => {
+                let sum = item.fixed ? item.fixed[bound] : 0;
+                if (item.rate) {
+                    sum += area * item.rate[bound];
+                }
+                // Each use pays its own rate on its share of the area; uses without one pay nothing
+                Object.keys(item.rates || {}).forEach(use => {
+                    sum += area * ((project.uses[use] || 0) / 100) * item.rates[use][bound];
+                });
+                return Math.round(sum);
+            };
+            
+            return {
+                id: item.id,
+                category: item.category,
+                name: item.name,
+                low: amount('low'),
+                high: amount('high'),
+                note: item.note || ''
+            };
+        });
+    
+    const totals = {};
+    FEE_CATEGORIES.forEach(category => {
+        totals[category] = sumFeeItems(items.filter(item => item.category === category));
+    });
+    
+    return {
+        items,
+        totals,
+        total: sumFeeItems(items),
+        density: getDensity(project),
+        additionalFloorArea: areas['additional-floor'],
+        rates: {
+            version: rates.version,
+            effective: rates.effective,
+            currency: rates.currency,
+            baseDensity: rates.baseDensity
+        }
+    };
+}
+
+function sumFeeItems(items) {
+    return items.reduce((sum, item) => ({
+        low: sum.low + item.low,
+        high: sum.high + item.high
+    }), { low: 0, high: 0 });
+}
+
+/**
+ * Problems the schema can't catch: repeated use or item ids, rates for uses that aren't
+ * listed, ranges that run backwards and rates with no area to charge them on.
+ * Returns readable error strings, each prefixed with the path of the offending value.
+ */
+function validateFeeRates(rates) {
+    const errors = [];
+    const useIds = rates.uses.map(use => use.id);
+    const itemIds = rates.items.map(item => item.id);
+    
+    const repeated = (values, path, label) => values
+        .filter((value, index) => values.indexOf(value) !== index)
+        .map(value => `${path}: ${label} "${value}" is used more than once`);
+    
+    errors.push(...repeated(useIds, 'fees.uses', 'use id'));
+    errors.push(...repeated(itemIds, 'fees.items', 'item id'));
+    
+    const checkRange = (range, path) => {
+        if (range && range.low > range.high) {
+            errors.push(`${path}: "low" (${range.low}) is greater than "high" (${range.high})`);
+        }
+    };
+    
+    rates.items.forEach((item, index) => {
+        const path = `fees.items[${index}]`;
+        
+        checkRange(item.fixed, `${path}.fixed`);
+        checkRange(item.rate, `${path}.rate`);
+        Object.keys(item.rates || {}).forEach(use => {
+            if (!useIds.includes(use)) {
+                errors.push(`${path}.rates.${use}: use "${use}" does not exist`);
+            }
+            checkRange(item.rates[use], `${path}.rates.${use}`);
+        });
+        
+        if ((item.rate || item.rates) && !item.basis) {
+            errors.push(`${path}: has a rate but no "basis" to charge it on`);
+        }
+    });
+    
+    return errors;
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FEE_CATEGORIES,
+        checkFeeProject,
+        getDensity,
+        getAdditionalFloorArea,
+        estimateFees,
+        validateFeeRates
+    };
+}
@@ -0,0 +1,182 @@
+/**
+ * Vancouver Rezoning Guide - Glossary Terms
+ * Finds glossary terms in running text, so the guide can link them to their definitions
+ * (see linkGlossaryTerms in js/glossary.js), and matches the glossary filter against terms.
+ * No DOM access here, so matching can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Phrases
+// ========================================
+// "Official Development Plan (ODP)" is found as "Official Development Plan" or "ODP".
+// Abbreviations only match in capitals, so "Cac" or "dap" in other words don't count.
+const TERM_ABBREVIATION = /\(([A-Z]{2,})\)/;
+
+function isAbbreviation(phrase) {
+    return /^[A-Z]{2,}$/.test(phrase);
+}
+
+/**
+ * The phrases a glossary term is written as: its name without the bracketed
+ * abbreviation, the abbreviation, and any aliases from data/content.json.
+ */
+function getTermPhrases(term) {
+    const phrases = [term.term.replace(/\s*\([^)]*\)/g, '').trim()];
+    const abbreviation = term.term.match(TERM_ABBREVIATION);
+    if (abbreviation) phrases.push(abbreviation[1]);
+    
+    (term.aliases || []).forEach(alias => phrases.push(alias.trim()));
+    
+    return phrases.filter((phrase, index) =>
+        phrase !== '' && phrases.findIndex(other => other.toLowerCase() === phrase.toLowerCase()) === index);
+}
+
+// ========================================
+// Matching
+// ========================================
+
+/**
+ * A matcher for a list of glossary terms ({ id, term, aliases }).
+ * Longer phrases are tried first, so "Rezoning Enquiry" isn't found as "Rezoning".
+ */
+function createTermMatcher(terms) {
+    const entries = [];
+    terms.forEach(term => {
+        getTermPhrases(term).forEach(phrase => entries.push({ id: term.id, phrase }));
+    });
+    entries.sort((a, b) => b.phrase.length - a.phrase.length);
+    
+    // One group per phrase, so a match says which phrase it was. Words may be split by any
+    // whitespace, plurals ("public hearings") count, and matches stop at word edges.
+    const groups = entries.map(({ phrase }) =>
+        `(${phrase.split(/\s+/).map(escapeRegExp).join('\\s+')}s?)`);
+    const pattern = entries.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${groups.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+        : null;
+    
+    return { entries, pattern };
+}
+
+/**
+ * Glossary terms in text, as [{ id, start, end }] in reading order, without overlaps.
+ * Each term is only found once: ids already in linked are skipped, and every id found is
+ * added to it, so passing the same set for each piece of a card links a term once per card.
+ */
+function findTermMatches(text, matcher, linked = new Set()) {
+    const matches = [];
+    if (!matcher.pattern) return matches;
+    
+    matcher.pattern.lastIndex = 0;
+    let match;
+    while ((match = matcher.pattern.exec(text)) !== null) {
+        const index = match.slice(1).findIndex(group => group !== undefined);
+        const { id, phrase } = matcher.entries[index];
+        
+        if (isAbbreviation(phrase) && !match[0].startsWith(phrase)) continue;
+        if (linked.has(id)) continue;
+        
+        linked.add(id);
+        matches.push({ id, start: match.index, end: match.index + match[0].length });
+    }
+    
+    return matches;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ========================================
+// Filtering
+// ========================================
+// Every word typed has to match. A word matches the start of a word in the term's name or
+// keywords, allowing a typo or two ("hering", "devlopment"), or a whole word of its definition.
+const GLOSSARY_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const FUZZY_MIN_LENGTH = 4;     // Shorter words have to be typed exactly
+
+/**
+ * How a term matches the filter: null for no match, otherwise { words } with the
+ * lowercase words of the name and definition that matched, for highlighting.
+ * An empty query matches every term.
+ */
+function matchGlossaryTerm(term, query) {
+    const queryWords = getWords(query);
+    const nameWords = getWords(term.term);
+    const keywordWords = getWords(term.keywords || '');
+    const definitionWords = getWords(term.definition || '');
+    const words = new Set();
+    
+    for (const queryWord of queryWords) {
+        const inName = nameWords.filter(word => isCloseMatch(queryWord, word));
+        const inKeywords = keywordWords.filter(word => isCloseMatch(queryWord, word));
+        const inDefinition = definitionWords.filter(word => isSameWord(queryWord, word));
+        
+        if (inName.length + inKeywords.length + inDefinition.length === 0) return null;
+        inName.concat(inDefinition).forEach(word => words.add(word));
+    }
+    
+    return { words: [...words] };
+}
+
+// A word starts with the typed word, or is within a typo or two of it (or of its start)
+function isCloseMatch(queryWord, word) {
+    if (word.startsWith(queryWord)) return true;
+    if (queryWord.length < FUZZY_MIN_LENGTH) return false;
+    
+    const allowed = queryWord.length >= 8 ? 2 : 1;
+    return editDistance(queryWord, word) <= allowed ||
+        editDistance(queryWord, word.slice(0, queryWord.length)) <= allowed;
+}
+
+// The same word, give or take a plural "s"
+function isSameWord(a, b) {
+    return a === b || a === `${b}s` || b === `${a}s`;
+}
+
+/**
+ * Edits (insert, delete, change or swap two neighbouring letters) to turn a into b,
+ * e.g. "hearign" -> "hearing" is 1.
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+function getWords(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// The letter a term is listed under in the A-Z index ("#" for anything but A-Z)
+function getTermLetter(term) {
+    const letter = term.term.trim().charAt(0).toUpperCase();
+    return GLOSSARY_LETTERS.includes(letter) ? letter : '#';
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getTermPhrases,
+        createTermMatcher,
+        findTermMatches,
+        GLOSSARY_LETTERS,
+        matchGlossaryTerm,
+        editDistance,
+        getTermLetter
+    };
+}
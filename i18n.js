@@ -0,0 +1,109 @@
+/**
+ * Vancouver Rezoning Guide - Translations
+ * Interface text comes from the message catalogs in locales/<code>.json, looked up by key.
+ * No DOM access here, so lookups and plural rules can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Locales
+// ========================================
+// intl is the locale used for numbers, dates and plural rules; dir is the writing direction
+const LOCALES = [
+    { code: 'en', name: 'English', intl: 'en-CA', dir: 'ltr' },
+    { code: 'fr', name: 'Français', intl: 'fr-CA', dir: 'ltr' },
+    { code: 'zh-Hant', name: '繁體中文', intl: 'zh-Hant', dir: 'ltr' },
+    { code: 'pa', name: 'ਪੰਜਾਬੀ', intl: 'pa', dir: 'ltr' },
+    { code: 'fa', name: 'فارسی', intl: 'fa', dir: 'rtl' },
+    { code: 'tl', name: 'Tagalog', intl: 'fil', dir: 'ltr' }
+];
+
+// Also the fallback for keys a catalog doesn't have yet
+const DEFAULT_LOCALE = 'en';
+
+function getLocaleInfo(code) {
+    return LOCALES.find(locale => locale.code === code) ||
+        LOCALES.find(locale => locale.code === DEFAULT_LOCALE);
+}
+
+/**
+ * The first supported locale for a list of language tags in order of preference,
+ * e.g. navigator.languages. Regional variants match their language (fr-CA -> fr);
+ * Chinese only matches when it isn't Simplified (zh-TW, zh-HK -> zh-Hant), and
+ * Filipino, which browsers often report for Tagalog speakers, matches Tagalog (fil-PH -> tl).
+ * Returns null when nothing matches.
+ */
+function matchLocale(tags) {
+    for (const tag of tags || []) {
+        const parts = String(tag).toLowerCase().split(/[-_]/);
+        const language = parts[0];
+        
+        if (language === 'zh') {
+            const isSimplified = parts.some(part => ['hans', 'cn', 'sg'].includes(part));
+            if (!isSimplified) return 'zh-Hant';
+            continue;
+        }
+        
+        if (language === 'fil') return 'tl';
+        
+        const locale = LOCALES.find(l => l.code.toLowerCase() === language);
+        if (locale) return locale.code;
+    }
+    
+    return null;
+}
+
+// ========================================
+// Messages
+// ========================================
+
+/**
+ * Look up a message and fill in its {placeholders}.
+ * catalogs: { en: { "key": "text" }, fr: {...} }
+ * A message can be an object of plural forms ({ one, other, ... }), chosen by params.count.
+ * Missing keys fall back to DEFAULT_LOCALE, then to the key itself.
+ */
+function translate(catalogs, locale, key, params = {}) {
+    const catalog = catalogs[locale] || {};
+    const fallback = catalogs[DEFAULT_LOCALE] || {};
+    
+    const messageLocale = key in catalog ? locale : DEFAULT_LOCALE;
+    let message = key in catalog ? catalog[key] : fallback[key];
+    
+    if (message === undefined) return key;
+    
+    if (typeof message === 'object') {
+        message = selectPluralForm(message, params.count, messageLocale);
+    }
+    
+    return formatMessage(message, params, messageLocale);
+}
+
+function selectPluralForm(forms, count, locale) {
+    const category = new Intl.PluralRules(getLocaleInfo(locale).intl).select(Number(count) || 0);
+    return forms[category] !== undefined ? forms[category] : forms.other;
+}
+
+// "{count} results" -> "12 results"; numbers are written the locale's way (e.g. ۱۲ in Persian)
+function formatMessage(message, params, locale) {
+    const numberFormat = new Intl.NumberFormat(getLocaleInfo(locale).intl);
+    
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES,
+        DEFAULT_LOCALE,
+        getLocaleInfo,
+        matchLocale,
+        translate,
+        formatMessage
+    };
+}
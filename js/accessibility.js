@@ -0,0 +1,67 @@
+/**
+ * Vancouver Rezoning Guide - Accessibility
+ * The skip link and screen reader announcements (see announce).
+ */
+
+// ========================================
+// Accessibility Features
+// ========================================
+function initializeAccessibility() {
+    // Skip to main content link
+    addSkipLink();
+    
+    // Announce page changes for screen readers
+    announceRouteChanges();
+}
+
+function addSkipLink() {
+    const skipLink = document.createElement('a');
+    skipLink.href = '#timeline-title';
+    skipLink.textContent = t('a11y.skipLink');
+    skipLink.dataset.i18n = 'a11y.skipLink';
+    skipLink.className = 'skip-link';
+    
+    Object.assign(skipLink.style, {
+        position: 'absolute',
+        top: '-40px',
+        insetInlineStart: '0',
+        backgroundColor: '#0089C7',
+        color: '#ffffff',
+        padding: '8px',
+        textDecoration: 'none',
+        zIndex: '1000'
+    });
+    
+    skipLink.addEventListener('focus', function() {
+        this.style.top = '0';
+    });
+    
+    skipLink.addEventListener('blur', function() {
+        this.style.top = '-40px';
+    });
+    
+    document.body.insertBefore(skipLink, document.body.firstChild);
+}
+
+function announceRouteChanges() {
+    // Create live region for announcements
+    const liveRegion = document.createElement('div');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.className = 'sr-only';
+    document.body.appendChild(liveRegion);
+    
+    // Store reference globally
+    window.liveRegion = liveRegion;
+}
+
+function announce(message) {
+    if (window.liveRegion) {
+        window.liveRegion.textContent = message;
+        
+        // Clear after announcement
+        setTimeout(() => {
+            window.liveRegion.textContent = '';
+        }, 1000);
+    }
+}
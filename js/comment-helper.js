@@ -0,0 +1,316 @@
+/**
+ * Vancouver Rezoning Guide - Comment Helper
+ * A form for residents to draft a comment or a request to speak for a public participation
+ * step, copied or downloaded as text. Drafts are kept in localStorage and never sent.
+ */
+
+// ========================================
+// Comment Helper (checks and wording in comment-draft.js)
+// ========================================
+const COMMENT_STORAGE_KEY = 'rezoningGuideCommentDraft';
+const COMMENT_STORAGE_VERSION = 1;
+
+// Form fields by draft field, in form order, for showing errors next to them
+const COMMENT_FIELD_IDS = {
+    stage: 'commentStage',
+    kind: 'commentKindComment',
+    address: 'commentAddress',
+    application: 'commentApplication',
+    comment: 'commentText',
+    name: 'commentName',
+    email: 'commentEmail'
+};
+
+let commentErrors = null;   // Errors on show since the last "Create draft", or null before then
+
+function initializeCommentHelper() {
+    const form = document.getElementById('commentForm');
+    document.getElementById('commentHelper').dataset.showFor = getCommentAudiences().join(' ');
+    if (!guideContent) return;
+    
+    document.getElementById('commentStage').innerHTML = getCommentStages()
+        .map(step => `<option value="${step.id}" lang="${CONTENT_LANGUAGE}">${escapeHtml(step.title)}</option>`)
+        .join('');
+    
+    const saved = loadCommentDraft();
+    if (saved) fillCommentForm(saved);
+    
+    form.addEventListener('input', handleCommentInput);
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        createCommentDraft();
+    });
+    
+    document.getElementById('commentClear').addEventListener('click', clearCommentDraft);
+    document.getElementById('commentCopy').addEventListener('click', copyCommentDraft);
+    document.getElementById('commentDownload').addEventListener('click', downloadCommentDraft);
+    
+    // "Draft a comment" buttons in the detail panels of participation steps
+    document.getElementById('detailPanels').addEventListener('click', function(e) {
+        const button = e.target.closest('.btn-draft-comment');
+        if (button) openCommentHelper(button.dataset.commentStage);
+    });
+    
+    updateSpeakerOption();
+    renderCommentCount();
+}
+
+function getCommentStages() {
+    return guideContent.steps.filter(step => step.commentDraft);
+}
+
+// Perspectives the helper and the detail panel buttons show in (see updateContentVisibility),
+// marked with "commentHelper" in data/content.json
+function getCommentAudiences() {
+    return guideContent
+        ? guideContent.audiences.filter(audience => audience.commentHelper).map(audience => audience.id)
+        : [];
+}
+
+// { stageId: { to, speakers } } for validateCommentDraft
+function getCommentStageOptions() {
+    return Object.fromEntries(getCommentStages().map(step => [step.id, step.commentDraft]));
+}
+
+function readCommentForm() {
+    return {
+        stage: document.getElementById('commentStage').value,
+        kind: document.querySelector('input[name="commentKind"]:checked').value,
+        address: document.getElementById('commentAddress').value,
+        application: document.getElementById('commentApplication').value,
+        topics: Array.from(document.querySelectorAll('input[name="commentTopic"]:checked'), input => input.value),
+        comment: document.getElementById('commentText').value,
+        name: document.getElementById('commentName').value,
+        email: document.getElementById('commentEmail').value
+    };
+}
+
+function fillCommentForm(draft) {
+    if (getCommentStages().some(step => step.id === draft.stage)) {
+        document.getElementById('commentStage').value = draft.stage;
+    }
+    document.querySelectorAll('input[name="commentKind"]').forEach(input => {
+        input.checked = input.value === draft.kind;
+    });
+    document.querySelectorAll('input[name="commentTopic"]').forEach(input => {
+        input.checked = draft.topics.includes(input.value);
+    });
+    ['address', 'application', 'comment', 'name', 'email'].forEach(field => {
+        document.getElementById(COMMENT_FIELD_IDS[field]).value = draft[field];
+    });
+}
+
+function handleCommentInput(e) {
+    if (e.target.id === 'commentStage') updateSpeakerOption();
+    
+    renderCommentCount();
+    saveCommentDraft();
+    
+    // Once errors are showing, they clear as they're fixed; the draft keeps up while it's valid
+    if (commentErrors) {
+        commentErrors = validateCommentDraft(readCommentForm(), getCommentStageOptions());
+        renderCommentErrors();
+    }
+    if (!document.getElementById('commentResult').hidden) {
+        renderCommentPreview();
+    }
+}
+
+// Requests to speak are only for stages with a public hearing
+function updateSpeakerOption() {
+    const stage = getCommentStageOptions()[document.getElementById('commentStage').value];
+    const speaker = document.getElementById('commentKindSpeaker');
+    
+    speaker.disabled = !stage || !stage.speakers;
+    if (speaker.disabled && speaker.checked) {
+        document.getElementById('commentKindComment').checked = true;
+    }
+}
+
+function renderCommentCount() {
+    const count = countCharacters(document.getElementById('commentText').value.trim());
+    const counter = document.getElementById('commentCount');
+    
+    counter.textContent = t('comment.count', { count, max: COMMENT_MAX_LENGTH });
+    counter.classList.toggle('over', count > COMMENT_MAX_LENGTH);
+}
+
+// Show each error under its field, or hide them all when the draft is fine
+function renderCommentErrors() {
+    const errors = commentErrors || [];
+    
+    Object.keys(COMMENT_FIELD_IDS).forEach(field => {
+        const input = document.getElementById(COMMENT_FIELD_IDS[field]);
+        const message = document.getElementById(`${COMMENT_FIELD_IDS[field]}Error`);
+        const error = errors.find(item => item.field === field);
+        
+        message.hidden = !error;
+        message.textContent = error ? getCommentErrorText(error) : '';
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+    });
+}
+
+function getCommentErrorText({ field, error }) {
+    if (field === 'email' && error === 'invalid') return t('comment.error.email');
+    return t(`comment.error.${error}`, {
+        min: COMMENT_MIN_LENGTH,
+        max: field === 'comment' ? COMMENT_MAX_LENGTH : COMMENT_FIELD_MAX_LENGTH
+    });
+}
+
+function createCommentDraft() {
+    const draft = readCommentForm();
+    commentErrors = validateCommentDraft(draft, getCommentStageOptions());
+    renderCommentErrors();
+    
+    if (commentErrors.length > 0) {
+        document.getElementById('commentResult').hidden = true;
+        document.getElementById(COMMENT_FIELD_IDS[commentErrors[0].field]).focus();
+        announce(t('comment.errors', { count: commentErrors.length }));
+        return;
+    }
+    
+    renderCommentPreview();
+    document.getElementById('commentResult').hidden = false;
+    document.getElementById('commentPreview').focus();
+    announce(t('comment.created'));
+    
+    trackEvent('comment_draft', { action: 'create', stage: draft.stage, kind: draft.kind });
+}
+
+// The draft text; hidden again if the form no longer makes a valid draft
+function renderCommentPreview() {
+    const draft = readCommentForm();
+    const stages = getCommentStageOptions();
+    
+    if (validateCommentDraft(draft, stages).length > 0) {
+        document.getElementById('commentResult').hidden = true;
+        return;
+    }
+    
+    document.getElementById('commentPreview').value = formatCommentDraft(draft, {
+        to: stages[draft.stage].to,
+        translate: t
+    });
+}
+
+function copyCommentDraft() {
+    const preview = document.getElementById('commentPreview');
+    const draft = readCommentForm();
+    
+    trackEvent('comment_draft', { action: 'copy', stage: draft.stage, kind: draft.kind });
+    copyToClipboard(preview.value).then(copied => {
+        if (copied) {
+            showNotification(t('comment.copied'), 'success');
+        } else {
+            // Leave it selected so it can be copied by hand
+            preview.select();
+            showNotification(t('comment.copyFailed'), 'warning');
+        }
+    });
+}
+
+function downloadCommentDraft() {
+    const draft = readCommentForm();
+    
+    trackEvent('comment_draft', { action: 'download', stage: draft.stage, kind: draft.kind });
+    downloadFile(`rezoning-${draft.kind}-${draft.stage}.txt`, document.getElementById('commentPreview').value, 'text/plain');
+}
+
+function clearCommentDraft() {
+    const draft = readCommentForm();
+    document.getElementById('commentForm').reset();
+    removeCommentDraft();
+    
+    commentErrors = null;
+    renderCommentErrors();
+    document.getElementById('commentResult').hidden = true;
+    updateSpeakerOption();
+    renderCommentCount();
+    
+    document.getElementById('commentStage').focus();
+    showNotification(t('comment.cleared'), 'info', {
+        action: { label: t('toast.undo'), onClick: () => restoreCommentDraft(draft) }
+    });
+}
+
+// Undo for "Clear": the form as it was, saved again
+function restoreCommentDraft(draft) {
+    fillCommentForm(draft);
+    updateSpeakerOption();
+    renderCommentCount();
+    saveCommentDraft();
+    
+    document.getElementById('commentStage').focus();
+    announce(t('comment.restored'));
+}
+
+// From a participation step's detail panel: that stage, ready to fill in
+function openCommentHelper(stageId) {
+    const helper = document.getElementById('commentHelper');
+    
+    document.getElementById('commentStage').value = stageId;
+    updateSpeakerOption();
+    saveCommentDraft();
+    if (!document.getElementById('commentResult').hidden) renderCommentPreview();
+    
+    scrollToElement(helper);
+    document.getElementById('commentAddress').focus({ preventScroll: true });
+    
+    trackEvent('comment_helper_open', { stage: stageId });
+}
+
+// Interface text in the helper follows the language (see refreshTranslatedViews)
+function refreshCommentHelper() {
+    renderCommentCount();
+    if (commentErrors) renderCommentErrors();
+    if (!document.getElementById('commentResult').hidden) renderCommentPreview();
+}
+
+// ---- Storage ----
+
+function loadCommentDraft() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(COMMENT_STORAGE_KEY));
+        if (!saved || saved.version !== COMMENT_STORAGE_VERSION || !saved.draft) return null;
+        
+        const draft = saved.draft;
+        const text = value => typeof value === 'string' ? value : '';
+        return {
+            stage: text(draft.stage),
+            kind: COMMENT_KINDS.includes(draft.kind) ? draft.kind : 'comment',
+            address: text(draft.address),
+            application: text(draft.application),
+            topics: Array.isArray(draft.topics) ? draft.topics.filter(topic => COMMENT_TOPICS.includes(topic)) : [],
+            comment: text(draft.comment),
+            name: text(draft.name),
+            email: text(draft.email)
+        };
+    } catch (e) {
+        console.warn('Could not load comment draft from localStorage:', e);
+        return null;
+    }
+}
+
+function saveCommentDraft() {
+    try {
+        localStorage.setItem(COMMENT_STORAGE_KEY, JSON.stringify({
+            version: COMMENT_STORAGE_VERSION,
+            draft: readCommentForm()
+        }));
+    } catch (e) {
+        console.warn('Could not save comment draft to localStorage:', e);
+    }
+}
+
+function removeCommentDraft() {
+    try {
+        localStorage.removeItem(COMMENT_STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not remove comment draft from localStorage:', e);
+    }
+}
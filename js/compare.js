@@ -0,0 +1,146 @@
+/**
+ * Vancouver Rezoning Guide - Pathway Comparison
+ * The pathways side by side, opened from a decision-tree result or the Full Process tab.
+ */
+
+// ========================================
+// Compare Pathways (rows in pathway-comparison.js)
+// ========================================
+let compareDialog = null;
+let comparedPathway = null;     // The pathway the comparison was opened from, if any
+
+const HEARING_ICONS = { no: 'fa-times-circle', maybe: 'fa-question-circle', yes: 'fa-gavel' };
+
+function initializeCompare() {
+    const modal = document.getElementById('compareModal');
+    const openButton = document.getElementById('openCompare');
+    
+    compareDialog = createDialog(modal, {
+        onDismiss: closePathwayComparison,
+        fallbackFocus: openButton
+    });
+    
+    openButton.addEventListener('click', function() {
+        openPathwayComparison(null, 'tab');
+    });
+    modal.querySelector('.modal-close').addEventListener('click', closePathwayComparison);
+    
+    // Close on backdrop click
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal) {
+            closePathwayComparison();
+        }
+    });
+    
+    document.getElementById('compareDifferencesOnly').addEventListener('change', function() {
+        showComparisonDifferencesOnly(this.checked);
+        trackEvent('pathway_compare_filter', { differencesOnly: this.checked });
+    });
+}
+
+// pathway: the result's pathway to mark as "your result", or null from the Full Process tab
+function openPathwayComparison(pathway, source) {
+    if (!guideContent) return;
+    
+    comparedPathway = pathway;
+    renderPathwayComparison();
+    compareDialog.open();
+    
+    trackEvent('pathway_compare', pathway ? { source, pathway } : { source });
+}
+
+function closePathwayComparison() {
+    compareDialog.close();
+}
+
+function renderPathwayComparison() {
+    const results = guideContent.decisionTree.nodes.filter(node => node.type === 'result' && node.pathway);
+    const pathways = results.map(result => {
+        const steps = getPathwaySteps(result);
+        return { id: result.pathway, steps, total: sumStepDurations(steps), comparison: result.comparison };
+    });
+    const rows = buildPathwayComparison(pathways, guideContent.steps);
+    
+    const headings = results.map(result => {
+        const isCurrent = result.pathway === comparedPathway;
+        return `
+            <th scope="col" class="compare-pathway${isCurrent ? ' is-current' : ''}">
+                <span class="pathway-indicator ${result.pathway}"></span>
+                <span lang="${CONTENT_LANGUAGE}">${escapeHtml(result.title)}</span>
+                ${isCurrent ? `<span class="compare-current">${escapeHtml(t('compare.yourResult'))}</span>` : ''}
+            </th>`;
+    }).join('');
+    
+    const firstStep = rows.findIndex(row => row.id === 'step');
+    const body = rows.map((row, index) => {
+        const section = index === firstStep ? `
+            <tr class="compare-section">
+                <th scope="colgroup" colspan="${results.length + 1}">${escapeHtml(t('compare.row.steps'))}</th>
+            </tr>` : '';
+        
+        const label = row.id === 'step'
+            ? `<span lang="${CONTENT_LANGUAGE}">${escapeHtml(row.title)}</span>`
+            : escapeHtml(t(`compare.row.${row.id}`));
+        const differs = row.differs
+            ? ` <span class="compare-differs-badge">${escapeHtml(t('compare.differs'))}</span>`
+            : '';
+        const cells = row.cells.map(cell => `<td>${renderComparisonCell(row, cell)}</td>`).join('');
+        
+        return `${section}
+            <tr${row.differs ? ' class="compare-differs"' : ''}>
+                <th scope="row">${label}${differs}</th>
+                ${cells}
+            </tr>`;
+    }).join('');
+    
+    document.getElementById('compareTable').innerHTML = `
+        <thead>
+            <tr>
+                <td></td>
+                ${headings}
+            </tr>
+        </thead>
+        <tbody>${body}</tbody>`;
+    
+    showComparisonDifferencesOnly(document.getElementById('compareDifferencesOnly').checked);
+}
+
+function renderComparisonCell(row, cell) {
+    switch (row.id) {
+        case 'publicHearing':
+            return `<i class="fas ${HEARING_ICONS[cell]}"></i> ${escapeHtml(t(`compare.hearing.${cell}`))}`;
+        case 'step':
+            return cell ? renderComparisonStep(cell) : `<span class="compare-skipped">${escapeHtml(t('compare.notIncluded'))}</span>`;
+        case 'total':
+            return cell ? escapeHtml(formatTotalDuration(cell)) : '';
+        default:
+            return `<span lang="${CONTENT_LANGUAGE}">${formatInline(cell)}</span>`;
+    }
+}
+
+function renderComparisonStep(cell) {
+    const duration = formatStepDuration(cell.duration);
+    const note = cell.note
+        ? `<span class="compare-note" lang="${CONTENT_LANGUAGE}">${escapeHtml(cell.note)}</span>`
+        : '';
+    
+    return `<i class="fas fa-check"></i> ${duration}${note}`;
+}
+
+// A structured duration in the interface language, or the content's own text when it has none
+function formatStepDuration(duration) {
+    if (!duration) return '';
+    
+    if (duration.min !== undefined && duration.max !== undefined) {
+        const key = duration.unit === 'weeks' ? 'compare.weeks' : 'summary.months';
+        return escapeHtml(t(key, { min: duration.min, count: duration.max }));
+    }
+    return duration.text ? `<span lang="${CONTENT_LANGUAGE}">${escapeHtml(duration.text)}</span>` : '';
+}
+
+// Hide the rows that are the same for every pathway
+function showComparisonDifferencesOnly(differencesOnly) {
+    document.querySelectorAll('#compareTable tbody tr:not(.compare-section)').forEach(row => {
+        row.hidden = differencesOnly && !row.classList.contains('compare-differs');
+    });
+}
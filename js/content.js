@@ -0,0 +1,688 @@
+/**
+ * Vancouver Rezoning Guide - Guide Content
+ * Loads data/content.json, checks it against data/content.schema.json and renders
+ * the timeline, detail panels, glossary and decision tree from it.
+ */
+
+// ========================================
+// Guide Content (data/content.json)
+// ========================================
+const CONTENT_URL = 'data/content.json';
+const CONTENT_SCHEMA_URL = 'data/content.schema.json';
+
+// Content loaded from CONTENT_URL once validated
+let guideContent = null;
+
+async function loadContent() {
+    const [content, schema] = await Promise.all([
+        fetchJson(CONTENT_URL),
+        fetchJson(CONTENT_SCHEMA_URL)
+    ]);
+    
+    const errors = validateAgainstSchema(content, schema)
+        .concat(validateContentRules(content));
+    
+    if (errors.length > 0) {
+        throw createContentError(`${CONTENT_URL} does not match the content schema`, errors);
+    }
+    
+    return content;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw createContentError(`Could not load ${url} (HTTP ${response.status})`);
+    }
+    
+    try {
+        return await response.json();
+    } catch (e) {
+        throw createContentError(`${url} is not valid JSON: ${e.message}`);
+    }
+}
+
+function createContentError(message, details = []) {
+    const error = new Error(message);
+    error.name = 'ContentError';
+    error.details = details;
+    return error;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema (draft-07) used by
+ * the schemas in data/. Returns a list of readable error strings,
+ * each prefixed with the path of the offending value.
+ */
+function validateAgainstSchema(value, schema, path = 'content', rootSchema = schema) {
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveSchemaRef(rootSchema, schema.$ref), path, rootSchema);
+    }
+    
+    const errors = [];
+    const actualType = getJsonType(value);
+    
+    if (schema.type) {
+        const allowedTypes = [].concat(schema.type);
+        const typeMatches = allowedTypes.includes(actualType) ||
+            (actualType === 'integer' && allowedTypes.includes('number'));
+        
+        if (!typeMatches) {
+            errors.push(`${path}: expected ${allowedTypes.join(' or ')} but found ${actualType}`);
+            return errors;
+        }
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+        const allowedValues = schema.enum.map(v => JSON.stringify(v)).join(', ');
+        errors.push(`${path}: ${JSON.stringify(value)} is not one of ${allowedValues}`);
+    }
+    
+    if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: "${value}" does not match the pattern ${schema.pattern}`);
+        }
+    }
+    
+    if ((actualType === 'number' || actualType === 'integer') &&
+        schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`, rootSchema));
+            });
+        }
+    }
+    
+    if (actualType === 'object') {
+        const properties = schema.properties || {};
+        
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}: missing required property "${key}"`);
+            }
+        });
+        
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], `${path}.${key}`, rootSchema));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, `${path}.${key}`, rootSchema));
+            }
+        });
+    }
+    
+    return errors;
+}
+
+function resolveSchemaRef(rootSchema, ref) {
+    // Only local references such as "#/definitions/step" are supported
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => {
+        if (!node || !(key in node)) {
+            throw createContentError(`Content schema reference ${ref} cannot be resolved`);
+        }
+        return node[key];
+    }, rootSchema);
+}
+
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Rules the schema cannot express: unique ids, per-block-type fields and
+ * decision-tree links that must point at an existing question or result.
+ */
+function validateContentRules(content) {
+    const errors = [];
+    const steps = Array.isArray(content.steps) ? content.steps : [];
+    const glossary = Array.isArray(content.glossary) ? content.glossary : [];
+    const audienceIds = Array.isArray(content.audiences) ? content.audiences.map(audience => audience.id) : [];
+    const tree = content.decisionTree || {};
+    const nodes = Array.isArray(tree.nodes) ? tree.nodes : [];
+    
+    errors.push(...findDuplicates(audienceIds, 'content.audiences', 'audience id'));
+    errors.push(...findDuplicates(steps.map(step => step.id), 'content.steps', 'step id'));
+    errors.push(...findDuplicates(glossary.map(term => term.id), 'content.glossary', 'glossary id'));
+    errors.push(...findDuplicates(nodes.map(node => node.id), 'content.decisionTree.nodes', 'node id'));
+    
+    steps.forEach((step, index) => {
+        const path = `content.steps[${index}]`;
+        
+        if (step.number === undefined && step.icon === undefined) {
+            errors.push(`${path}: needs either a "number" or an "icon" for its timeline marker`);
+        }
+        
+        if (step.commentDraft && !step.influence) {
+            errors.push(`${path}: only public participation steps ("influence": true) can have a "commentDraft"`);
+        }
+        
+        errors.push(...validateAudienceIds(step.audiences, audienceIds, `${path}.audiences`));
+        errors.push(...validateDuration(step.duration || {}, `${path}.duration`));
+        
+        if (step.detail && Array.isArray(step.detail.blocks)) {
+            errors.push(...validateBlockFields(step.detail.blocks, `${path}.detail.blocks`));
+            errors.push(...validateBlockAudiences(step.detail.blocks, audienceIds, `${path}.detail.blocks`));
+        }
+    });
+    
+    glossary.forEach((term, index) => {
+        (term.related || []).forEach((id, relatedIndex) => {
+            const path = `content.glossary[${index}].related[${relatedIndex}]`;
+            if (id === term.id) {
+                errors.push(`${path}: a term cannot be related to itself`);
+            } else if (!glossary.some(other => other.id === id)) {
+                errors.push(`${path}: glossary term "${id}" does not exist`);
+            }
+        });
+    });
+    
+    errors.push(...validateDecisionTree(tree, nodes, steps.map(step => step.id)));
+    
+    return errors;
+}
+
+function validateAudienceIds(ids, audienceIds, path) {
+    return (Array.isArray(ids) ? ids : [])
+        .filter(id => !audienceIds.includes(id))
+        .map(id => `${path}: audience "${id}" is not in content.audiences`);
+}
+
+function validateBlockAudiences(blocks, audienceIds, path) {
+    return blocks.flatMap((block, index) => [
+        ...validateAudienceIds(block.audiences, audienceIds, `${path}[${index}].audiences`),
+        ...(Array.isArray(block.blocks) ? validateBlockAudiences(block.blocks, audienceIds, `${path}[${index}].blocks`) : [])
+    ]);
+}
+
+function validateDuration(duration, path) {
+    const errors = [];
+    
+    if (duration.min !== undefined && duration.max !== undefined && duration.min > duration.max) {
+        errors.push(`${path}: "min" (${duration.min}) is greater than "max" (${duration.max})`);
+    }
+    if (duration.likely !== undefined && (duration.likely < duration.min || duration.likely > duration.max)) {
+        errors.push(`${path}: "likely" (${duration.likely}) must be between "min" and "max"`);
+    }
+    if ((duration.min !== undefined || duration.max !== undefined) && !duration.unit) {
+        errors.push(`${path}: "unit" is required when "min" or "max" is given`);
+    }
+    
+    return errors;
+}
+
+// Fields each decision-tree node type needs in order to render
+const DECISION_NODE_REQUIRED_FIELDS = {
+    question: ['short', 'question', 'options'],
+    result: ['icon', 'title', 'lead']
+};
+
+function validateDecisionTree(tree, nodes, stepIds) {
+    const errors = [];
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    
+    if (tree.start !== undefined) {
+        const startNode = nodesById.get(tree.start);
+        if (!startNode) {
+            errors.push(`content.decisionTree.start: node "${tree.start}" does not exist`);
+        } else if (startNode.type !== 'question') {
+            errors.push(`content.decisionTree.start: node "${tree.start}" must be a question`);
+        }
+    }
+    
+    nodes.forEach((node, index) => {
+        const path = `content.decisionTree.nodes[${index}]`;
+        
+        (DECISION_NODE_REQUIRED_FIELDS[node.type] || []).forEach(field => {
+            if (node[field] === undefined) {
+                errors.push(`${path}: ${node.type} nodes need a "${field}" property`);
+            }
+        });
+        
+        if (node.type === 'result' && node.options !== undefined) {
+            errors.push(`${path}: result nodes cannot have "options"`);
+        }
+        
+        // Every pathway gets a column in the comparison (see js/compare.js)
+        if (node.pathway !== undefined && node.comparison === undefined) {
+            errors.push(`${path}: pathway results need a "comparison" property`);
+        }
+        
+        (node.options || []).forEach((option, optionIndex) => {
+            if (option.next !== undefined && !nodesById.has(option.next)) {
+                errors.push(`${path}.options[${optionIndex}]: "next" points to node "${option.next}", which does not exist`);
+            }
+        });
+        
+        (node.steps || []).forEach((entry, stepIndex) => {
+            if (!stepIds.includes(entry.step)) {
+                errors.push(`${path}.steps[${stepIndex}]: timeline step "${entry.step}" does not exist`);
+            }
+            if (entry.duration) {
+                errors.push(...validateDuration(entry.duration, `${path}.steps[${stepIndex}].duration`));
+            }
+        });
+        
+        if (node.nextSteps && Array.isArray(node.nextSteps.blocks)) {
+            errors.push(...validateBlockFields(node.nextSteps.blocks, `${path}.nextSteps.blocks`));
+        }
+    });
+    
+    // Every node must be reachable from the start, and no answer may lead back to an earlier question
+    if (nodesById.has(tree.start)) {
+        const visitStatus = new Map();    // nodeId -> 'visiting' | 'done'
+        const visit = (nodeId, trail) => {
+            const node = nodesById.get(nodeId);
+            if (!node || visitStatus.get(nodeId) === 'done') return;
+            if (visitStatus.get(nodeId) === 'visiting') {
+                errors.push(`content.decisionTree: answers loop back to "${nodeId}" (${trail.concat(nodeId).join(' → ')})`);
+                return;
+            }
+            visitStatus.set(nodeId, 'visiting');
+            (node.options || []).forEach(option => visit(option.next, trail.concat(nodeId)));
+            visitStatus.set(nodeId, 'done');
+        };
+        visit(tree.start, []);
+        
+        nodes.forEach(node => {
+            if (!visitStatus.has(node.id)) {
+                errors.push(`content.decisionTree.nodes: "${node.id}" cannot be reached from "${tree.start}"`);
+            }
+        });
+    }
+    
+    (tree.considerations || []).forEach((consideration, index) => {
+        const when = consideration.when || {};
+        const node = nodesById.get(when.node);
+        const path = `content.decisionTree.considerations[${index}].when`;
+        
+        if (!node) {
+            errors.push(`${path}: node "${when.node}" does not exist`);
+        } else if (!(node.options || []).some(option => option.answer === when.answer)) {
+            errors.push(`${path}: "${when.node}" has no answer "${when.answer}"`);
+        }
+    });
+    
+    if (tree.siteLookup) {
+        const { question, answers, showOn } = tree.siteLookup;
+        const node = nodesById.get(question);
+        const path = 'content.decisionTree.siteLookup';
+        
+        // A missing or malformed answers or showOn is already a schema error
+        if (!node || node.type !== 'question') {
+            errors.push(`${path}.question: "${question}" is not a question`);
+        } else if (answers && typeof answers === 'object' && !Array.isArray(answers)) {
+            Object.keys(answers).forEach(key => {
+                if (!(node.options || []).some(option => option.answer === answers[key])) {
+                    errors.push(`${path}.answers.${key}: "${question}" has no answer "${answers[key]}"`);
+                }
+            });
+        }
+        if (Array.isArray(showOn)) {
+            showOn.forEach((id, index) => {
+                if (!nodesById.has(id)) errors.push(`${path}.showOn[${index}]: node "${id}" does not exist`);
+            });
+        }
+    }
+    
+    return errors;
+}
+
+// Fields each block type needs in order to render
+const BLOCK_REQUIRED_FIELDS = {
+    heading: ['text'],
+    paragraph: ['text'],
+    note: ['text'],
+    list: ['items'],
+    callout: ['title', 'blocks'],
+    pathway: ['pathway', 'title', 'blocks'],
+    group: ['blocks']
+};
+
+function validateBlockFields(blocks, path) {
+    const errors = [];
+    
+    blocks.forEach((block, index) => {
+        const blockPath = `${path}[${index}]`;
+        const requiredFields = BLOCK_REQUIRED_FIELDS[block.type] || [];
+        
+        requiredFields.forEach(field => {
+            if (block[field] === undefined) {
+                errors.push(`${blockPath}: "${block.type}" blocks need a "${field}" property`);
+            }
+        });
+        
+        if (Array.isArray(block.blocks)) {
+            errors.push(...validateBlockFields(block.blocks, `${blockPath}.blocks`));
+        }
+    });
+    
+    return errors;
+}
+
+function findDuplicates(values, path, label) {
+    const seen = new Set();
+    const errors = [];
+    
+    values.forEach(value => {
+        if (value === undefined) return;
+        if (seen.has(value)) {
+            errors.push(`${path}: duplicate ${label} ${JSON.stringify(value)}`);
+        }
+        seen.add(value);
+    });
+    
+    return errors;
+}
+
+function renderContent(content) {
+    document.getElementById('audienceTabs').innerHTML = content.audiences.map(renderAudienceTab).join('');
+    document.getElementById('audiencePanels').innerHTML = content.audiences.map(renderAudiencePanel).join('');
+    
+    document.getElementById('timelineSteps').innerHTML = content.steps
+        .map((step, index) => renderTimelineItem(step, index === content.steps.length - 1))
+        .join('');
+    
+    document.getElementById('detailPanels').innerHTML = content.steps
+        .map(renderDetailPanel)
+        .join('');
+    
+    // Listed A-Z to go with the letter index (see renderGlossaryIndex)
+    document.getElementById('glossaryTerms').innerHTML = [...content.glossary]
+        .sort((a, b) => a.term.localeCompare(b.term, CONTENT_LANGUAGE))
+        .map(term => renderGlossaryItem(term, content.glossary))
+        .join('');
+    
+    document.getElementById('decisionTreeSteps').innerHTML = renderDecisionTreeNodes(content.decisionTree);
+}
+
+// Tab and panel text is interface text, so it comes from locales/ rather than the content
+function renderAudienceTab(audience, index) {
+    const isActive = index === 0;
+    
+    return `
+        <button 
+            class="tab${isActive ? ' active' : ''}" 
+            role="tab" 
+            aria-selected="${isActive}" 
+            aria-controls="${audience.id}-panel"
+            id="${audience.id}-tab"
+            data-tab="${audience.id}"
+        >
+            <i class="fas ${audience.icon}"></i>
+            <span data-i18n="tabs.${audience.id}">${escapeHtml(t(`tabs.${audience.id}`))}</span>
+        </button>`;
+}
+
+function renderAudiencePanel(audience, index) {
+    const isActive = index === 0;
+    
+    return `
+        <div id="${audience.id}-panel" class="tab-content${isActive ? ' active' : ''}" role="tabpanel" aria-labelledby="${audience.id}-tab"${isActive ? '' : ' hidden'}>
+            <div class="container">
+                <div class="panel-intro">
+                    <h3><i class="fas fa-info-circle"></i> <span data-i18n="panel.${audience.id}.title">${escapeHtml(t(`panel.${audience.id}.title`))}</span></h3>
+                    <p data-i18n="panel.${audience.id}.text">${escapeHtml(t(`panel.${audience.id}.text`))}</p>
+                </div>
+            </div>
+        </div>`;
+}
+
+function renderTimelineItem(step, isLast) {
+    const marker = step.number !== undefined
+        ? `<span class="step-number">${step.number}</span>`
+        : `<i class="fas ${step.icon}"></i>`;
+    
+    const influenceBadge = step.influence ? `
+                <span class="influence-badge" title="${escapeHtml(t('timeline.participation'))}" data-i18n-attr="title:timeline.participation">
+                    <i class="fas fa-users"></i>
+                </span>` : '';
+    
+    let connector = '<div class="timeline-connector"></div>';
+    if (isLast) {
+        connector = '';
+    } else if (step.pathwaySplit) {
+        connector = '<div class="timeline-connector pathway-split"><div class="pathway-fork"></div></div>';
+    }
+    
+    return `
+        <div class="timeline-item${step.influence ? ' has-influence' : ''}" data-step="${step.id}" data-audiences="${step.audiences.join(' ')}">
+            <div class="timeline-marker">
+                ${marker}${influenceBadge}
+            </div>
+            <div class="timeline-card">
+                <span class="step-label">${escapeHtml(step.label)}</span>
+                <h4>${escapeHtml(step.title)}</h4>
+                <span class="relevance-badge" hidden>
+                    <i class="fas fa-star" aria-hidden="true"></i> <span></span>
+                </span>
+                <p>${formatInline(step.summary)}</p>
+                <button class="btn-expand" aria-expanded="false" aria-controls="detail-${step.id}">
+                    ${renderUiText('timeline.learnMore')}
+                    <i class="fas fa-chevron-down"></i>
+                </button>
+            </div>
+            ${connector}
+        </div>`;
+}
+
+function renderDetailPanel(step) {
+    const { detail, duration } = step;
+    
+    return `
+        <div id="detail-${step.id}" class="detail-panel" hidden>
+            <div class="detail-content">
+                <h3>${escapeHtml(detail.title)}</h3>
+                <p>${formatInline(detail.intro)}</p>
+                ${renderBlocks(detail.blocks)}
+                <div class="estimated-time">
+                    <i class="fas fa-clock"></i>
+                    <strong>${escapeHtml(duration.label)}:</strong> ${escapeHtml(duration.text)}
+                </div>
+                ${step.commentDraft ? `
+                <button type="button" class="btn-secondary btn-draft-comment" data-comment-stage="${step.id}" data-show-for="${getCommentAudiences().join(' ')}" hidden>
+                    <i class="fas fa-comment-dots"></i> ${renderUiText('comment.draftForStage')}
+                </button>` : ''}
+            </div>
+        </div>`;
+}
+
+function renderBlocks(blocks) {
+    return blocks.map(renderBlock).join('');
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'heading':
+            return `<h4${blockAttributes(block)}>${formatInline(block.text)}</h4>`;
+        case 'paragraph':
+            return `<p${blockAttributes(block)}>${formatInline(block.text)}</p>`;
+        case 'note':
+            return `<p${blockAttributes(block, 'note')}><em>${formatInline(block.text)}</em></p>`;
+        case 'list':
+            return renderList(block.items, block.ordered, blockAttributes(block));
+        case 'callout': {
+            const className = block.variant === 'participation'
+                ? 'participation-box'
+                : `callout-box${block.variant === 'important' ? ' important' : ''}`;
+            return `
+                <div${blockAttributes(block, className)}>
+                    <h4>${renderIcon(block.icon)}${escapeHtml(block.title)}</h4>
+                    ${renderBlocks(block.blocks)}
+                </div>`;
+        }
+        case 'pathway':
+            return `
+                <div${blockAttributes(block, `pathway-explanation ${block.pathway}`)}>
+                    <h5>${renderIcon(block.icon)}${escapeHtml(block.title)}</h5>
+                    ${renderBlocks(block.blocks)}
+                </div>`;
+        case 'group':
+            return `<div${blockAttributes(block, 'content-group')}>${renderBlocks(block.blocks)}</div>`;
+        default:
+            return '';
+    }
+}
+
+// Blocks for some audiences only get the data-show-for list used by updateContentVisibility
+function blockAttributes(block, className = '') {
+    const classList = className ? ` class="${className}"` : '';
+    const audiences = block.audiences ? ` data-show-for="${block.audiences.join(' ')}" hidden` : '';
+    return `${classList}${audiences}`;
+}
+
+function renderList(items, ordered = false, attributes = '') {
+    const tag = ordered ? 'ol' : 'ul';
+    const listItems = items.map(item => {
+        if (typeof item === 'string') {
+            return `<li>${formatInline(item)}</li>`;
+        }
+        const nested = item.items ? renderList(item.items, item.ordered) : '';
+        return `<li>${renderIcon(item.icon)}${formatInline(item.text)}${nested}</li>`;
+    }).join('');
+    
+    return `<${tag}${attributes}>${listItems}</${tag}>`;
+}
+
+function renderIcon(icon) {
+    return icon ? `<i class="fas ${icon}"></i> ` : '';
+}
+
+function renderGlossaryItem(term, glossary) {
+    const related = (term.related || [])
+        .map(id => glossary.find(other => other.id === id))
+        .map(other => `<button type="button" class="glossary-related-link" data-term-id="${other.id}">${escapeHtml(other.term)}</button>`);
+    
+    return `
+        <div class="glossary-item" id="glossary-${term.id}" data-term="${escapeHtml(term.keywords.toLowerCase())}" data-category="${term.category}" data-letter="${getTermLetter(term)}">
+            <h4>${escapeHtml(term.term)}</h4>
+            <p>${formatInline(term.definition)}</p>
+            <span class="glossary-category">${renderUiText(`glossary.category.${term.category}`)}</span>
+            ${related.length > 0 ? `<p class="glossary-related">${renderUiText('glossary.related')} ${related.join(', ')}</p>` : ''}
+        </div>`;
+}
+
+function renderDecisionTreeNodes(tree) {
+    return tree.nodes.map(node => {
+        // The first question has nowhere to go back to
+        const backButton = node.id !== tree.start ? `
+                <button class="btn-back">
+                    <i class="fas fa-arrow-left"></i> ${renderUiText('decision.back')}
+                </button>` : '';
+        
+        // Looking up a site can answer a question for it (see js/site-check.js)
+        const siteLookup = tree.siteLookup && tree.siteLookup.showOn.includes(node.id)
+            ? renderSiteLookupForm(node.id)
+            : '';
+        
+        return node.type === 'question'
+            ? renderDecisionQuestion(node, backButton, siteLookup)
+            : renderDecisionResult(node, backButton, siteLookup);
+    }).join('');
+}
+
+function renderDecisionQuestion(node, backButton, siteLookup) {
+    const options = node.options.map(option => `
+                <button class="btn-decision${option.secondary ? ' secondary' : ''}" data-answer="${option.answer}" data-next="${option.next}">
+                    ${renderIcon(option.icon)}${escapeHtml(option.label)}
+                </button>`).join('');
+    
+    return `
+            <div class="decision-step" data-node="${node.id}">
+                <h3 tabindex="-1">${escapeHtml(node.question)}</h3>
+                ${node.helper ? `<p class="helper-text">${formatInline(node.helper)}</p>` : ''}
+                <div class="decision-buttons">${options}</div>
+                ${siteLookup}
+                ${backButton}
+            </div>`;
+}
+
+function renderDecisionResult(node, backButton, siteLookup) {
+    const points = node.points && node.points.length > 0
+        ? renderList(node.points)
+        : '';
+    const nextSteps = node.nextSteps ? `
+                <div class="next-steps">
+                    <h4>${escapeHtml(node.nextSteps.title)}</h4>
+                    ${renderBlocks(node.nextSteps.blocks)}
+                </div>` : '';
+    const compareButton = node.pathway ? `
+                <button type="button" class="btn-secondary btn-compare-pathways" data-pathway="${node.pathway}">
+                    <i class="fas fa-columns"></i> ${renderUiText('compare.open')}
+                </button>` : '';
+    
+    return `
+            <div class="decision-result" data-node="${node.id}" data-result="${node.id}">
+                <div class="result-icon ${node.iconVariant || node.pathway || 'info'}">
+                    <i class="fas ${node.icon}"></i>
+                </div>
+                <h3 tabindex="-1">${escapeHtml(node.title)}</h3>
+                <p>${formatInline(node.lead)}</p>
+                ${points}
+                <div class="decision-considerations" hidden>
+                    <h4>${renderUiText('decision.considerations')}</h4>
+                    <ul></ul>
+                </div>
+                ${nextSteps}
+                ${siteLookup}
+                <div class="pathway-summary"></div>
+                ${compareButton}
+                <button class="btn-primary btn-view-timeline">
+                    <i class="fas fa-arrow-right"></i> ${renderUiText('decision.viewTimeline')}
+                </button>
+                ${backButton}
+            </div>`;
+}
+
+function renderContentError(error) {
+    console.error(error.message, error.details || []);
+    
+    const details = (error.details || [])
+        .map(detail => `<li><code>${escapeHtml(detail)}</code></li>`)
+        .join('');
+    
+    const container = document.getElementById('timelineSteps');
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="content-error" role="alert">
+            <h4><i class="fas fa-exclamation-circle"></i> ${escapeHtml(t('timeline.contentError'))}</h4>
+            <p>${escapeHtml(error.message)}</p>
+            ${details ? `<ul>${details}</ul>` : ''}
+        </div>`;
+}
+
+// Interface text inside the English guide content: marked with its own lang, and with
+// data-i18n so applyTranslations() can update it when the language changes
+function renderUiText(key) {
+    return `<span data-i18n="${key}" lang="${currentLocale}">${escapeHtml(t(key))}</span>`;
+}
+
+// Content text supports **bold**, *italic* and [label](url) links
+function formatInline(text) {
+    return escapeHtml(text)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            return isSafeHref(href) ? `<a href="${href}">${label}</a>` : label;
+        })
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+function isSafeHref(href) {
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(href);
+    return !hasScheme || /^(https?|mailto|tel):/i.test(href);
+}
@@ -0,0 +1,613 @@
+/**
+ * Vancouver Rezoning Guide - Decision Tree
+ * The "find your pathway" questions and the printable, shareable summary of the result.
+ */
+
+// ========================================
+// Decision Tree Modal
+// ========================================
+let decisionTreeDialog = null;
+
+function initializeDecisionTree() {
+    const openButton = document.getElementById('openDecisionTree');
+    const modal = document.getElementById('decisionTreeModal');
+    const closeButton = modal.querySelector('.modal-close');
+    const decisionButtons = modal.querySelectorAll('.btn-decision');
+    
+    decisionTreeDialog = createDialog(modal, {
+        onDismiss: function() {
+            trackPathwayExit('escape');
+            closeDecisionTree();
+        },
+        fallbackFocus: openButton
+    });
+    
+    // Open modal
+    openButton.addEventListener('click', function() {
+        openDecisionTreeModal();
+        trackEvent('pathway_start', { source: 'button' });
+    });
+    
+    // Close modal
+    closeButton.addEventListener('click', function() {
+        trackPathwayExit('close');
+        closeDecisionTree();
+    });
+    
+    // Close on backdrop click
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal) {
+            trackPathwayExit('backdrop');
+            closeDecisionTree();
+        }
+    });
+    
+    // Decision button handlers
+    decisionButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            handleDecisionTreeChoice(this);
+        });
+    });
+    
+    modal.querySelectorAll('.btn-back').forEach(button => {
+        button.addEventListener('click', goBackDecision);
+    });
+    
+    // Pathway results open the comparison on top, with their own column marked
+    modal.querySelectorAll('.btn-compare-pathways').forEach(button => {
+        button.addEventListener('click', function() {
+            openPathwayComparison(this.dataset.pathway, 'result');
+        });
+    });
+    
+    modal.querySelectorAll('.btn-view-timeline').forEach(button => {
+        button.addEventListener('click', function() {
+            trackPathwayExit('timeline');
+            closeDecisionTree();
+        });
+    });
+    
+    // Print / download / share buttons in the result summary
+    modal.addEventListener('click', function(e) {
+        const actionButton = e.target.closest('[data-summary-action]');
+        if (actionButton) {
+            handlePathwaySummaryAction(actionButton.dataset.summaryAction);
+        }
+    });
+    
+    // Breadcrumb answers jump back to that question
+    document.getElementById('decisionBreadcrumb').addEventListener('click', function(e) {
+        const crumb = e.target.closest('.breadcrumb-answer');
+        if (crumb) {
+            revisitDecisionAnswer(parseInt(crumb.dataset.historyIndex, 10));
+        }
+    });
+}
+
+// Opens at the first question, or at a previous result when given { nodeId, history }
+function openDecisionTreeModal(pathway = null) {
+    state.decisionTreeOpen = true;
+    
+    if (guideContent) {
+        state.decisionTreeHistory = pathway ? pathway.history.slice() : [];
+        showDecisionNode(pathway ? pathway.nodeId : guideContent.decisionTree.start);
+    }
+    
+    decisionTreeDialog.open();
+}
+
+function closeDecisionTree() {
+    state.decisionTreeOpen = false;
+    
+    // Focus goes back to whatever opened it
+    decisionTreeDialog.close();
+    
+    updateRoute();
+}
+
+// Make closeDecisionTree available globally for onclick handlers
+window.closeDecisionTree = closeDecisionTree;
+
+function handleDecisionTreeChoice(button) {
+    const nodeId = button.closest('.decision-step').dataset.node;
+    
+    state.decisionTreeHistory.push({ nodeId, answer: button.dataset.answer });
+    showDecisionNode(button.dataset.next, { moveFocus: true });
+    
+    trackEvent('pathway_answer', {
+        question: nodeId,
+        answer: button.dataset.answer,
+        answers: state.decisionTreeHistory.length
+    });
+    if (getDecisionNode(button.dataset.next).type === 'result') {
+        trackEvent('pathway_result', {
+            result: button.dataset.next,
+            path: formatPathwayPath(state.decisionTreeHistory)
+        });
+    }
+}
+
+function getDecisionNode(nodeId) {
+    return guideContent.decisionTree.nodes.find(node => node.id === nodeId);
+}
+
+function showDecisionNode(nodeId, { moveFocus = false } = {}) {
+    const node = getDecisionNode(nodeId);
+    if (!node) return;
+    
+    state.decisionTreeNode = nodeId;
+    
+    // Show only the current question or result
+    document.querySelectorAll('.decision-step, .decision-result').forEach(element => {
+        element.classList.toggle('active', element.dataset.node === nodeId);
+    });
+    
+    if (node.type === 'result') {
+        renderDecisionConsiderations(nodeId);
+        renderPathwaySummary(nodeId);
+        selectEstimatorPathway(nodeId);
+        selectFeePathway(nodeId);
+        
+        state.lastPathwayResult = { nodeId, history: state.decisionTreeHistory.slice() };
+        renderResumePathway();
+    }
+    
+    renderDecisionBreadcrumb();
+    updateRoute();
+    
+    if (moveFocus) {
+        // The button that was pressed is now hidden, so move focus to the new heading
+        const heading = document.querySelector(`[data-node="${nodeId}"] h3`);
+        if (heading) heading.focus();
+    }
+}
+
+// Answer-specific notes (e.g. heritage or tenure) shown under a result
+function renderDecisionConsiderations(resultId) {
+    const container = document.querySelector(`.decision-result[data-node="${resultId}"] .decision-considerations`);
+    if (!container) return;
+    
+    const considerations = getApplicableConsiderations();
+    
+    container.querySelector('ul').innerHTML = considerations
+        .map(consideration => `<li><i class="fas fa-info-circle"></i> ${formatInline(consideration.text)}</li>`)
+        .join('');
+    container.hidden = considerations.length === 0;
+}
+
+function getApplicableConsiderations() {
+    return (guideContent.decisionTree.considerations || []).filter(consideration => {
+        return state.decisionTreeHistory.some(entry => {
+            return entry.nodeId === consideration.when.node && entry.answer === consideration.when.answer;
+        });
+    });
+}
+
+function renderDecisionBreadcrumb() {
+    const breadcrumb = document.getElementById('decisionBreadcrumb');
+    if (!breadcrumb) return;
+    
+    const crumbs = state.decisionTreeHistory.map((entry, index) => {
+        const node = getDecisionNode(entry.nodeId);
+        const option = node.options.find(o => o.answer === entry.answer);
+        
+        return `
+            <li>
+                <button type="button" class="breadcrumb-answer" data-history-index="${index}" title="${escapeHtml(t('decision.changeAnswer'))}">
+                    <span class="breadcrumb-question">${escapeHtml(node.short)}:</span>
+                    ${escapeHtml(option ? option.label : entry.answer)}
+                </button>
+            </li>`;
+    }).join('');
+    
+    breadcrumb.querySelector('ol').innerHTML = crumbs;
+    breadcrumb.hidden = state.decisionTreeHistory.length === 0;
+}
+
+// Return to the question at history[index] so its answer can be changed
+function revisitDecisionAnswer(index) {
+    const entry = state.decisionTreeHistory[index];
+    if (!entry) return;
+    
+    state.decisionTreeHistory = state.decisionTreeHistory.slice(0, index);
+    showDecisionNode(entry.nodeId, { moveFocus: true });
+    trackEvent('pathway_revisit', { question: entry.nodeId });
+}
+
+function goBackDecision() {
+    // Go back to the question that was actually answered last, not the previous one in the file
+    const previous = state.decisionTreeHistory.pop();
+    if (previous) {
+        showDecisionNode(previous.nodeId, { moveFocus: true });
+        trackEvent('pathway_back', { question: previous.nodeId });
+    }
+}
+
+// Make goBackDecision available globally for onclick handlers
+window.goBackDecision = goBackDecision;
+
+// ========================================
+// Pathway Summary (print, download, share)
+// ========================================
+const PATHWAY_HASH_PREFIX = '#pathway/';
+
+/**
+ * Collect everything needed to describe the current decision-tree result:
+ * the answers given, the resulting pathway, its timeline steps and, if one has been
+ * made for this pathway, the fee estimate (see getFeeEstimate).
+ */
+function buildPathwaySummary(resultId = state.decisionTreeNode) {
+    const result = getDecisionNode(resultId);
+    
+    const answers = state.decisionTreeHistory.map(entry => {
+        const node = getDecisionNode(entry.nodeId);
+        const option = node.options.find(o => o.answer === entry.answer);
+        return {
+            question: node.short,
+            answer: option ? option.label : entry.answer
+        };
+    });
+    
+    const steps = getPathwaySteps(result);
+    
+    return {
+        result,
+        answers,
+        steps,
+        considerations: getApplicableConsiderations().map(c => c.text),
+        totalDuration: sumStepDurations(steps),
+        fees: getFeeEstimate(result.id),
+        url: buildPathwayUrl(resultId, state.decisionTreeHistory),
+        generatedOn: new Date()
+    };
+}
+
+// A result's timeline steps; a pathway can give its own duration for a step (e.g. a public hearing)
+function getPathwaySteps(result) {
+    return (result.steps || []).map(entry => {
+        const step = guideContent.steps.find(s => s.id === entry.step);
+        return {
+            id: step.id,
+            title: step.title,
+            duration: Object.assign({}, step.duration, entry.duration),
+            note: entry.note || '',
+            influence: step.influence
+        };
+    });
+}
+
+// Add up the structured min/max durations; steps without one are left out
+function sumStepDurations(steps) {
+    const timed = steps.filter(step => step.duration.min !== undefined && step.duration.max !== undefined);
+    if (timed.length === 0) return null;
+    
+    const toMonths = (value, unit) => unit === 'weeks' ? value / 4.345 : value;
+    const total = timed.reduce((sum, step) => ({
+        min: sum.min + toMonths(step.duration.min, step.duration.unit),
+        max: sum.max + toMonths(step.duration.max, step.duration.unit)
+    }), { min: 0, max: 0 });
+    
+    return {
+        min: Math.round(total.min),
+        max: Math.round(total.max),
+        unit: 'months',
+        untimedSteps: steps.filter(step => !timed.includes(step)).map(step => step.title)
+    };
+}
+
+// e.g. #pathway/fast-track/odp:yes,residential:yes
+function formatPathwayHash(nodeId, history) {
+    if (nodeId === guideContent.decisionTree.start && history.length === 0) {
+        return '#pathway';
+    }
+    const answers = history.map(entry => `${entry.nodeId}:${entry.answer}`).join(',');
+    return `${PATHWAY_HASH_PREFIX}${nodeId}${answers ? `/${answers}` : ''}`;
+}
+
+function buildPathwayUrl(resultId, history) {
+    return `${location.origin}${location.pathname}${formatPathwayHash(resultId, history)}`;
+}
+
+/**
+ * Replay the answers from a #pathway/... hash through the tree. Returns the
+ * node and history if every answer is valid and leads to that node,
+ * otherwise null. A bare #pathway/<result> is allowed without answers.
+ */
+function parsePathwayHash(hash) {
+    if (hash === '#pathway') {
+        return { nodeId: guideContent.decisionTree.start, history: [] };
+    }
+    if (!hash.startsWith(PATHWAY_HASH_PREFIX)) return null;
+    
+    const decoded = safeDecodeURIComponent(hash.slice(PATHWAY_HASH_PREFIX.length));
+    if (decoded === null) return null;
+    
+    const [targetId, answerList = ''] = decoded.split('/');
+    const target = getDecisionNode(targetId);
+    if (!target) return null;
+    
+    const history = [];
+    let nodeId = guideContent.decisionTree.start;
+    
+    for (const token of answerList.split(',').filter(Boolean)) {
+        const [tokenNodeId, answer] = token.split(':');
+        const node = getDecisionNode(nodeId);
+        const option = node && node.type === 'question' && tokenNodeId === nodeId
+            ? node.options.find(o => o.answer === answer)
+            : null;
+        
+        if (!option) return null;
+        
+        history.push({ nodeId, answer });
+        nodeId = option.next;
+    }
+    
+    const isBareResult = history.length === 0 && target.type === 'result';
+    if (nodeId !== targetId && !isBareResult) return null;
+    
+    return { nodeId: targetId, history };
+}
+
+function renderPathwaySummary(resultId) {
+    const container = document.querySelector(`.decision-result[data-node="${resultId}"] .pathway-summary`);
+    if (!container) return;
+    
+    const summary = buildPathwaySummary(resultId);
+    
+    const stepRows = summary.steps.map(step => `
+            <li${step.influence ? ' class="has-influence"' : ''}>
+                <span class="summary-step-title">${escapeHtml(step.title)}</span>
+                <span class="summary-step-duration">${escapeHtml(step.duration.text)}</span>
+                ${step.note ? `<span class="summary-step-note">${escapeHtml(step.note)}</span>` : ''}
+            </li>`).join('');
+    
+    const total = summary.totalDuration
+        ? `<p class="summary-total"><i class="fas fa-clock"></i> <strong>${escapeHtml(t('summary.total'))}</strong> ${escapeHtml(formatTotalDuration(summary.totalDuration))}</p>`
+        : '';
+    
+    const timeline = stepRows ? `
+        <h4>${escapeHtml(t('summary.steps'))}</h4>
+        <ol class="summary-steps">${stepRows}</ol>
+        ${total}` : '';
+    
+    // The summary is interface text inside the English result
+    container.lang = currentLocale;
+    container.innerHTML = `
+        ${timeline}
+        <div class="summary-actions" role="group" aria-label="${escapeHtml(t('summary.actions'))}">
+            <button type="button" class="btn-secondary" data-summary-action="print">
+                <i class="fas fa-print"></i> ${escapeHtml(t('summary.print'))}
+            </button>
+            <button type="button" class="btn-secondary" data-summary-action="markdown">
+                <i class="fas fa-file-download"></i> ${escapeHtml(t('summary.downloadMarkdown'))}
+            </button>
+            <button type="button" class="btn-secondary" data-summary-action="text">
+                <i class="fas fa-file-alt"></i> ${escapeHtml(t('summary.downloadText'))}
+            </button>
+            <button type="button" class="btn-secondary" data-summary-action="link">
+                <i class="fas fa-link"></i> ${escapeHtml(t('summary.copyLink'))}
+            </button>
+        </div>`;
+}
+
+// Totals are always in months (see sumStepDurations)
+function formatTotalDuration(total) {
+    const text = t('summary.months', { min: total.min, count: total.max });
+    if (total.untimedSteps.length > 0) {
+        return t('summary.notCounting', { total: text, steps: total.untimedSteps.join(', ') });
+    }
+    return text;
+}
+
+function handlePathwaySummaryAction(action) {
+    const summary = buildPathwaySummary();
+    const fileName = `rezoning-pathway-${summary.result.id}`;
+    
+    trackEvent('pathway_summary', { action, result: summary.result.id });
+    
+    switch (action) {
+        case 'print':
+            printPathwaySummary(summary);
+            break;
+        case 'markdown':
+            downloadFile(`${fileName}.md`, formatPathwaySummary(summary, 'markdown'), 'text/markdown');
+            break;
+        case 'text':
+            downloadFile(`${fileName}.txt`, formatPathwaySummary(summary, 'text'), 'text/plain');
+            break;
+        case 'link':
+            copyToClipboard(summary.url).then(copied => {
+                if (copied) {
+                    showNotification(t('summary.linkCopied'), 'success');
+                } else {
+                    showNotification(t('summary.copyThisLink', { url: summary.url }), 'warning');
+                }
+            });
+            break;
+    }
+}
+
+/**
+ * Plain-text and Markdown versions of the summary share one outline;
+ * only headings, emphasis and the step table differ.
+ */
+function formatPathwaySummary(summary, format) {
+    const isMarkdown = format === 'markdown';
+    const lines = [];
+    const inline = text => isMarkdown ? text : stripInlineFormatting(text);
+    const heading = (text, level) => {
+        if (isMarkdown) {
+            lines.push(`${'#'.repeat(level)} ${text}`, '');
+        } else {
+            lines.push(text, (level === 1 ? '=' : '-').repeat(text.length), '');
+        }
+    };
+    const bullet = text => lines.push(`${isMarkdown ? '-' : '*'} ${text}`);
+    
+    heading(t('summary.heading', { title: summary.result.title }), 1);
+    lines.push(inline(summary.result.lead), '');
+    (summary.result.points || []).forEach(point => bullet(inline(point.text)));
+    if (summary.result.points) lines.push('');
+    
+    if (summary.answers.length > 0) {
+        heading(t('summary.answers'), 2);
+        summary.answers.forEach(a => bullet(isMarkdown ? `**${a.question}:** ${a.answer}` : `${a.question}: ${a.answer}`));
+        lines.push('');
+    }
+    
+    if (summary.considerations.length > 0) {
+        heading(t('summary.considerations'), 2);
+        summary.considerations.forEach(text => bullet(inline(text)));
+        lines.push('');
+    }
+    
+    if (summary.steps.length > 0) {
+        heading(t('summary.timeline'), 2);
+        if (isMarkdown) {
+            lines.push(
+                `| ${t('summary.columnStep')} | ${t('summary.columnDuration')} | ${t('summary.columnNotes')} |`,
+                '| --- | --- | --- |'
+            );
+            summary.steps.forEach(step => {
+                const cells = [step.title, step.duration.text, step.note].map(escapeMarkdownCell);
+                lines.push(`| ${cells.join(' | ')} |`);
+            });
+        } else {
+            summary.steps.forEach((step, index) => {
+                lines.push(`${index + 1}. ${step.title} - ${step.duration.text}${step.note ? ` (${step.note})` : ''}`);
+            });
+        }
+        lines.push('');
+        
+        if (summary.totalDuration) {
+            lines.push(t('summary.totalLine', { total: formatTotalDuration(summary.totalDuration) }), '');
+        }
+    }
+    
+    if (summary.fees) {
+        heading(t('fees.summaryHeading'), 2);
+        summary.fees.categories.forEach(category => {
+            const title = `${category.title}: ${category.subtotal}`;
+            lines.push(isMarkdown ? `**${title}**` : title);
+            category.items.forEach(item => bullet(`${item.name}: ${item.amount}`));
+            lines.push('');
+        });
+        lines.push(t('fees.totalLine', { total: summary.fees.total }), '');
+        
+        heading(t('fees.assumptions'), 3);
+        summary.fees.assumptions.concat(summary.fees.notes).forEach(bullet);
+        lines.push('');
+    }
+    
+    lines.push(
+        isMarkdown ? `[${t('summary.openLink')}](${summary.url})` : t('summary.openLinkText', { url: summary.url }),
+        '',
+        t('summary.generatedBy', { date: summary.generatedOn.toISOString().slice(0, 10) }),
+        t('footer.disclaimer')
+    );
+    
+    return lines.join('\n') + '\n';
+}
+
+// A "|" would end the cell and a line break the row
+function escapeMarkdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+function stripInlineFormatting(text) {
+    return text
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            return label === href.replace(/^mailto:/, '') ? label : `${label} (${href})`;
+        })
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/\*(.+?)\*/g, '$1');
+}
+
+// Print only the summary, via the body.printing-pathway-summary print styles
+function printPathwaySummary(summary) {
+    let printView = document.getElementById('pathwaySummaryPrint');
+    if (!printView) {
+        printView = document.createElement('section');
+        printView.id = 'pathwaySummaryPrint';
+        printView.className = 'pathway-summary-print';
+        document.body.appendChild(printView);
+    }
+    
+    const answers = summary.answers.map(a => `
+            <dt>${escapeHtml(a.question)}</dt>
+            <dd>${escapeHtml(a.answer)}</dd>`).join('');
+    
+    const steps = summary.steps.map(step => `
+            <tr>
+                <td>${escapeHtml(step.title)}${step.influence ? ` <em>${escapeHtml(t('summary.publicInput'))}</em>` : ''}</td>
+                <td>${escapeHtml(step.duration.text)}</td>
+                <td>${escapeHtml(step.note)}</td>
+            </tr>`).join('');
+    
+    printView.innerHTML = `
+        <header>
+            <p class="print-masthead">${escapeHtml(t('summary.masthead'))}</p>
+            <h1>${escapeHtml(t('summary.heading', { title: summary.result.title }))}</h1>
+            <p>${formatInline(summary.result.lead)}</p>
+        </header>
+        ${summary.result.points ? renderList(summary.result.points) : ''}
+        ${answers ? `<h2>${escapeHtml(t('summary.answers'))}</h2><dl>${answers}</dl>` : ''}
+        ${summary.considerations.length > 0 ? `<h2>${escapeHtml(t('summary.considerations'))}</h2>${renderList(summary.considerations)}` : ''}
+        ${steps ? `
+        <h2>${escapeHtml(t('summary.timeline'))}</h2>
+        <table>
+            <thead><tr><th scope="col">${escapeHtml(t('summary.columnStep'))}</th><th scope="col">${escapeHtml(t('summary.columnDuration'))}</th><th scope="col">${escapeHtml(t('summary.columnNotes'))}</th></tr></thead>
+            <tbody>${steps}</tbody>
+        </table>` : ''}
+        ${summary.totalDuration ? `<p><strong>${escapeHtml(t('summary.total'))}</strong> ${escapeHtml(formatTotalDuration(summary.totalDuration))}</p>` : ''}
+        ${summary.fees ? renderFeeSummaryPrint(summary.fees) : ''}
+        <p class="print-url">${escapeHtml(t('summary.openOnline', { url: summary.url }))}</p>
+        <p class="disclaimer">${escapeHtml(t('summary.generatedOn', { date: summary.generatedOn.toISOString().slice(0, 10) }))} ${escapeHtml(t('footer.disclaimer'))}</p>`;
+    
+    document.body.classList.add('printing-pathway-summary');
+    window.addEventListener('afterprint', function() {
+        document.body.classList.remove('printing-pathway-summary');
+    }, { once: true });
+    
+    window.print();
+}
+
+function renderFeeSummaryPrint(fees) {
+    const rows = fees.categories.map(category => `
+            <tr><th scope="colgroup" colspan="2">${escapeHtml(category.title)}</th></tr>
+            ${category.items.map(item => `<tr><td>${escapeHtml(item.name)}</td><td>${escapeHtml(item.amount)}</td></tr>`).join('')}
+            <tr><td><em>${escapeHtml(t('fees.subtotal'))}</em></td><td><em>${escapeHtml(category.subtotal)}</em></td></tr>`).join('');
+    
+    return `
+        <h2>${escapeHtml(t('fees.summaryHeading'))}</h2>
+        <table>
+            <thead><tr><th scope="col">${escapeHtml(t('fees.columnItem'))}</th><th scope="col">${escapeHtml(t('fees.columnEstimate'))}</th></tr></thead>
+            <tbody>${rows}</tbody>
+            <tfoot><tr><th scope="row">${escapeHtml(t('fees.total'))}</th><td><strong>${escapeHtml(fees.total)}</strong></td></tr></tfoot>
+        </table>
+        <h3>${escapeHtml(t('fees.assumptions'))}</h3>
+        <ul>${fees.assumptions.concat(fees.notes).map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`;
+}
+
+function downloadFile(fileName, contents, mimeType) {
+    const blob = new Blob([contents], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
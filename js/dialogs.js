@@ -0,0 +1,203 @@
+/**
+ * Vancouver Rezoning Guide - Dialogs
+ * Modal dialogs: focus trap, inert background and scroll lock (see createDialog).
+ */
+
+// ========================================
+// Dialogs
+// ========================================
+// Modal behaviour shared by the decision tree and the glossary. While a dialog is open:
+// Tab stays inside it, the rest of the page is inert and hidden from screen readers,
+// the page behind doesn't scroll, and Escape dismisses it. Closing returns focus to
+// whatever opened it. Dialogs stack; only the topmost one can be used.
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const openDialogs = [];             // Open dialogs, topmost last
+const inertedElements = new Set();  // Elements made inert for the topmost dialog
+let scrollLock = null;              // Body styles to put back once the last dialog closes
+
+function initializeDialogs() {
+    document.addEventListener('keydown', handleDialogKeyboard);
+    
+    // Fallback for browsers without inert: don't let focus wander behind the dialog
+    document.addEventListener('focusin', function(e) {
+        const dialog = getTopDialog();
+        if (dialog && isInerted(e.target)) {
+            focusFirstIn(dialog.element);
+        }
+    });
+}
+
+/**
+ * Wrap a hidden element in dialog behaviour.
+ * onDismiss: called for Escape; should end up calling close()
+ * fallbackFocus: where focus goes on close when the opener is gone (e.g. opened from a link)
+ */
+function createDialog(element, { onDismiss, fallbackFocus = null } = {}) {
+    const dialog = { element, onDismiss, fallbackFocus, opener: null };
+    
+    return {
+        open: (options) => openDialog(dialog, options),
+        close: () => closeDialog(dialog)
+    };
+}
+
+// initialFocus: element to focus, null to leave focus alone, or omitted for the first focusable element
+function openDialog(dialog, { initialFocus } = {}) {
+    if (!openDialogs.includes(dialog)) {
+        dialog.opener = document.activeElement;
+        openDialogs.push(dialog);
+        dialog.element.hidden = false;
+        lockScroll();
+        updateInertBackground();
+    }
+    
+    if (initialFocus === undefined) {
+        focusFirstIn(dialog.element);
+    } else if (initialFocus) {
+        initialFocus.focus();
+    }
+}
+
+function closeDialog(dialog) {
+    const index = openDialogs.indexOf(dialog);
+    if (index === -1) return;
+    
+    // A dialog underneath the top one can close without taking focus from the top one
+    const hadFocus = dialog.element.contains(document.activeElement) ||
+        document.activeElement === document.body;
+    
+    openDialogs.splice(index, 1);
+    dialog.element.hidden = true;
+    updateInertBackground();
+    if (openDialogs.length === 0) unlockScroll();
+    
+    if (hadFocus) {
+        const target = isFocusable(dialog.opener) ? dialog.opener : dialog.fallbackFocus;
+        if (target) target.focus();
+    }
+    dialog.opener = null;
+}
+
+function getTopDialog() {
+    return openDialogs[openDialogs.length - 1] || null;
+}
+
+function handleDialogKeyboard(e) {
+    const dialog = getTopDialog();
+    if (!dialog) return;
+    
+    if (e.key === 'Escape' && !e.defaultPrevented) {
+        e.preventDefault();
+        if (dialog.onDismiss) dialog.onDismiss();
+    } else if (e.key === 'Tab') {
+        trapFocus(e, dialog.element);
+    }
+}
+
+// Wrap Tab and Shift+Tab around the ends of the dialog
+function trapFocus(e, element) {
+    const focusable = getFocusableElements(element);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    
+    if (!element.contains(active)) {
+        e.preventDefault();
+        (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+function getFocusableElements(element) {
+    return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => !el.closest('[hidden], [inert]'));
+}
+
+function focusFirstIn(element) {
+    const first = getFocusableElements(element)[0];
+    if (first) first.focus();
+}
+
+function isFocusable(element) {
+    return Boolean(element) && element !== document.body && element.isConnected &&
+        !element.closest('[hidden], [inert]');
+}
+
+// Everything outside the top dialog becomes inert: its siblings, and its ancestors' siblings.
+// Live regions stay, so announcements are still heard, and so do toasts (see below).
+function updateInertBackground() {
+    inertedElements.forEach(element => {
+        element.removeAttribute('inert');
+        element.removeAttribute('aria-hidden');
+    });
+    inertedElements.clear();
+    
+    const dialog = getTopDialog();
+    if (!dialog) return;
+    
+    for (let node = dialog.element; node && node !== document.body; node = node.parentElement) {
+        Array.from(node.parentElement.children).forEach(sibling => {
+            if (sibling === node || sibling.hasAttribute('inert') || isLiveRegion(sibling)) return;
+            // Tooltips show over whichever dialog is on top, and must stay hoverable
+            if (sibling.getAttribute('role') === 'tooltip') return;
+            // Toasts raised from a dialog (e.g. "Link copied", or Reload for an update) need
+            // their buttons; the stack isn't a live region, since announce() reads them out
+            if (sibling.id === 'toastStack') return;
+            if (['SCRIPT', 'STYLE'].includes(sibling.tagName)) return;
+            
+            sibling.setAttribute('inert', '');
+            sibling.setAttribute('aria-hidden', 'true');
+            inertedElements.add(sibling);
+        });
+    }
+}
+
+function isInerted(element) {
+    return Array.from(inertedElements).some(inerted => inerted.contains(element));
+}
+
+function isLiveRegion(element) {
+    return element.hasAttribute('aria-live') || ['status', 'alert'].includes(element.getAttribute('role'));
+}
+
+// Keeps the page from shifting when the scrollbar disappears
+function lockScroll() {
+    if (scrollLock) return;
+    
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    scrollLock = {
+        overflow: document.body.style.overflow,
+        paddingInlineEnd: document.body.style.paddingInlineEnd
+    };
+    
+    document.body.style.overflow = 'hidden';
+    if (scrollbarWidth > 0) {
+        document.body.style.paddingInlineEnd = `${scrollbarWidth}px`;
+    }
+}
+
+function unlockScroll() {
+    if (!scrollLock) return;
+    
+    document.body.style.overflow = scrollLock.overflow;
+    document.body.style.paddingInlineEnd = scrollLock.paddingInlineEnd;
+    scrollLock = null;
+}
@@ -0,0 +1,187 @@
+/**
+ * Vancouver Rezoning Guide - Timeline Estimator
+ * The form around timeline-estimator.js: dates for a project, calendar export and printing.
+ */
+
+// ========================================
+// Timeline Estimator (dates from timeline-estimator.js)
+// ========================================
+const ICS_UID_DOMAIN = 'vancouver-rezoning-guide';
+
+// The estimate on screen, for the calendar download
+let currentEstimate = null;
+
+function initializeEstimator() {
+    const startInput = document.getElementById('estimateStart');
+    const pathwaySelect = document.getElementById('estimatePathway');
+    if (!guideContent) return;
+    
+    pathwaySelect.innerHTML = renderPathwayOptions();
+    
+    startInput.value = getTodayIsoDate();
+    
+    startInput.addEventListener('change', renderTimelineEstimate);
+    pathwaySelect.addEventListener('change', renderTimelineEstimate);
+    
+    document.getElementById('estimateDownloadIcs').addEventListener('click', downloadTimelineCalendar);
+    document.getElementById('estimateReminders').addEventListener('change', function() {
+        document.getElementById('estimateReminderDays').disabled = !this.checked;
+    });
+    
+    renderTimelineEstimate();
+}
+
+// Results that lay out timeline steps, e.g. Fast Track, Optional Path, Full Process
+function renderPathwayOptions() {
+    return guideContent.decisionTree.nodes
+        .filter(node => node.type === 'result' && node.steps && node.steps.length > 0)
+        .map(node => `<option value="${node.id}">${escapeHtml(node.title)}</option>`)
+        .join('');
+}
+
+// Follow the decision tree: reaching a result estimates that pathway
+function selectEstimatorPathway(resultId) {
+    const pathwaySelect = document.getElementById('estimatePathway');
+    if (!pathwaySelect.querySelector(`option[value="${resultId}"]`)) return;
+    
+    pathwaySelect.value = resultId;
+    renderTimelineEstimate();
+}
+
+function renderTimelineEstimate() {
+    const chart = document.getElementById('estimateChart');
+    const start = parseIsoDate(document.getElementById('estimateStart').value);
+    const result = getDecisionNode(document.getElementById('estimatePathway').value);
+    
+    const downloadButton = document.getElementById('estimateDownloadIcs');
+    
+    if (!start || !result) {
+        currentEstimate = null;
+        downloadButton.disabled = true;
+        chart.innerHTML = `<p class="estimate-hint">${escapeHtml(t('estimator.hint'))}</p>`;
+        return;
+    }
+    
+    const steps = getPathwaySteps(result);
+    const estimate = estimateTimeline(steps, start);
+    currentEstimate = { result, steps, estimate };
+    downloadButton.disabled = false;
+    const bar = (from, to, className) => {
+        const left = getTimelineFraction(estimate, from) * 100;
+        const width = Math.max(getTimelineFraction(estimate, to) * 100 - left, 0.5);
+        return `<span class="${className}" style="inset-inline-start: ${left.toFixed(2)}%; width: ${width.toFixed(2)}%;"></span>`;
+    };
+    
+    const rows = estimate.steps.map(step => `
+        <li class="estimate-row">
+            <div class="estimate-label">
+                <strong>${escapeHtml(step.title)}</strong>
+                <span>${escapeHtml(t('estimator.likely', { range: formatEstimateRange(step.likely) }))}</span>
+                <span class="estimate-range">${escapeHtml(t('estimator.ranges', {
+                    optimistic: formatEstimateRange(step.optimistic),
+                    pessimistic: formatEstimateRange(step.pessimistic)
+                }))}</span>
+            </div>
+            <div class="estimate-track" aria-hidden="true">
+                ${bar(step.optimistic.start, step.pessimistic.end, 'estimate-bar-range')}
+                ${bar(step.likely.start, step.likely.end, 'estimate-bar-likely')}
+            </div>
+        </li>`).join('');
+    
+    const untimed = estimate.untimedSteps.length > 0
+        ? `<p class="estimate-hint">${escapeHtml(t('estimator.untimed', { steps: estimate.untimedSteps.join(', ') }))}</p>`
+        : '';
+    
+    chart.innerHTML = `
+        <ol class="estimate-rows">${rows}</ol>
+        <p class="estimate-total">
+            <i class="fas fa-flag-checkered"></i>
+            <strong>${escapeHtml(t('estimator.permits'))}</strong>
+            ${escapeHtml(t('estimator.permitsBy', {
+                likely: formatEstimateDate(estimate.end.likely),
+                optimistic: formatEstimateDate(estimate.end.optimistic),
+                pessimistic: formatEstimateDate(estimate.end.pessimistic)
+            }))}
+        </p>
+        ${untimed}`;
+}
+
+// One all-day event per step on its likely dates, described from its detail panel
+function downloadTimelineCalendar() {
+    if (!currentEstimate) return;
+    
+    const { result, steps, estimate } = currentEstimate;
+    const reminderDays = document.getElementById('estimateReminders').checked
+        ? parseInt(document.getElementById('estimateReminderDays').value, 10)
+        : 0;
+    
+    const events = estimate.steps.map(estimatedStep => {
+        const step = steps.find(s => s.id === estimatedStep.id);
+        const { start, end } = estimatedStep.likely;
+        
+        const description = [
+            step.note,
+            step.influence ? t('estimator.eventParticipation') : '',
+            t('estimator.eventDates', {
+                likely: formatEstimateRange(estimatedStep.likely),
+                optimistic: formatEstimateRange(estimatedStep.optimistic),
+                pessimistic: formatEstimateRange(estimatedStep.pessimistic)
+            }),
+            getDetailPanelText(`detail-${step.id}`),
+            `${location.origin}${location.pathname}#developer/${step.id}`
+        ].filter(Boolean).join('\n\n');
+        
+        return {
+            uid: `${result.id}-${step.id}-${formatIcsDate(estimate.start)}@${ICS_UID_DOMAIN}`,
+            start,
+            // The next step starts the day this one ends
+            end: end > start ? addDays(end, -1) : start,
+            summary: step.title,
+            description,
+            reminderDays: step.influence ? reminderDays : 0,
+            reminderDescription: t('estimator.eventReminder', { step: step.title })
+        };
+    });
+    
+    const calendar = buildIcsCalendar(events, { name: t('estimator.calendarName', { pathway: result.title }) });
+    downloadFile(`rezoning-schedule-${result.id}-${formatIsoDate(estimate.start)}.ics`, calendar, 'text/calendar');
+    showNotification(t('estimator.downloaded'), 'success');
+}
+
+// Readable plain text of a detail panel, one paragraph or list item per line
+function getDetailPanelText(panelId) {
+    const panel = document.getElementById(panelId);
+    if (!panel) return '';
+    
+    return Array.from(panel.querySelectorAll('h4, p, li')).map(element => {
+        const copy = element.cloneNode(true);
+        copy.querySelectorAll('ul, ol').forEach(list => list.remove());
+        const text = copy.textContent.replace(/\s+/g, ' ').trim();
+        return element.tagName === 'LI' && text ? `• ${text}` : text;
+    }).filter(Boolean).join('\n');
+}
+
+function formatEstimateRange(range) {
+    return `${formatEstimateDate(range.start)} – ${formatEstimateDate(range.end)}`;
+}
+
+// Always Gregorian, to match the date inputs and the City's deadlines
+function formatEstimateDate(date) {
+    return date.toLocaleDateString(getIntlLocale(), {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC',
+        calendar: 'gregory'
+    });
+}
+
+// Today in the visitor's time zone, as YYYY-MM-DD
+function getTodayIsoDate() {
+    const today = new Date();
+    return [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0')
+    ].join('-');
+}
@@ -0,0 +1,192 @@
+/**
+ * Vancouver Rezoning Guide - Fee Estimator
+ * The form around fee-estimator.js: an itemised range of application fees, CACs, DCLs and
+ * permit fees for a project, with its assumptions. The estimate for the pathway reached in the
+ * decision tree is also added to the pathway summary downloads and print (see buildPathwaySummary).
+ * The rate table is a local file, data/fees.json, loaded when the guide starts.
+ */
+
+// ========================================
+// Fee Estimator (arithmetic in fee-estimator.js)
+// ========================================
+const FEES_URL = 'data/fees.json';
+const FEES_SCHEMA_URL = 'data/fees.schema.json';
+
+let feeRates = null;
+// The estimate on screen, { project, estimate }, for the pathway summary
+let currentFeeEstimate = null;
+
+function initializeFeeEstimator() {
+    const form = document.getElementById('feeForm');
+    if (!guideContent) return;
+    
+    document.getElementById('feePathway').innerHTML = renderPathwayOptions();
+    
+    form.addEventListener('submit', e => e.preventDefault());
+    form.addEventListener('input', renderFeeEstimate);
+    
+    loadFeeRates().then(rates => {
+        feeRates = rates;
+        renderFeeUses();
+        renderFeeEstimate();
+    }).catch(error => {
+        console.error(error.message, error.details || []);
+        document.getElementById('feeEstimate').innerHTML = `<p class="field-error">${escapeHtml(t('fees.unavailable'))}</p>`;
+    });
+}
+
+async function loadFeeRates() {
+    const [rates, schema] = await Promise.all([fetchJson(FEES_URL), fetchJson(FEES_SCHEMA_URL)]);
+    
+    const errors = validateAgainstSchema(rates, schema, 'fees').concat(validateFeeRates(rates));
+    if (errors.length > 0) {
+        throw createContentError(`${FEES_URL} does not match the fee rates schema`, errors);
+    }
+    return rates;
+}
+
+// One share per use in the rate table; the first starts with all of the floor area
+function renderFeeUses() {
+    const fieldset = document.getElementById('feeUses');
+    fieldset.querySelectorAll('.fee-use').forEach(element => element.remove());
+    
+    fieldset.insertAdjacentHTML('beforeend', feeRates.uses.map((use, index) => `
+                        <label class="fee-use">
+                            <span lang="${CONTENT_LANGUAGE}">${escapeHtml(use.name)}</span>
+                            <input type="number" min="0" max="100" step="any" inputmode="decimal"
+                                   data-use="${use.id}" value="${index === 0 ? 100 : 0}">
+                            <span aria-hidden="true">%</span>
+                        </label>`).join(''));
+}
+
+// Follow the decision tree, like the timeline estimator
+function selectFeePathway(resultId) {
+    const pathwaySelect = document.getElementById('feePathway');
+    if (!pathwaySelect.querySelector(`option[value="${resultId}"]`)) return;
+    
+    pathwaySelect.value = resultId;
+    renderFeeEstimate();
+}
+
+function readFeeProject() {
+    const uses = {};
+    document.querySelectorAll('#feeUses input[data-use]').forEach(input => {
+        uses[input.dataset.use] = input.value.trim() === '' ? 0 : parseFloat(input.value);
+    });
+    
+    return {
+        pathway: document.getElementById('feePathway').value,
+        siteArea: parseFloat(document.getElementById('feeSiteArea').value),
+        floorArea: parseFloat(document.getElementById('feeFloorArea').value),
+        uses
+    };
+}
+
+function renderFeeEstimate() {
+    const output = document.getElementById('feeEstimate');
+    if (!feeRates) return;
+    
+    const project = readFeeProject();
+    const problem = checkFeeProject(project);
+    const useMixTotal = Object.values(project.uses).reduce((sum, share) => sum + (share || 0), 0);
+    document.getElementById('feeUses').setAttribute('aria-invalid', String(problem === 'useMix'));
+    
+    if (problem) {
+        currentFeeEstimate = null;
+        output.innerHTML = problem === 'useMix'
+            ? `<p class="field-error">${escapeHtml(t('fees.useMixError', { total: Math.round(useMixTotal * 10) / 10 }))}</p>`
+            : `<p class="estimate-hint">${escapeHtml(t('fees.hint'))}</p>`;
+        return;
+    }
+    
+    currentFeeEstimate = { project, estimate: estimateFees(project, feeRates) };
+    const fees = describeFeeEstimate(currentFeeEstimate);
+    
+    const groups = fees.categories.map(category => `
+            <tbody>
+                <tr class="fee-category"><th scope="colgroup" colspan="2">${escapeHtml(category.title)}</th></tr>
+                ${category.items.map(item => `
+                <tr>
+                    <th scope="row" lang="${CONTENT_LANGUAGE}">${escapeHtml(item.name)}</th>
+                    <td>${escapeHtml(item.amount)}</td>
+                </tr>`).join('')}
+                <tr class="fee-subtotal">
+                    <th scope="row">${escapeHtml(t('fees.subtotal'))}</th>
+                    <td>${escapeHtml(category.subtotal)}</td>
+                </tr>
+            </tbody>`).join('');
+    
+    output.innerHTML = `
+        <table class="fee-table">
+            <thead><tr><th scope="col">${escapeHtml(t('fees.columnItem'))}</th><th scope="col">${escapeHtml(t('fees.columnEstimate'))}</th></tr></thead>
+            ${groups}
+            <tfoot><tr><th scope="row">${escapeHtml(t('fees.total'))}</th><td>${escapeHtml(fees.total)}</td></tr></tfoot>
+        </table>
+        <h5>${escapeHtml(t('fees.assumptions'))}</h5>
+        <ul class="fee-assumptions">
+            ${fees.assumptions.map(text => `<li>${escapeHtml(text)}</li>`).join('')}
+            ${fees.notes.map(text => `<li lang="${CONTENT_LANGUAGE}">${escapeHtml(text)}</li>`).join('')}
+        </ul>`;
+}
+
+/**
+ * An estimate as text, shared by the form and the pathway summary:
+ * { categories: [{ title, items: [{ name, amount }], subtotal }], total, assumptions, notes }.
+ * assumptions are interface text; notes are the rate table's own, in English.
+ */
+function describeFeeEstimate({ project, estimate }) {
+    const money = amount => formatFeeAmount(amount, estimate.rates.currency);
+    const range = ({ low, high }) => low === high ? money(low) : `${money(low)} – ${money(high)}`;
+    
+    const categories = FEE_CATEGORIES
+        .map(category => ({
+            title: t(`fees.category.${category}`),
+            items: estimate.items
+                .filter(item => item.category === category)
+                .map(item => ({ name: item.name, amount: range(item) })),
+            subtotal: range(estimate.totals[category])
+        }))
+        .filter(category => category.items.length > 0);
+    
+    const area = value => Math.round(value);
+    const assumptions = [
+        t('fees.pathwayAssumption', { pathway: getDecisionNode(project.pathway).title }),
+        t('fees.densityAssumption', {
+            floorArea: area(project.floorArea),
+            siteArea: area(project.siteArea),
+            density: Math.round(estimate.density * 100) / 100
+        }),
+        t('fees.additionalAssumption', { area: area(estimate.additionalFloorArea), base: estimate.rates.baseDensity }),
+        t('fees.useMixAssumption', {
+            uses: feeRates.uses
+                .filter(use => project.uses[use.id] > 0)
+                .map(use => `${use.name} ${project.uses[use.id]}%`)
+                .join(', ')
+        }),
+        t('fees.ratesAssumption', { date: estimate.rates.effective, version: estimate.rates.version }),
+        t('fees.disclaimer')
+    ];
+    
+    return {
+        categories,
+        total: range(estimate.total),
+        assumptions,
+        notes: estimate.items.filter(item => item.note).map(item => `${item.name}: ${item.note}`)
+    };
+}
+
+// Whole dollars, written the visitor's way
+function formatFeeAmount(amount, currency) {
+    return new Intl.NumberFormat(getIntlLocale(), {
+        style: 'currency',
+        currency,
+        maximumFractionDigits: 0
+    }).format(amount);
+}
+
+// For the pathway summary: the estimate on screen, if it's for that pathway
+function getFeeEstimate(resultId) {
+    return currentFeeEstimate && currentFeeEstimate.project.pathway === resultId
+        ? describeFeeEstimate(currentFeeEstimate)
+        : null;
+}
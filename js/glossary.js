@@ -0,0 +1,406 @@
+/**
+ * Vancouver Rezoning Guide - Glossary
+ * The glossary panel, its filters and A-Z index, and links to it from terms used in the guide's text.
+ */
+
+// ========================================
+// Glossary
+// ========================================
+let glossaryDialog = null;
+
+// The filter text and category shown; matching is in glossary-terms.js
+const glossaryFilter = { query: '', category: 'all' };
+const GLOSSARY_ANNOUNCE_DELAY = 500;    // Wait for typing to pause before reading out the count
+let glossaryAnnounceTimer = null;
+
+function initializeGlossary() {
+    const toggleButton = document.getElementById('glossaryToggle');
+    const glossary = document.getElementById('glossary');
+    const closeButton = glossary.querySelector('.glossary-close');
+    const searchInput = document.getElementById('glossarySearch');
+    
+    glossaryDialog = createDialog(glossary, {
+        onDismiss: toggleGlossary,
+        fallbackFocus: toggleButton
+    });
+    
+    // Toggle glossary
+    toggleButton.addEventListener('click', function() {
+        toggleGlossary();
+        if (state.glossaryOpen) trackEvent('glossary_open', { source: 'button' });
+    });
+    
+    // Close glossary
+    closeButton.addEventListener('click', function() {
+        toggleGlossary();
+    });
+    
+    // Search glossary
+    searchInput.addEventListener('input', function() {
+        filterGlossary(this.value);
+        trackGlossarySearch(this.value);
+        announceGlossaryCount();
+    });
+    
+    // Category filters
+    glossary.querySelectorAll('.glossary-category-filter').forEach(button => {
+        button.addEventListener('click', function() {
+            setGlossaryCategory(this.dataset.category);
+            trackEvent('glossary_category', { category: this.dataset.category });
+            announceGlossaryCount();
+        });
+    });
+    
+    // A-Z index
+    document.getElementById('glossaryIndex').addEventListener('click', function(e) {
+        const button = e.target.closest('.glossary-letter');
+        if (button) jumpToGlossaryLetter(button.dataset.letter);
+    });
+    
+    // Related terms
+    document.getElementById('glossaryTerms').addEventListener('click', function(e) {
+        const button = e.target.closest('.glossary-related-link');
+        if (button) showGlossaryTerm(button.dataset.termId, 'related');
+    });
+    
+    document.getElementById('glossaryClearFilters').addEventListener('click', function() {
+        clearGlossaryFilters();
+        searchInput.focus();
+        announceGlossaryCount();
+    });
+    
+    renderGlossaryIndex();
+    applyGlossaryFilter();
+    initializeTermLinks();
+}
+
+function toggleGlossary({ moveFocus = true } = {}) {
+    const toggleButton = document.getElementById('glossaryToggle');
+    
+    state.glossaryOpen = !state.glossaryOpen;
+    
+    if (state.glossaryOpen) {
+        // Focus search input when opening
+        glossaryDialog.open({ initialFocus: moveFocus ? document.getElementById('glossarySearch') : null });
+    } else {
+        glossaryDialog.close();
+    }
+    
+    // Update button state
+    toggleButton.setAttribute('aria-expanded', state.glossaryOpen);
+    
+    // The glossary isn't part of the URL, so save it here rather than in updateRoute()
+    saveState();
+}
+
+function filterGlossary(searchTerm) {
+    glossaryFilter.query = searchTerm;
+    applyGlossaryFilter();
+}
+
+function setGlossaryCategory(category) {
+    glossaryFilter.category = category;
+    
+    document.querySelectorAll('.glossary-category-filter').forEach(button => {
+        button.setAttribute('aria-pressed', button.dataset.category === category);
+    });
+    
+    applyGlossaryFilter();
+}
+
+function clearGlossaryFilters() {
+    document.getElementById('glossarySearch').value = '';
+    glossaryFilter.query = '';
+    setGlossaryCategory('all');
+}
+
+// Show the terms matching both filters, mark the words that matched, and update the count
+function applyGlossaryFilter() {
+    const showMarks = glossaryFilter.query.trim() !== '';
+    
+    document.querySelectorAll('.glossary-item').forEach(item => {
+        const term = getGlossaryTerm(item.id.replace(/^glossary-/, ''));
+        const inCategory = glossaryFilter.category === 'all' || item.dataset.category === glossaryFilter.category;
+        const match = term && inCategory ? matchGlossaryTerm(term, glossaryFilter.query) : null;
+        
+        item.hidden = !match;
+        markGlossaryWords(item, match && showMarks ? match.words : []);
+    });
+    
+    updateGlossaryStatus();
+}
+
+function getGlossaryTerm(termId) {
+    return guideContent ? guideContent.glossary.find(term => term.id === termId) : null;
+}
+
+// Wrap the matched words in the term's name and definition in <mark>, replacing earlier marks
+function markGlossaryWords(item, words) {
+    item.querySelectorAll('mark.glossary-mark').forEach(mark => mark.replaceWith(...mark.childNodes));
+    item.normalize();
+    if (words.length === 0) return;
+    
+    const wanted = new Set(words);
+    const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest('h4, p:first-of-type')
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT
+    });
+    
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    
+    nodes.forEach(node => {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        
+        for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (!wanted.has(word[0].toLowerCase())) continue;
+            
+            fragment.appendChild(document.createTextNode(text.slice(last, word.index)));
+            const mark = document.createElement('mark');
+            mark.className = 'glossary-mark';
+            mark.textContent = word[0];
+            fragment.appendChild(mark);
+            last = word.index + word[0].length;
+        }
+        
+        if (last > 0) {
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.replaceWith(fragment);
+        }
+    });
+}
+
+// The count of terms shown, the no-matches message, and which letters have terms
+function updateGlossaryStatus() {
+    const visibleItems = document.querySelectorAll('.glossary-item:not([hidden])');
+    const visibleLetters = new Set(Array.from(visibleItems, item => item.dataset.letter));
+    
+    document.getElementById('glossaryCount').textContent = t('glossary.count', { count: visibleItems.length });
+    document.getElementById('glossaryEmpty').hidden = visibleItems.length > 0 || !guideContent;
+    
+    document.querySelectorAll('.glossary-letter').forEach(button => {
+        button.disabled = !visibleLetters.has(button.dataset.letter);
+    });
+}
+
+// Read out the count once typing or clicking has settled, rather than after every key
+function announceGlossaryCount() {
+    clearTimeout(glossaryAnnounceTimer);
+    glossaryAnnounceTimer = setTimeout(() => {
+        announce(document.getElementById('glossaryCount').textContent);
+    }, GLOSSARY_ANNOUNCE_DELAY);
+}
+
+// ========================================
+// A-Z Index
+// ========================================
+// One button per letter; letters with no terms showing are disabled by updateGlossaryStatus()
+function renderGlossaryIndex() {
+    const letters = new Set(Array.from(document.querySelectorAll('.glossary-item'), item => item.dataset.letter));
+    const index = [...GLOSSARY_LETTERS, ...(letters.has('#') ? ['#'] : [])];
+    
+    document.getElementById('glossaryIndex').innerHTML = index
+        .map(letter => `<button type="button" class="glossary-letter" data-letter="${letter}">${letter}</button>`)
+        .join('');
+}
+
+function jumpToGlossaryLetter(letter) {
+    const item = document.querySelector(`.glossary-item[data-letter="${letter}"]:not([hidden])`);
+    if (!item) return;
+    
+    trackEvent('glossary_letter', { letter });
+    focusGlossaryItem(item, 'start');
+}
+
+// Scroll to a term and move focus to its name
+function focusGlossaryItem(item, block) {
+    item.scrollIntoView({ behavior: 'smooth', block });
+    
+    const heading = item.querySelector('h4');
+    if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+}
+
+// Open the glossary with every term listed and return the item with itemId (e.g. "glossary-cac")
+function openGlossaryTo(itemId, source) {
+    if (!state.glossaryOpen) {
+        toggleGlossary({ moveFocus: false });
+        trackEvent('glossary_open', { source });
+    }
+    
+    clearGlossaryFilters();
+    
+    return document.getElementById(itemId);
+}
+
+// ========================================
+// Term Links (matching in glossary-terms.js)
+// ========================================
+// Glossary terms in the timeline, detail panels and decision tree become buttons that
+// show the definition on hover or focus and open the glossary at that term when pressed.
+// A term is linked the first time it appears in each card, panel or tree step.
+const TERM_CONTAINERS = '.timeline-card, .detail-panel, .decision-step, .decision-result';
+const TERM_SKIPPED = 'a, button, h1, h2, h3, h4, h5, h6, .glossary-term';
+const TERM_TOOLTIP_HIDE_DELAY = 200;    // Time to move the pointer from the term onto its tooltip
+
+let termTooltipButton = null;   // The term whose definition is showing
+let termTooltipTimer = null;
+
+function initializeTermLinks() {
+    const tooltip = document.getElementById('termTooltip');
+    
+    linkGlossaryTerms();
+    
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('.glossary-term');
+        if (button) showGlossaryTerm(button.dataset.termId);
+    });
+    
+    document.addEventListener('focusin', function(e) {
+        if (e.target.matches('.glossary-term')) showTermTooltip(e.target);
+    });
+    document.addEventListener('focusout', function(e) {
+        if (e.target === termTooltipButton) hideTermTooltip();
+    });
+    
+    // The definition stays up while the pointer is on the term or the tooltip itself
+    document.addEventListener('mouseover', function(e) {
+        const button = e.target.closest('.glossary-term');
+        if (button) {
+            showTermTooltip(button);
+        } else if (termTooltipButton && !tooltip.contains(e.target)) {
+            scheduleHideTermTooltip();
+        }
+    });
+    tooltip.addEventListener('mouseover', () => clearTimeout(termTooltipTimer));
+    
+    // Escape hides the definition before it closes any dialog the term is in
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && termTooltipButton) {
+            hideTermTooltip();
+            e.preventDefault();
+        }
+    }, true);
+    
+    window.addEventListener('scroll', hideTermTooltip, true);
+}
+
+function linkGlossaryTerms() {
+    if (!guideContent) return;
+    
+    const matcher = createTermMatcher(guideContent.glossary.filter(term => term.autoLink !== false));
+    
+    document.querySelectorAll(TERM_CONTAINERS).forEach(container => {
+        const linked = new Set();
+        getTermTextNodes(container).forEach(node => {
+            const matches = findTermMatches(node.nodeValue, matcher, linked);
+            if (matches.length > 0) linkTermsInTextNode(node, matches);
+        });
+    });
+}
+
+function getTermTextNodes(container) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(TERM_SKIPPED)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+}
+
+function linkTermsInTextNode(node, matches) {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    
+    matches.forEach(({ id, start, end }) => {
+        fragment.appendChild(document.createTextNode(text.slice(last, start)));
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'glossary-term';
+        button.dataset.termId = id;
+        button.textContent = text.slice(start, end);
+        fragment.appendChild(button);
+        
+        last = end;
+    });
+    
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.replaceWith(fragment);
+}
+
+function showTermTooltip(button) {
+    const term = getGlossaryTerm(button.dataset.termId);
+    const tooltip = document.getElementById('termTooltip');
+    
+    clearTimeout(termTooltipTimer);
+    if (termTooltipButton && termTooltipButton !== button) {
+        termTooltipButton.removeAttribute('aria-describedby');
+    }
+    
+    tooltip.innerHTML = `
+        <span lang="${CONTENT_LANGUAGE}"><strong>${escapeHtml(term.term)}</strong> ${escapeHtml(term.definition)}</span>
+        <span class="term-tooltip-hint">${escapeHtml(t('glossary.termHint'))}</span>`;
+    tooltip.hidden = false;
+    
+    button.setAttribute('aria-describedby', 'termTooltip');
+    termTooltipButton = button;
+    
+    positionTermTooltip(tooltip, button);
+}
+
+// Below the term, or above it when there's no room, and kept inside the window
+function positionTermTooltip(tooltip, button) {
+    const margin = 8;
+    const rect = button.getBoundingClientRect();
+    const width = tooltip.offsetWidth;
+    const height = tooltip.offsetHeight;
+    
+    const below = rect.bottom + margin;
+    const top = below + height > window.innerHeight && rect.top - margin - height > 0
+        ? rect.top - margin - height
+        : below;
+    const left = Math.max(margin, Math.min(rect.left, window.innerWidth - width - margin));
+    
+    tooltip.style.top = `${top}px`;
+    tooltip.style.left = `${left}px`;
+}
+
+function hideTermTooltip() {
+    clearTimeout(termTooltipTimer);
+    if (!termTooltipButton) return;
+    
+    termTooltipButton.removeAttribute('aria-describedby');
+    termTooltipButton = null;
+    document.getElementById('termTooltip').hidden = true;
+}
+
+function scheduleHideTermTooltip() {
+    clearTimeout(termTooltipTimer);
+    termTooltipTimer = setTimeout(hideTermTooltip, TERM_TOOLTIP_HIDE_DELAY);
+}
+
+// "See in glossary": open the glossary at the term and move focus to it.
+// source is 'term' for a term linked in the guide text, or 'related' for a related-term link.
+function showGlossaryTerm(termId, source = 'term') {
+    hideTermTooltip();
+    
+    const item = openGlossaryTo(`glossary-${termId}`, source);
+    if (!item) return;
+    
+    trackEvent('glossary_term', { term: termId, source });
+    
+    item.classList.add('term-target');
+    focusGlossaryItem(item, 'center');
+    
+    setTimeout(() => {
+        item.classList.remove('term-target');
+    }, 5000);
+}
@@ -0,0 +1,165 @@
+/**
+ * Vancouver Rezoning Guide - Language
+ * Loading locale catalogs, the language switcher and translating the page.
+ */
+
+// ========================================
+// Language (catalogs in locales/, lookups in i18n.js)
+// ========================================
+// Kept apart from the saved view, so "Reset my view" keeps the visitor's language
+const LOCALE_STORAGE_KEY = 'rezoningGuideLocale';
+const LOCALES_URL = 'locales';
+
+// data/content.json is written in English whatever the interface language
+const CONTENT_LANGUAGE = 'en';
+
+// Message catalogs by locale code, fetched when first needed
+const catalogs = {};
+let currentLocale = DEFAULT_LOCALE;
+
+// Interface text for a catalog key, e.g. t('search.status.found', { count: 3, query: 'hearing' })
+function t(key, params) {
+    return translate(catalogs, currentLocale, key, params);
+}
+
+function getIntlLocale() {
+    return getLocaleInfo(currentLocale).intl;
+}
+
+// Runs before the content is rendered, so it renders in the visitor's language
+async function initializeLanguage() {
+    const select = document.getElementById('languageSelect');
+    const preferred = loadLocale() || matchLocale(navigator.languages || [navigator.language]) || DEFAULT_LOCALE;
+    
+    select.innerHTML = LOCALES
+        .map(locale => `<option value="${locale.code}" lang="${locale.code}">${escapeHtml(locale.name)}</option>`)
+        .join('');
+    
+    try {
+        await Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(preferred)]);
+        currentLocale = preferred;
+    } catch (error) {
+        // Carry on in English (or the English in the page itself)
+        console.warn('Could not load translations:', error);
+    }
+    
+    applyLocale();
+    
+    select.addEventListener('change', function() {
+        changeLanguage(this.value);
+    });
+}
+
+async function loadCatalog(code) {
+    if (!catalogs[code]) {
+        catalogs[code] = await fetchJson(`${LOCALES_URL}/${code}.json`);
+    }
+}
+
+async function changeLanguage(code) {
+    try {
+        await loadCatalog(code);
+    } catch (error) {
+        console.warn(`Could not load translations for ${code}:`, error);
+        document.getElementById('languageSelect').value = currentLocale;
+        showNotification(t('language.loadError'), 'error');
+        return;
+    }
+    
+    currentLocale = code;
+    saveLocale(code);
+    applyLocale();
+    refreshTranslatedViews();
+    
+    announce(t('language.changed', { language: getLocaleInfo(code).name }));
+}
+
+// <html lang dir>, the language switcher and every element marked with data-i18n
+function applyLocale() {
+    const locale = getLocaleInfo(currentLocale);
+    
+    document.documentElement.lang = locale.code;
+    document.documentElement.dir = locale.dir;
+    document.getElementById('languageSelect').value = locale.code;
+    document.getElementById('contentLanguageNotice').hidden = locale.code === CONTENT_LANGUAGE;
+    
+    if (catalogs[DEFAULT_LOCALE]) {
+        applyTranslations(document);
+    }
+}
+
+/**
+ * Swap in the current language for static text marked with its catalog key:
+ *   <span data-i18n="hero.title">                                      text
+ *   <input data-i18n-attr="placeholder:search.placeholder;aria-label:search.label">   attributes
+ */
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+        // Interface text inside the English content carries its own lang (see renderUiText)
+        if (element.hasAttribute('lang')) {
+            element.lang = currentLocale;
+        }
+    });
+    
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
+
+// Text built from templates has no data-i18n markers, so render those parts again
+function refreshTranslatedViews() {
+    renderShortcutsList();
+    if (!guideContent) return;
+    
+    if (!document.getElementById('searchResults').hidden) {
+        renderSearchResults(document.getElementById('searchInput').value);
+    }
+    
+    if (state.decisionTreeOpen) {
+        renderDecisionBreadcrumb();
+        if (getDecisionNode(state.decisionTreeNode).type === 'result') {
+            renderPathwaySummary(state.decisionTreeNode);
+        }
+    }
+    
+    if (!document.getElementById('compareModal').hidden) {
+        renderPathwayComparison();
+    }
+    
+    renderTimelineEstimate();
+    renderFeeEstimate();
+    renderResumePathway();
+    updateGlossaryStatus();
+    refreshCommentHelper();
+    refreshSiteCheck();
+    highlightRelevantSteps(state.activeTab);
+    renderStepNavigator();
+    
+    document.getElementById('projectSteps').innerHTML = guideContent.steps.map(renderProjectStepRow).join('');
+    renderProjectTracker();
+    if (getActiveProject()) {
+        renderProjectDeleteQuestion(getActiveProject());
+    }
+}
+
+function loadLocale() {
+    try {
+        const code = localStorage.getItem(LOCALE_STORAGE_KEY);
+        return LOCALES.some(locale => locale.code === code) ? code : null;
+    } catch (e) {
+        console.warn('Could not load the language from localStorage:', e);
+        return null;
+    }
+}
+
+function saveLocale(code) {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    } catch (e) {
+        console.warn('Could not save the language to localStorage:', e);
+    }
+}
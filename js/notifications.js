@@ -0,0 +1,158 @@
+/**
+ * Vancouver Rezoning Guide - Notifications
+ * Short messages (toasts) stacked at the top of the page, with an optional action such as Undo.
+ */
+
+// ========================================
+// Notifications
+// ========================================
+// Toasts aren't live regions themselves: each is read out once through announce(), so
+// screen readers hear it from the same place as every other announcement.
+const TOAST_LIMIT = 3;                  // Shown at once; the rest wait their turn
+const TOAST_DURATIONS = { info: 5000, success: 5000, warning: 8000, error: 10000 };
+const TOAST_ACTION_DURATION = 10000;    // Time to reach an Undo
+const TOAST_LEAVE_TIME = 300;           // The slideOutRight animation
+const TOAST_ICONS = {
+    info: 'fa-info-circle',
+    success: 'fa-check-circle',
+    warning: 'fa-exclamation-triangle',
+    error: 'fa-times-circle'
+};
+
+const activeToasts = [];
+const queuedToasts = [];
+
+/**
+ * Show a message. type is 'info', 'success', 'warning' or 'error'.
+ * Options: action { label, onClick } adds a button that also closes the toast;
+ * duration (ms) overrides how long it stays up.
+ * Returns { dismiss() } for closing it early.
+ */
+function showNotification(message, type = 'info', { action = null, duration = null } = {}) {
+    // The same message again (e.g. copying twice) keeps the one already up rather than stacking
+    const same = activeToasts.concat(queuedToasts).find(toast => {
+        return toast.message === message && toast.type === type && !toast.action && !action;
+    });
+    if (same) {
+        if (same.element) startToastTimer(same, same.duration);
+        return same.handle;
+    }
+    
+    const toast = {
+        message,
+        type: TOAST_ICONS[type] ? type : 'info',
+        action,
+        duration: duration || (action ? TOAST_ACTION_DURATION : TOAST_DURATIONS[type] || TOAST_DURATIONS.info),
+        element: null,
+        timer: null,
+        endsAt: 0,
+        remaining: 0,
+        returnFocus: null
+    };
+    toast.handle = { dismiss: () => dismissToast(toast) };
+    
+    if (activeToasts.length < TOAST_LIMIT) {
+        openToast(toast);
+    } else {
+        queuedToasts.push(toast);
+    }
+    return toast.handle;
+}
+
+function openToast(toast) {
+    const element = document.createElement('div');
+    element.className = `toast toast-${toast.type}`;
+    element.innerHTML = `
+        <i class="fas ${TOAST_ICONS[toast.type]} toast-icon" aria-hidden="true"></i>
+        <p class="toast-message"><span class="sr-only">${escapeHtml(t(`toast.type.${toast.type}`))}:</span> ${escapeHtml(toast.message)}</p>
+        ${toast.action ? `<button type="button" class="toast-action">${escapeHtml(toast.action.label)}</button>` : ''}
+        <button type="button" class="toast-dismiss" aria-label="${escapeHtml(t('toast.dismiss'))}">
+            <i class="fas fa-times" aria-hidden="true"></i>
+        </button>`;
+    
+    element.querySelector('.toast-dismiss').addEventListener('click', () => dismissToast(toast));
+    if (toast.action) {
+        element.querySelector('.toast-action').addEventListener('click', function() {
+            toast.action.onClick();
+            dismissToast(toast);
+        });
+    }
+    
+    // Paused while the pointer or keyboard focus is on it, so there's time to read it or act
+    element.addEventListener('mouseenter', () => pauseToast(toast));
+    element.addEventListener('mouseleave', () => {
+        if (!element.contains(document.activeElement)) resumeToast(toast);
+    });
+    element.addEventListener('focusin', e => {
+        if (!element.contains(e.relatedTarget)) toast.returnFocus = e.relatedTarget;
+        pauseToast(toast);
+    });
+    element.addEventListener('focusout', e => {
+        if (!element.contains(e.relatedTarget) && !element.matches(':hover')) resumeToast(toast);
+    });
+    
+    toast.element = element;
+    activeToasts.push(toast);
+    document.getElementById('toastStack').appendChild(element);
+    
+    const label = toast.type === 'warning' || toast.type === 'error' ? `${t(`toast.type.${toast.type}`)}: ` : '';
+    announce(`${label}${toast.message}`);
+    startToastTimer(toast, toast.duration);
+}
+
+function startToastTimer(toast, time) {
+    clearTimeout(toast.timer);
+    toast.endsAt = Date.now() + time;
+    toast.timer = setTimeout(() => dismissToast(toast), time);
+}
+
+function pauseToast(toast) {
+    if (!toast.timer) return;
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(toast.endsAt - Date.now(), 0);
+}
+
+function resumeToast(toast) {
+    // A toast that was about to go gets a moment more once the pointer or focus leaves
+    if (!toast.timer && toast.element) startToastTimer(toast, Math.max(toast.remaining, 1000));
+}
+
+function dismissToast(toast) {
+    const queued = queuedToasts.indexOf(toast);
+    if (queued !== -1) {
+        queuedToasts.splice(queued, 1);
+        return;
+    }
+    if (!activeToasts.includes(toast)) return;
+    
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    activeToasts.splice(activeToasts.indexOf(toast), 1);
+    
+    const element = toast.element;
+    toast.element = null;
+    
+    // Don't strand keyboard focus on a toast that's going away
+    if (element.contains(document.activeElement)) {
+        const next = activeToasts[activeToasts.length - 1];
+        if (toast.returnFocus && toast.returnFocus.isConnected) {
+            toast.returnFocus.focus();
+        } else if (next) {
+            next.element.querySelector('.toast-dismiss').focus();
+        } else {
+            document.activeElement.blur();
+        }
+    }
+    
+    element.classList.add('toast-leaving');
+    setTimeout(() => element.remove(), prefersReducedMotion() ? 0 : TOAST_LEAVE_TIME);
+    
+    if (queuedToasts.length > 0) {
+        openToast(queuedToasts.shift());
+    }
+}
+
+function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
@@ -0,0 +1,78 @@
+/**
+ * Vancouver Rezoning Guide - Offline Support
+ * Registers service-worker.js and shows whether the guide is saved for offline use.
+ */
+
+// ========================================
+// Offline Support (cache in service-worker.js)
+// ========================================
+const SERVICE_WORKER_URL = 'service-worker.js';
+
+// Icons come from the Font Awesome CDN. Stylesheets finish loading before scripts run, so a
+// link without a sheet by now failed (offline, or the CDN is blocked): use the local copy.
+function useLocalIconsIfNeeded() {
+    const link = document.querySelector('link[data-local-fallback]');
+    if (link && !link.sheet) {
+        link.href = link.dataset.localFallback;
+    }
+}
+
+async function initializeOfflineSupport() {
+    window.addEventListener('online', renderOfflineStatus);
+    window.addEventListener('offline', renderOfflineStatus);
+    
+    // Service workers need http(s); opened straight from disk there's nothing to set up
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+        renderOfflineStatus();
+        return;
+    }
+    
+    // A controller on arrival means a copy was already saved, so a change of controller is an update
+    let hadController = Boolean(navigator.serviceWorker.controller);
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (hadController) {
+            showNotification(t('offline.updated'), 'info', {
+                action: { label: t('toast.reload'), onClick: () => location.reload() }
+            });
+        }
+        hadController = true;
+        renderOfflineStatus();
+    });
+    
+    renderOfflineStatus();
+    
+    try {
+        await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        await navigator.serviceWorker.ready;
+    } catch (error) {
+        console.warn('Could not save the guide for offline use:', error);
+    }
+    
+    renderOfflineStatus();
+}
+
+function renderOfflineStatus() {
+    const status = document.getElementById('offlineStatus');
+    const supported = 'serviceWorker' in navigator && /^https?:$/.test(location.protocol);
+    const saved = supported && Boolean(navigator.serviceWorker.controller);
+    
+    let key = null;
+    let icon = 'fa-wifi';
+    if (!navigator.onLine) {
+        key = saved ? 'offline.offlineSaved' : 'offline.offline';
+    } else if (saved) {
+        key = 'offline.ready';
+        icon = 'fa-check-circle';
+    } else if (supported) {
+        key = 'offline.saving';
+        icon = 'fa-download';
+    }
+    
+    status.hidden = !key;
+    status.classList.toggle('is-offline', !navigator.onLine);
+    if (key) {
+        status.querySelector('i').className = `fas ${icon}`;
+        status.querySelector('span').dataset.i18n = key;
+        status.querySelector('span').textContent = t(key);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Vancouver Rezoning Guide - Print Mode
+ * Printing (or saving as PDF) gives the whole guide for the current perspective: every step's
+ * details, a table of contents, the decision tree as a flowchart and the glossary. The page
+ * goes back to how it was afterwards.
+ */
+
+// ========================================
+// Print Mode (flowchart layout in decision-flowchart.js)
+// ========================================
+let printRestore = null;    // Detail panels that were closed before printing, while the guide is printing
+
+function initializePrint() {
+    window.addEventListener('beforeprint', preparePrintGuide);
+    window.addEventListener('afterprint', restoreAfterPrint);
+    
+    document.getElementById('printGuide').addEventListener('click', function() {
+        window.print();
+    });
+}
+
+function preparePrintGuide() {
+    // A pathway summary prints on its own (see printPathwaySummary)
+    if (!guideContent || printRestore || document.body.classList.contains('printing-pathway-summary')) return;
+    
+    const closedPanels = Array.from(document.querySelectorAll('.detail-panel[hidden]'));
+    closedPanels.forEach(panel => {
+        panel.hidden = false;
+    });
+    printRestore = { closedPanels };
+    
+    renderPrintContents();
+    renderPrintAppendix();
+    document.body.classList.add('printing-guide');
+    
+    trackEvent('guide_print', { tab: state.activeTab });
+}
+
+function restoreAfterPrint() {
+    if (!printRestore) return;
+    
+    printRestore.closedPanels.forEach(panel => {
+        panel.hidden = true;
+    });
+    printRestore = null;
+    
+    document.getElementById('printContents').innerHTML = '';
+    document.getElementById('printAppendix').innerHTML = '';
+    document.body.classList.remove('printing-guide');
+}
+
+// Links still work in a saved PDF, so the contents lead to each section
+function renderPrintContents() {
+    const steps = guideContent.steps.map(step => `
+                <li><a href="#detail-${step.id}" lang="${CONTENT_LANGUAGE}">${escapeHtml(step.detail.title)}</a></li>`).join('');
+    
+    document.getElementById('printContents').innerHTML = `
+        <p class="print-masthead">${escapeHtml(t('summary.masthead'))}</p>
+        <h2>${escapeHtml(t('print.contents'))}</h2>
+        <p>${escapeHtml(t('print.perspective', {
+            perspective: t(`tabs.${state.activeTab}`),
+            date: new Date().toISOString().slice(0, 10)
+        }))}</p>
+        <ol>
+            <li>
+                <a href="#timeline-title">${escapeHtml(t('timeline.title'))}</a>
+                <ol>${steps}
+                </ol>
+            </li>
+            <li><a href="#printFlowchart">${escapeHtml(t('print.flowchart'))}</a></li>
+            <li><a href="#printGlossary">${escapeHtml(t('glossary.title'))}</a></li>
+        </ol>`;
+}
+
+function renderPrintAppendix() {
+    document.getElementById('printAppendix').innerHTML = renderPrintFlowchart() + renderPrintGlossary();
+}
+
+function renderPrintFlowchart() {
+    const { questions, results } = buildDecisionFlowchart(guideContent.decisionTree);
+    
+    const describeNext = next => next.type === 'question'
+        ? escapeHtml(t('print.toQuestion', { number: next.number }))
+        : `${escapeHtml(t('print.toResult'))} <strong lang="${CONTENT_LANGUAGE}">${escapeHtml(next.title)}</strong>`;
+    
+    const items = questions.map(question => {
+        const branches = question.branches.map(branch => {
+            const answers = branch.any
+                ? escapeHtml(t('print.anyAnswer'))
+                : `<span lang="${CONTENT_LANGUAGE}">${escapeHtml(branch.labels.join(' / '))}</span>`;
+            return `<li>${answers} <span aria-hidden="true">&rarr;</span> ${describeNext(branch.next)}</li>`;
+        }).join('');
+        
+        return `
+            <li class="flowchart-question" id="flowchart-${question.id}">
+                <h3>${escapeHtml(t('print.question', { number: question.number }))}</h3>
+                <p lang="${CONTENT_LANGUAGE}">${escapeHtml(question.question)}</p>
+                <ul class="flowchart-branches">${branches}</ul>
+            </li>`;
+    }).join('');
+    
+    const outcomes = results.map(result => `
+                <dt>${escapeHtml(result.title)}</dt>
+                <dd>${formatInline(result.lead)}</dd>`).join('');
+    
+    return `
+        <section class="print-flowchart" id="printFlowchart">
+            <h2>${escapeHtml(t('print.flowchart'))}</h2>
+            <p>${escapeHtml(t('print.flowchartIntro'))}</p>
+            <ol class="flowchart-questions">${items}
+            </ol>
+            <h3>${escapeHtml(t('print.results'))}</h3>
+            <dl class="flowchart-results" lang="${CONTENT_LANGUAGE}">${outcomes}
+            </dl>
+        </section>`;
+}
+
+// Every term, whatever the glossary panel is filtered to
+function renderPrintGlossary() {
+    const terms = [...guideContent.glossary]
+        .sort((a, b) => a.term.localeCompare(b.term, CONTENT_LANGUAGE))
+        .map(term => `
+                <dt>${escapeHtml(term.term)}</dt>
+                <dd>${formatInline(term.definition)}</dd>`).join('');
+    
+    return `
+        <section class="print-glossary" id="printGlossary">
+            <h2>${escapeHtml(t('glossary.title'))}</h2>
+            <dl lang="${CONTENT_LANGUAGE}">${terms}
+            </dl>
+        </section>`;
+}
@@ -0,0 +1,413 @@
+/**
+ * Vancouver Rezoning Guide - Progress Tracker
+ * Named projects with the steps done and notes, kept in localStorage and shared as JSON files.
+ */
+
+// ========================================
+// Progress Tracker (named projects)
+// ========================================
+// Projects are kept apart from the saved view, so "Reset my view" never deletes them
+const PROJECTS_STORAGE_KEY = 'rezoningGuideProjects';
+const PROJECTS_STORAGE_VERSION = 1;
+const PROJECTS_EXPORT_FORMAT = 'vancouver-rezoning-guide-projects';
+const PROJECT_NOTE_MAX_LENGTH = 500;
+const PROJECT_NAME_MAX_LENGTH = 80;     // As the name field allows
+
+function initializeProjectTracker() {
+    const tracker = document.getElementById('projectTracker');
+    const nameForm = document.getElementById('projectNameForm');
+    if (!guideContent) return;
+    
+    const saved = loadProjects();
+    state.projects = saved.projects;
+    state.activeProjectId = saved.activeProjectId;
+    
+    document.getElementById('projectSteps').innerHTML = guideContent.steps.map(renderProjectStepRow).join('');
+    
+    document.getElementById('projectSelect').addEventListener('change', function() {
+        selectProject(this.value || null);
+    });
+    
+    tracker.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-project-action]');
+        if (button) {
+            handleProjectAction(button.dataset.projectAction);
+        }
+    });
+    
+    nameForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        saveProjectName(document.getElementById('projectName').value);
+    });
+    
+    document.getElementById('projectSteps').addEventListener('change', function(e) {
+        const row = e.target.closest('.project-step');
+        if (row && e.target.dataset.field) {
+            updateProjectStep(row.dataset.step, e.target.dataset.field, e.target);
+        }
+    });
+    
+    document.getElementById('projectImport').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importProjects(this.files[0]);
+        }
+        this.value = '';
+    });
+    
+    renderProjectTracker();
+}
+
+function renderProjectStepRow(step) {
+    return `
+        <li class="project-step" data-step="${step.id}">
+            <label class="project-step-done">
+                <input type="checkbox" data-field="done">
+                <span>${escapeHtml(step.title)}</span>
+            </label>
+            <input type="date" data-field="date" aria-label="${escapeHtml(t('tracker.stepDate', { step: step.title }))}">
+            <input type="text" data-field="note" maxlength="${PROJECT_NOTE_MAX_LENGTH}" placeholder="${escapeHtml(t('tracker.notes'))}" aria-label="${escapeHtml(t('tracker.stepNotes', { step: step.title }))}">
+        </li>`;
+}
+
+function getActiveProject() {
+    return state.projects.find(project => project.id === state.activeProjectId) || null;
+}
+
+function handleProjectAction(action) {
+    const project = getActiveProject();
+    
+    switch (action) {
+        case 'new':
+            showProjectNameForm('new');
+            break;
+        case 'rename':
+            if (project) showProjectNameForm('rename', project.name);
+            break;
+        case 'cancel-name':
+            document.getElementById('projectNameForm').hidden = true;
+            document.getElementById('projectSelect').focus();
+            break;
+        case 'delete':
+            if (project) {
+                renderProjectDeleteQuestion(project);
+                document.getElementById('projectDeleteConfirm').hidden = false;
+                document.getElementById('projectDeleteConfirm').querySelector('button').focus();
+            }
+            break;
+        case 'confirm-delete':
+            deleteActiveProject();
+            break;
+        case 'cancel-delete':
+            document.getElementById('projectDeleteConfirm').hidden = true;
+            document.getElementById('projectSelect').focus();
+            break;
+        case 'export':
+            exportProjects();
+            break;
+        case 'import':
+            document.getElementById('projectImport').click();
+            break;
+    }
+}
+
+function showProjectNameForm(mode, name = '') {
+    const form = document.getElementById('projectNameForm');
+    const input = document.getElementById('projectName');
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    
+    form.dataset.mode = mode;
+    submitButton.dataset.i18n = mode === 'new' ? 'tracker.create' : 'tracker.saveName';
+    submitButton.textContent = t(submitButton.dataset.i18n);
+    input.value = name;
+    form.hidden = false;
+    document.getElementById('projectDeleteConfirm').hidden = true;
+    input.focus();
+}
+
+function saveProjectName(value) {
+    const form = document.getElementById('projectNameForm');
+    const name = value.trim();
+    
+    if (!name) {
+        showNotification(t('tracker.nameRequired'), 'warning');
+        document.getElementById('projectName').focus();
+        return;
+    }
+    
+    if (form.dataset.mode === 'new') {
+        const project = { id: createProjectId(), name, createdOn: new Date().toISOString(), steps: {} };
+        state.projects.push(project);
+        state.activeProjectId = project.id;
+        announce(t('tracker.created', { name }));
+    } else {
+        getActiveProject().name = name;
+        announce(t('tracker.renamed', { name }));
+    }
+    
+    form.hidden = true;
+    saveProjects();
+    renderProjectTracker();
+    document.getElementById('projectSelect').focus();
+}
+
+function deleteActiveProject() {
+    const project = getActiveProject();
+    if (!project) return;
+    
+    const index = state.projects.indexOf(project);
+    state.projects = state.projects.filter(p => p !== project);
+    state.activeProjectId = null;
+    document.getElementById('projectDeleteConfirm').hidden = true;
+    
+    saveProjects();
+    renderProjectTracker();
+    document.getElementById('projectSelect').focus();
+    showNotification(t('tracker.deleted', { name: project.name }), 'info', {
+        action: { label: t('toast.undo'), onClick: () => restoreProject(project, index) }
+    });
+}
+
+// Undo for a delete: back where it was in the list, and selected again
+function restoreProject(project, index) {
+    if (state.projects.some(p => p.id === project.id)) return;
+    
+    state.projects.splice(Math.min(index, state.projects.length), 0, project);
+    state.activeProjectId = project.id;
+    
+    saveProjects();
+    renderProjectTracker();
+    document.getElementById('projectSelect').focus();
+    announce(t('tracker.restored', { name: project.name }));
+}
+
+function renderProjectDeleteQuestion(project) {
+    document.getElementById('projectDeleteQuestion').textContent = t('tracker.deleteQuestion', { name: project.name });
+}
+
+function selectProject(projectId) {
+    state.activeProjectId = state.projects.some(project => project.id === projectId) ? projectId : null;
+    document.getElementById('projectNameForm').hidden = true;
+    document.getElementById('projectDeleteConfirm').hidden = true;
+    
+    saveProjects();
+    renderProjectTracker();
+}
+
+function updateProjectStep(stepId, field, input) {
+    const project = getActiveProject();
+    if (!project) return;
+    
+    const progress = project.steps[stepId] || { done: false, date: '', note: '' };
+    
+    if (field === 'done') {
+        progress.done = input.checked;
+        // Ticking a step off records today unless a date was already entered
+        if (progress.done && !progress.date) {
+            progress.date = getTodayIsoDate();
+        }
+    } else if (field === 'date') {
+        progress.date = parseIsoDate(input.value) ? input.value : '';
+    } else if (field === 'note') {
+        progress.note = input.value.trim().slice(0, PROJECT_NOTE_MAX_LENGTH);
+    }
+    
+    if (progress.done || progress.date || progress.note) {
+        project.steps[stepId] = progress;
+    } else {
+        delete project.steps[stepId];
+    }
+    
+    saveProjects();
+    renderProjectTracker();
+}
+
+function renderProjectTracker() {
+    const select = document.getElementById('projectSelect');
+    const project = getActiveProject();
+    
+    select.innerHTML = `<option value="">${escapeHtml(t('tracker.none'))}</option>` + state.projects
+        .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`)
+        .join('');
+    select.value = project ? project.id : '';
+    
+    document.querySelectorAll('[data-project-action="rename"], [data-project-action="delete"]').forEach(button => {
+        button.disabled = !project;
+    });
+    document.querySelector('[data-project-action="export"]').disabled = state.projects.length === 0;
+    
+    document.getElementById('projectStepsWrapper').hidden = !project;
+    
+    document.querySelectorAll('.project-step').forEach(row => {
+        const progress = (project && project.steps[row.dataset.step]) || {};
+        row.querySelector('[data-field="done"]').checked = Boolean(progress.done);
+        row.querySelector('[data-field="date"]').value = progress.date || '';
+        row.querySelector('[data-field="note"]').value = progress.note || '';
+        row.classList.toggle('is-complete', Boolean(progress.done));
+    });
+    
+    const summary = document.getElementById('projectProgressSummary');
+    if (project) {
+        const done = guideContent.steps.filter(step => (project.steps[step.id] || {}).done).length;
+        summary.textContent = t('tracker.progress', { done, count: guideContent.steps.length });
+    } else {
+        summary.textContent = state.projects.length > 0 ? t('tracker.choose') : t('tracker.empty');
+    }
+    
+    renderTimelineProgress(project);
+}
+
+// Completed steps on the main timeline for the selected project
+function renderTimelineProgress(project) {
+    document.querySelectorAll('.timeline-item[data-step]').forEach(item => {
+        const card = item.querySelector('.timeline-card');
+        const progress = project && project.steps[item.dataset.step];
+        let badge = card.querySelector('.step-progress');
+        
+        item.classList.toggle('is-complete', Boolean(progress && progress.done));
+        
+        if (!progress || !progress.done) {
+            if (badge) badge.remove();
+            return;
+        }
+        
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.className = 'step-progress';
+            card.insertBefore(badge, card.querySelector('.btn-expand'));
+        }
+        
+        const date = parseIsoDate(progress.date);
+        const text = date
+            ? t('tracker.doneOn', { project: project.name, date: formatEstimateDate(date) })
+            : t('tracker.done', { project: project.name });
+        badge.lang = currentLocale;
+        badge.innerHTML = `
+            <i class="fas fa-check-circle"></i>
+            <span>${escapeHtml(text)}</span>`;
+        badge.title = progress.note || '';
+    });
+}
+
+function createProjectId() {
+    return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ---- Storage ----
+
+function loadProjects() {
+    const empty = { projects: [], activeProjectId: null };
+    
+    try {
+        const stored = localStorage.getItem(PROJECTS_STORAGE_KEY);
+        if (!stored) return empty;
+        
+        const saved = JSON.parse(stored);
+        if (!saved || saved.version !== PROJECTS_STORAGE_VERSION) return empty;
+        
+        const projects = sanitizeProjects(saved.projects);
+        const activeProjectId = projects.some(p => p.id === saved.activeProjectId) ? saved.activeProjectId : null;
+        return { projects, activeProjectId };
+    } catch (e) {
+        console.warn('Could not load projects from localStorage:', e);
+        return empty;
+    }
+}
+
+function saveProjects() {
+    try {
+        localStorage.setItem(PROJECTS_STORAGE_KEY, JSON.stringify({
+            version: PROJECTS_STORAGE_VERSION,
+            activeProjectId: state.activeProjectId,
+            projects: state.projects
+        }));
+    } catch (e) {
+        console.warn('Could not save projects to localStorage:', e);
+        showNotification(t('tracker.saveError'), 'error');
+    }
+}
+
+// Keep only well-formed projects (the first of any with the same id) and steps that exist in the current content
+function sanitizeProjects(projects) {
+    if (!Array.isArray(projects)) return [];
+    
+    const stepIds = guideContent.steps.map(step => step.id);
+    const isProject = project => project && typeof project.id === 'string' && project.id &&
+        typeof project.name === 'string' && project.name.trim();
+    
+    return projects
+        .filter((project, index) => isProject(project) && projects.findIndex(other => other && other.id === project.id) === index)
+        .map(project => {
+            const steps = {};
+            const savedSteps = project.steps && typeof project.steps === 'object' ? project.steps : {};
+            Object.keys(savedSteps).forEach(stepId => {
+                const progress = savedSteps[stepId];
+                if (!stepIds.includes(stepId) || !progress || typeof progress !== 'object') return;
+                steps[stepId] = {
+                    done: progress.done === true,
+                    date: parseIsoDate(progress.date) ? progress.date : '',
+                    note: typeof progress.note === 'string' ? progress.note.slice(0, PROJECT_NOTE_MAX_LENGTH) : ''
+                };
+            });
+            
+            return {
+                id: project.id,
+                name: project.name.trim().slice(0, PROJECT_NAME_MAX_LENGTH),
+                createdOn: typeof project.createdOn === 'string' ? project.createdOn : new Date().toISOString(),
+                steps
+            };
+        });
+}
+
+// ---- Import / Export ----
+
+function exportProjects() {
+    const data = {
+        format: PROJECTS_EXPORT_FORMAT,
+        version: PROJECTS_STORAGE_VERSION,
+        exportedOn: new Date().toISOString(),
+        projects: state.projects
+    };
+    
+    downloadFile(`rezoning-projects-${getTodayIsoDate()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    showNotification(t('tracker.exported', { count: state.projects.length }), 'success');
+}
+
+// Projects with the same id as one already here replace it, so a teammate's export brings yours up to date
+async function importProjects(file) {
+    let projects;
+    
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data || data.format !== PROJECTS_EXPORT_FORMAT || data.version !== PROJECTS_STORAGE_VERSION) {
+            throw new Error('not a project export from this guide');
+        }
+        projects = sanitizeProjects(data.projects);
+    } catch (e) {
+        console.warn('Could not import projects:', e);
+        showNotification(t('tracker.importInvalid', { file: file.name }), 'error');
+        return;
+    }
+    
+    if (projects.length === 0) {
+        showNotification(t('tracker.importEmpty', { file: file.name }), 'warning');
+        return;
+    }
+    
+    projects.forEach(imported => {
+        const index = state.projects.findIndex(project => project.id === imported.id);
+        if (index >= 0) {
+            state.projects[index] = imported;
+        } else {
+            state.projects.push(imported);
+        }
+    });
+    
+    if (!getActiveProject()) {
+        state.activeProjectId = projects[0].id;
+    }
+    
+    saveProjects();
+    renderProjectTracker();
+    showNotification(t('tracker.imported', { count: projects.length }), 'success');
+}
@@ -0,0 +1,181 @@
+/**
+ * Vancouver Rezoning Guide - URL Routing
+ * Deep links: the tab, open step or pathway in the address bar, and Back/Forward.
+ */
+
+// ========================================
+// URL Routing (deep links)
+// ========================================
+// #developer/step3          perspective tab and expanded detail panel
+// #pathway/fast-track/...   decision tree node (see formatPathwayHash)
+// ?q=public+hearing         search query
+
+// Set while several changes make up one navigation, so they push a single history entry
+let routeUpdatesSuspended = false;
+
+function initializeRouting() {
+    window.addEventListener('popstate', function() {
+        // In-page links (the skip link, the printed contents) aren't routes: leave the view as it is
+        const route = parseRoute();
+        if (route) applyRoute(route);
+    });
+    
+    const route = parseRoute();
+    if (hasRoute(route)) {
+        applyRoute(route);
+    }
+}
+
+function hasRoute(route) {
+    return Boolean(route && (route.tab || route.pathway || route.query));
+}
+
+// The route in the address bar, or null when the hash is something else (e.g. "#timeline-title")
+function parseRoute() {
+    const route = { tab: null, step: null, pathway: null, query: getUrlParameter('q') };
+    const hash = location.hash;
+    
+    if (hash === '#pathway' || hash.startsWith(PATHWAY_HASH_PREFIX)) {
+        if (guideContent) {
+            route.pathway = parsePathwayHash(hash) || { invalid: true };
+        }
+        return route;
+    }
+    
+    // No hash is the guide's opening view
+    if (hash === '' || hash === '#') return route;
+    
+    const decoded = safeDecodeURIComponent(hash.slice(1));
+    if (decoded === null) return null;
+    
+    const [tab, step] = decoded.split('/');
+    if (!getTabIds().includes(tab)) return null;
+    
+    route.tab = tab;
+    route.step = step && document.getElementById(`detail-${step}`) ? step : null;
+    return route;
+}
+
+// The URL is derived from state, so every navigation only needs to call updateRoute()
+function buildRouteUrl() {
+    let hash = '';
+    
+    if (state.decisionTreeOpen && state.decisionTreeNode) {
+        hash = formatPathwayHash(state.decisionTreeNode, state.decisionTreeHistory);
+    } else {
+        const step = getLastExpandedStep();
+        if (step) {
+            hash = `#${state.activeTab}/${step}`;
+        } else if (state.activeTab !== getDefaultTab()) {
+            hash = `#${state.activeTab}`;
+        }
+    }
+    
+    const params = new URLSearchParams(location.search);
+    if (state.searchQuery) {
+        params.set('q', state.searchQuery);
+    } else {
+        params.delete('q');
+    }
+    
+    const search = params.toString();
+    return `${location.pathname}${search ? `?${search}` : ''}${hash}`;
+}
+
+function updateRoute({ replace = false } = {}) {
+    if (routeUpdatesSuspended) return;
+    
+    // Every navigation ends here, so this also keeps the saved view current
+    saveState();
+    
+    const url = buildRouteUrl();
+    if (url === `${location.pathname}${location.search}${location.hash}`) return;
+    
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+function withoutRouteUpdates(callback) {
+    const wasSuspended = routeUpdatesSuspended;
+    routeUpdatesSuspended = true;
+    
+    try {
+        callback();
+    } finally {
+        routeUpdatesSuspended = wasSuspended;
+    }
+}
+
+function applyRoute(route) {
+    const announcements = [];
+    
+    withoutRouteUpdates(() => {
+        // A pathway link opens the modal over whichever tab is showing
+        const tab = route.tab || getDefaultTab();
+        if (!route.pathway && tab !== state.activeTab) {
+            switchTab(tab);
+            announcements.push(t('a11y.perspective', { tab: getTabLabel(tab) }));
+        }
+        
+        if (route.query !== state.searchQuery) {
+            document.getElementById('searchInput').value = route.query;
+            performSearch(route.query);
+        }
+        
+        if (!route.pathway) {
+            if (route.step !== getLastExpandedStep()) {
+                collapseAllPanels();
+                if (route.step) {
+                    const panelId = `detail-${route.step}`;
+                    toggleDetailPanel(panelId, document.querySelector(`[aria-controls="${panelId}"]`));
+                    announcements.push(t('a11y.stepExpanded', { step: document.querySelector(`#${panelId} h3`).textContent }));
+                }
+            }
+        }
+        
+        if (route.pathway) {
+            if (!state.decisionTreeOpen) {
+                openDecisionTreeModal();
+            }
+            
+            if (route.pathway.invalid) {
+                state.decisionTreeHistory = [];
+                showDecisionNode(guideContent.decisionTree.start);
+                showNotification(t('decision.outdatedLink'), 'warning');
+            } else {
+                state.decisionTreeHistory = route.pathway.history;
+                showDecisionNode(route.pathway.nodeId, { moveFocus: true });
+            }
+            
+            const heading = document.querySelector(`[data-node="${state.decisionTreeNode}"] h3`);
+            announcements.push(t('a11y.pathway', { heading: heading.textContent }));
+        } else if (state.decisionTreeOpen) {
+            closeDecisionTree();
+            announcements.push(t('a11y.pathwayClosed'));
+        }
+    });
+    
+    // Tidy up the URL (e.g. an out-of-date pathway link) without adding a history entry
+    updateRoute({ replace: true });
+    
+    if (announcements.length > 0) {
+        announce(announcements.join('. '));
+    }
+}
+
+function getTabIds() {
+    return Array.from(document.querySelectorAll('.tab')).map(tab => tab.dataset.tab);
+}
+
+function getTabLabel(tabId) {
+    const tab = document.querySelector(`.tab[data-tab="${tabId}"]`);
+    return tab ? tab.textContent.trim() : tabId;
+}
+
+function getLastExpandedStep() {
+    const panelId = state.expandedPanels[state.expandedPanels.length - 1];
+    return panelId ? panelId.replace(/^detail-/, '') : null;
+}
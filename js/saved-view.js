@@ -0,0 +1,155 @@
+/**
+ * Vancouver Rezoning Guide - Saved View
+ * Remembers the tab, open panels and last pathway between visits.
+ */
+
+// ========================================
+// Saved View (localStorage)
+// ========================================
+const STORAGE_KEY = 'rezoningGuideState';
+const STORAGE_VERSION = 2;
+
+// Upgrade a saved view from version n to n + 1. Add an entry whenever the stored shape changes.
+const STATE_MIGRATIONS = {
+    // Version 1 was the whole state object, unversioned, with a numbered decisionTreeStep
+    1: saved => ({
+        version: 2,
+        activeTab: saved.activeTab,
+        expandedPanels: saved.expandedPanels,
+        glossaryOpen: saved.glossaryOpen,
+        lastPathwayResult: null
+    })
+};
+
+function initializeSavedView() {
+    document.getElementById('resetView').addEventListener('click', resetView);
+    
+    document.getElementById('resumePathway').addEventListener('click', function() {
+        openDecisionTreeModal(state.lastPathwayResult);
+        trackEvent('pathway_start', { source: 'resume' });
+    });
+}
+
+// Save state to localStorage (for persistence between sessions)
+function saveState() {
+    const saved = {
+        version: STORAGE_VERSION,
+        activeTab: state.activeTab,
+        expandedPanels: state.expandedPanels,
+        glossaryOpen: state.glossaryOpen,
+        lastPathwayResult: state.lastPathwayResult
+    };
+    
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.warn('Could not save state to localStorage:', e);
+    }
+}
+
+// Returns the saved view upgraded to STORAGE_VERSION, or null if there isn't a usable one
+function loadState() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return null;
+        
+        let saved = JSON.parse(stored);
+        if (!saved || typeof saved !== 'object') return null;
+        
+        let version = saved.version || 1;
+        while (version < STORAGE_VERSION && STATE_MIGRATIONS[version]) {
+            saved = STATE_MIGRATIONS[version](saved);
+            version = saved.version;
+        }
+        
+        // Saved by a newer version of the guide, or a gap in the migrations
+        return version === STORAGE_VERSION ? saved : null;
+    } catch (e) {
+        console.warn('Could not load state from localStorage:', e);
+        return null;
+    }
+}
+
+function clearSavedState() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not clear state from localStorage:', e);
+    }
+}
+
+// Saved values may refer to steps or results that have since been removed from the content, so check each one
+function restoreSavedView(saved, { includeView = true } = {}) {
+    const result = saved.lastPathwayResult;
+    if (result && guideContent && isValidPathway(result)) {
+        state.lastPathwayResult = result;
+        renderResumePathway();
+        selectEstimatorPathway(result.nodeId);
+        selectFeePathway(result.nodeId);
+    }
+    
+    if (!includeView) return;
+    
+    withoutRouteUpdates(() => {
+        if (getTabIds().includes(saved.activeTab) && saved.activeTab !== state.activeTab) {
+            switchTab(saved.activeTab);
+        }
+        
+        (Array.isArray(saved.expandedPanels) ? saved.expandedPanels : []).forEach(panelId => {
+            const button = document.querySelector(`.btn-expand[aria-controls="${panelId}"]`);
+            if (button && !state.expandedPanels.includes(panelId)) {
+                toggleDetailPanel(panelId, button);
+            }
+        });
+    });
+    
+    if (saved.glossaryOpen && !state.glossaryOpen) {
+        toggleGlossary({ moveFocus: false });
+    }
+    
+    updateRoute({ replace: true });
+}
+
+function isValidPathway(pathway) {
+    const node = getDecisionNode(pathway.nodeId);
+    if (!node || node.type !== 'result' || !Array.isArray(pathway.history)) return false;
+    
+    return pathway.history.every(entry => {
+        const question = entry && getDecisionNode(entry.nodeId);
+        return question && question.type === 'question' && question.options.some(o => o.answer === entry.answer);
+    });
+}
+
+function renderResumePathway() {
+    const button = document.getElementById('resumePathway');
+    const result = state.lastPathwayResult && getDecisionNode(state.lastPathwayResult.nodeId);
+    
+    button.hidden = !result;
+    if (result) {
+        button.querySelector('span').textContent = t('hero.resume', { title: result.title });
+    }
+}
+
+// Back to a first visit: default tab, nothing expanded or open, and nothing saved
+function resetView() {
+    withoutRouteUpdates(() => {
+        if (state.decisionTreeOpen) closeDecisionTree();
+        if (state.activeTab !== getDefaultTab()) switchTab(getDefaultTab());
+        collapseAllPanels();
+    });
+    
+    if (state.glossaryOpen) toggleGlossary();
+    document.getElementById('glossarySearch').value = '';
+    filterGlossary('');
+    
+    state.searchQuery = '';
+    document.getElementById('searchInput').value = '';
+    
+    state.lastPathwayResult = null;
+    renderResumePathway();
+    
+    updateRoute();
+    clearSavedState();
+    
+    announce(t('a11y.viewReset'));
+}
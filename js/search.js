@@ -0,0 +1,530 @@
+/**
+ * Vancouver Rezoning Guide - Search
+ * Site search over the timeline steps, glossary terms and decision-tree results.
+ */
+
+// ========================================
+// Search Functionality
+// ========================================
+// Searches an index of the rendered timeline steps, glossary terms and decision-tree results.
+// Words are stemmed ("hearings" finds "hearing") and glossary terms supply synonyms ("CAC").
+const SEARCH_MAX_RESULTS = 8;
+const SEARCH_SNIPPET_LENGTH = 140;
+const SEARCH_FIELD_WEIGHTS = { title: 4, keywords: 3, text: 1 };
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'if',
+    'in', 'is', 'it', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'what', 'when', 'where', 'who', 'will',
+    'with', 'you', 'your'
+]);
+
+let searchIndex = null;
+let searchResults = [];         // Results currently listed, in rank order
+let activeSearchResult = -1;    // Index into searchResults highlighted with the arrow keys
+let searchInputTimer = null;
+
+function initializeSearch() {
+    const searchInput = document.getElementById('searchInput');
+    const searchButton = document.getElementById('searchBtn');
+    const resultsList = document.getElementById('searchResultsList');
+    
+    searchIndex = buildSearchIndex();
+    
+    // Search on button click
+    searchButton.addEventListener('click', function() {
+        performSearch(searchInput.value);
+    });
+    
+    // Update the results while typing
+    searchInput.addEventListener('input', function() {
+        clearTimeout(searchInputTimer);
+        searchInputTimer = setTimeout(() => {
+            if (this.value.trim() === '') {
+                closeSearchResults();
+            } else {
+                showSearchResults(this.value);
+                trackSearch(this.value, searchResults.length);
+            }
+        }, 200);
+    });
+    
+    searchInput.addEventListener('keydown', handleSearchKeyboard);
+    
+    resultsList.addEventListener('click', function(e) {
+        const option = e.target.closest('.search-result');
+        if (option) {
+            openSearchResult(searchResults[parseInt(option.dataset.resultIndex, 10)]);
+        }
+    });
+    
+    // Close the results when clicking anywhere else
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.search-container')) {
+            closeSearchResults();
+        }
+    });
+}
+
+function handleSearchKeyboard(e) {
+    const isOpen = !document.getElementById('searchResults').hidden;
+    
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (!isOpen) {
+                if (this.value.trim() === '') return;
+                showSearchResults(this.value);
+            }
+            if (searchResults.length > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActiveSearchResult((activeSearchResult + step + searchResults.length) % searchResults.length);
+            }
+            e.preventDefault();
+            break;
+        case 'Enter':
+            clearTimeout(searchInputTimer);
+            if (isOpen && activeSearchResult >= 0) {
+                openSearchResult(searchResults[activeSearchResult]);
+            } else {
+                performSearch(this.value);
+            }
+            e.preventDefault();
+            break;
+        case 'Escape':
+            if (isOpen) {
+                closeSearchResults();
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            break;
+    }
+}
+
+// Run a search (Enter, the search button or a ?q= link) and record it in the URL
+function performSearch(query) {
+    const searchTerm = query.toLowerCase().trim();
+    state.searchQuery = searchTerm;
+    
+    if (searchTerm === '') {
+        closeSearchResults();
+    } else {
+        showSearchResults(searchTerm);
+    }
+    trackSearch(searchTerm, searchTerm === '' ? 0 : searchResults.length);
+    
+    updateRoute();
+}
+
+function showSearchResults(query) {
+    searchResults = searchContent(query);
+    renderSearchResults(query);
+    
+    const panel = document.getElementById('searchResults');
+    panel.hidden = false;
+    document.getElementById('searchInput').setAttribute('aria-expanded', 'true');
+    
+    announce(document.getElementById('searchResultsStatus').textContent);
+}
+
+function closeSearchResults() {
+    clearTimeout(searchInputTimer);
+    document.getElementById('searchResults').hidden = true;
+    document.getElementById('searchInput').setAttribute('aria-expanded', 'false');
+    setActiveSearchResult(-1);
+}
+
+function renderSearchResults(query) {
+    const status = document.getElementById('searchResultsStatus');
+    const list = document.getElementById('searchResultsList');
+    
+    status.textContent = searchResults.length > 0
+        ? t('search.status.found', { count: searchResults.length, query: query.trim() })
+        : t('search.status.none', { query: query.trim() });
+    
+    list.innerHTML = searchResults.map((result, index) => `
+        <li class="search-result" id="search-result-${index}" role="option" aria-selected="false" data-result-index="${index}">
+            <span class="search-result-type">${escapeHtml(t(`search.type.${result.type}`))}</span>
+            <span class="search-result-title" lang="${CONTENT_LANGUAGE}">${highlightSearchTerms(result.title, result.matchedStems)}</span>
+            <span class="search-result-snippet" lang="${CONTENT_LANGUAGE}">${buildSearchSnippet(result.text, result.matchedStems)}</span>
+        </li>`).join('');
+    
+    activeSearchResult = -1;
+    document.getElementById('searchInput').removeAttribute('aria-activedescendant');
+}
+
+function setActiveSearchResult(index) {
+    const searchInput = document.getElementById('searchInput');
+    activeSearchResult = index;
+    
+    document.querySelectorAll('.search-result').forEach(option => {
+        const isActive = parseInt(option.dataset.resultIndex, 10) === index;
+        option.classList.toggle('active', isActive);
+        option.setAttribute('aria-selected', isActive);
+        if (isActive) option.scrollIntoView({ block: 'nearest' });
+    });
+    
+    if (index >= 0) {
+        searchInput.setAttribute('aria-activedescendant', `search-result-${index}`);
+    } else {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Show a result where it lives on the page and mark the matching words in it
+function openSearchResult(result) {
+    if (!result) return;
+    
+    trackEvent('search_result_open', {
+        type: result.type,
+        target: result.target,
+        rank: searchResults.indexOf(result) + 1
+    });
+    closeSearchResults();
+    clearSearchMarks();
+    
+    let target;
+    if (result.type === 'step') {
+        const button = document.querySelector(`.btn-expand[aria-controls="${result.target}"]`);
+        if (button.getAttribute('aria-expanded') !== 'true') {
+            toggleDetailPanel(result.target, button);
+        }
+        target = document.getElementById(result.target);
+    } else if (result.type === 'glossary') {
+        target = openGlossaryTo(result.target, 'search');
+    } else {
+        openDecisionTreeModal({ nodeId: result.target, history: [] });
+        trackEvent('pathway_start', { source: 'search' });
+        target = document.querySelector(`.decision-result[data-node="${result.target}"]`);
+    }
+    
+    markSearchTerms(target, result.matchedStems);
+    target.classList.add('search-highlight');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    
+    // Move focus to the result so keyboard users continue reading from there
+    const heading = target.querySelector('h3, h4');
+    if (heading) {
+        if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+        heading.focus({ preventScroll: true });
+    }
+    
+    // Remove highlight after 5 seconds
+    setTimeout(() => {
+        target.classList.remove('search-highlight');
+    }, 5000);
+}
+
+// ---- Index ----
+
+function buildSearchIndex() {
+    const documents = [];
+    
+    document.querySelectorAll('.timeline-item').forEach(item => {
+        const panel = document.getElementById(item.querySelector('.btn-expand').getAttribute('aria-controls'));
+        documents.push(createSearchDocument({
+            type: 'step',
+            target: panel.id,
+            title: item.querySelector('h4').textContent,
+            keywords: item.querySelector('.step-label').textContent,
+            text: `${item.querySelector('.timeline-card p').textContent} ${getSearchableText(panel, '.btn-draft-comment')}`
+        }));
+    });
+    
+    document.querySelectorAll('.glossary-item').forEach(item => {
+        documents.push(createSearchDocument({
+            type: 'glossary',
+            target: item.id,
+            title: item.querySelector('h4').textContent,
+            keywords: item.dataset.term || '',
+            text: item.querySelector('p').textContent
+        }));
+    });
+    
+    document.querySelectorAll('.decision-result').forEach(result => {
+        documents.push(createSearchDocument({
+            type: 'pathway',
+            target: result.dataset.node,
+            title: result.querySelector('h3').textContent,
+            keywords: '',
+            text: getSearchableText(result, '.decision-considerations, .pathway-summary, button:not(.glossary-term)')
+        }));
+    });
+    
+    // Number of documents each stem appears in, for weighting rare words higher
+    const documentFrequency = new Map();
+    documents.forEach(doc => {
+        doc.allStems.forEach(stem => documentFrequency.set(stem, (documentFrequency.get(stem) || 0) + 1));
+    });
+    
+    return { documents, documentFrequency, synonyms: buildSearchSynonyms() };
+}
+
+function createSearchDocument(fields) {
+    const doc = Object.assign({}, fields, { stems: {}, allStems: new Set() });
+    
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+        const counts = new Map();
+        getSearchStems(fields[field]).forEach(stem => {
+            counts.set(stem, (counts.get(stem) || 0) + 1);
+            doc.allStems.add(stem);
+        });
+        doc.stems[field] = counts;
+    });
+    
+    return doc;
+}
+
+// Text content without headings that repeat the title and without the given elements
+function getSearchableText(element, exclude = '') {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll(`h3${exclude ? `, ${exclude}` : ''}`).forEach(el => el.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Each glossary entry is a synonym group: its name, an abbreviation in brackets and any extra
+// data-term keywords, e.g. "Community Amenity Contribution (CAC)" gives CAC <-> community amenity contribution
+function buildSearchSynonyms() {
+    return Array.from(document.querySelectorAll('.glossary-item')).map(item => {
+        const term = item.querySelector('h4').textContent;
+        const nameStems = getSearchStems(term.replace(/\([^)]*\)/g, ' '));
+        const abbreviations = (term.match(/\(([^)]+)\)/g) || []).map(abbr => getSearchStems(abbr));
+        const keywords = (item.dataset.term || '').split(/\s+/)
+            .map(getSearchStems)
+            .filter(stems => stems.some(stem => !nameStems.includes(stem)));
+        
+        const phrases = new Map();
+        [nameStems, ...abbreviations, ...keywords].forEach(stems => {
+            if (stems.length > 0) phrases.set(stems.join(' '), stems);
+        });
+        return Array.from(phrases.values());
+    }).filter(group => group.length > 1);
+}
+
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /[a-z0-9]+/gi;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        const word = match[0].toLowerCase();
+        tokens.push({ word, stem: stemWord(word), start: match.index, end: match.index + word.length });
+    }
+    
+    return tokens;
+}
+
+function getSearchStems(text) {
+    return tokenize(text)
+        .filter(token => !SEARCH_STOP_WORDS.has(token.word))
+        .map(token => token.stem);
+}
+
+// A light suffix stripper: enough for "hearings" to find "hearing" and "zoning" to find "zone"
+function stemWord(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) return word;
+    
+    let stem = word;
+    if (stem.endsWith('ies')) {
+        stem = `${stem.slice(0, -3)}y`;
+    } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+    
+    const suffix = stem.match(/(ing|ed)$/);
+    if (suffix && stem.length - suffix[0].length >= 3) {
+        stem = stem.slice(0, -suffix[0].length);
+        // "permitted" -> "permit"
+        if (/([^aeiouls])\1$/.test(stem)) stem = stem.slice(0, -1);
+    }
+    
+    if (stem.length > 3 && stem.endsWith('e')) {
+        stem = stem.slice(0, -1);
+    }
+    
+    return stem;
+}
+
+// ---- Querying ----
+
+/**
+ * Split a query into clauses that must all match. A clause lists alternative phrases,
+ * so "cac fees" becomes [[cac] or [community amenity contribution]] and [[fee]].
+ */
+function parseSearchQuery(query) {
+    const stems = getSearchStems(query);
+    const clauses = [];
+    
+    for (let i = 0; i < stems.length;) {
+        let match = null;
+        
+        searchIndex.synonyms.forEach(group => {
+            group.forEach(phrase => {
+                const matches = phrase.every((stem, offset) => stems[i + offset] === stem);
+                if (matches && (!match || phrase.length > match.phrase.length)) {
+                    match = { group, phrase };
+                }
+            });
+        });
+        
+        if (match) {
+            clauses.push({ alternatives: match.group, prefix: false });
+            i += match.phrase.length;
+        } else {
+            clauses.push({ alternatives: [[stems[i]]], prefix: false });
+            i += 1;
+        }
+    }
+    
+    // The last word may still be being typed
+    if (clauses.length > 0 && !/\s$/.test(query)) {
+        const last = clauses[clauses.length - 1];
+        last.prefix = last.alternatives.length === 1 && last.alternatives[0].length === 1;
+    }
+    
+    return clauses;
+}
+
+function searchContent(query) {
+    if (!searchIndex) return [];
+    
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return [];
+    
+    const phrase = query.toLowerCase().trim();
+    
+    return searchIndex.documents
+        .map(doc => scoreSearchDocument(doc, clauses, phrase))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SEARCH_MAX_RESULTS);
+}
+
+// Returns the document with its score and matched stems, or null unless every clause matches
+function scoreSearchDocument(doc, clauses, phrase) {
+    const matchedStems = new Set();
+    let score = 0;
+    
+    for (const clause of clauses) {
+        let best = null;
+        
+        clause.alternatives.forEach(alternative => {
+            const result = scoreSearchPhrase(doc, alternative, clause.prefix);
+            if (result && (!best || result.score > best.score)) best = result;
+        });
+        
+        if (!best) return null;
+        
+        score += best.score;
+        best.stems.forEach(stem => matchedStems.add(stem));
+    }
+    
+    // Exact wording in the title counts for more than scattered words
+    if (doc.title.toLowerCase().includes(phrase)) {
+        score *= 1.5;
+    }
+    
+    return Object.assign({}, doc, { score, matchedStems });
+}
+
+function scoreSearchPhrase(doc, stems, allowPrefix) {
+    let score = 0;
+    const matched = [];
+    
+    for (const stem of stems) {
+        let docStems = [stem];
+        let weight = 1;
+        
+        if (!doc.allStems.has(stem)) {
+            if (!allowPrefix) return null;
+            docStems = Array.from(doc.allStems).filter(docStem => docStem.startsWith(stem));
+            if (docStems.length === 0) return null;
+            weight = 0.5;
+        }
+        
+        docStems.forEach(docStem => {
+            const idf = Math.log(1 + searchIndex.documents.length / searchIndex.documentFrequency.get(docStem));
+            Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+                const count = doc.stems[field].get(docStem) || 0;
+                // Repeats help, but with diminishing returns
+                score += weight * SEARCH_FIELD_WEIGHTS[field] * Math.log(1 + count) * idf;
+            });
+            matched.push(docStem);
+        });
+    }
+    
+    return { score, stems: matched };
+}
+
+// ---- Highlighting ----
+
+function buildSearchSnippet(text, stems) {
+    const first = tokenize(text).find(token => stems.has(token.stem));
+    let start = 0;
+    
+    // Start a little before the first match, at a word boundary
+    if (first && first.end > SEARCH_SNIPPET_LENGTH * 0.7) {
+        start = text.lastIndexOf(' ', Math.max(0, first.start - 40)) + 1;
+    }
+    
+    let end = start + SEARCH_SNIPPET_LENGTH;
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    } else {
+        end = text.length;
+    }
+    
+    return `${start > 0 ? '&hellip;' : ''}${highlightSearchTerms(text.slice(start, end), stems)}${end < text.length ? '&hellip;' : ''}`;
+}
+
+// Escaped HTML of text with words matching the stems wrapped in <mark>
+function highlightSearchTerms(text, stems) {
+    let html = '';
+    let last = 0;
+    
+    tokenize(text).forEach(token => {
+        if (stems.has(token.stem)) {
+            html += `${escapeHtml(text.slice(last, token.start))}<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+            last = token.end;
+        }
+    });
+    
+    return html + escapeHtml(text.slice(last));
+}
+
+function markSearchTerms(container, stems) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('button')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+    
+    textNodes.forEach(node => {
+        const text = node.textContent;
+        const tokens = tokenize(text).filter(token => stems.has(token.stem));
+        if (tokens.length === 0) return;
+        
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        tokens.forEach(token => {
+            fragment.appendChild(document.createTextNode(text.slice(last, token.start)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-mark';
+            mark.textContent = text.slice(token.start, token.end);
+            fragment.appendChild(mark);
+            last = token.end;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        node.replaceWith(fragment);
+    });
+}
+
+function clearSearchMarks() {
+    document.querySelectorAll('mark.search-mark').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(document.createTextNode(mark.textContent));
+        parent.normalize();
+    });
+}
@@ -0,0 +1,302 @@
+/**
+ * Vancouver Rezoning Guide - Keyboard Shortcuts
+ * What each shortcut does, the shortcuts dialog and remapping keys.
+ */
+
+// ========================================
+// Keyboard Shortcuts (registry in keyboard-shortcuts.js)
+// ========================================
+const SHORTCUTS_STORAGE_KEY = 'rezoningGuideShortcuts';
+const SHORTCUTS_STORAGE_VERSION = 1;
+
+// DEFAULT_SHORTCUTS plus a number key per audience (see initializeShortcuts)
+let shortcutDefaults = { ...DEFAULT_SHORTCUTS };
+let shortcutTabs = {};          // Perspective tab for each tab shortcut
+let shortcutBindings = { ...DEFAULT_SHORTCUTS };
+let shortcutCapture = null;     // Id of the shortcut waiting for a new key, if any
+let shortcutsDialog = null;
+
+function initializeShortcuts() {
+    const dialog = document.getElementById('shortcutsDialog');
+    const openButton = document.getElementById('openShortcuts');
+    const list = document.getElementById('shortcutsList');
+    
+    // 1, 2, 3... follow the tabs, so they're made from the audiences in the content
+    const tabIds = guideContent ? guideContent.audiences.map(audience => audience.id) : [];
+    shortcutDefaults = getDefaultShortcuts(tabIds);
+    shortcutTabs = {};
+    tabIds.forEach(tabId => {
+        shortcutTabs[getTabShortcutId(tabId)] = tabId;
+    });
+    
+    shortcutBindings = resolveShortcuts(loadShortcutOverrides(), shortcutDefaults);
+    shortcutsDialog = createDialog(dialog, {
+        onDismiss: closeKeyboardShortcuts,
+        fallbackFocus: openButton
+    });
+    
+    openButton.addEventListener('click', showKeyboardShortcuts);
+    dialog.querySelector('.modal-close').addEventListener('click', closeKeyboardShortcuts);
+    
+    // Close on backdrop click
+    dialog.addEventListener('click', function(e) {
+        if (e.target === dialog) {
+            closeKeyboardShortcuts();
+        }
+    });
+    
+    list.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-shortcut-action]');
+        if (!button) return;
+        
+        const id = button.closest('[data-shortcut]').dataset.shortcut;
+        if (button.dataset.shortcutAction === 'change') {
+            toggleShortcutCapture(id);
+        } else {
+            setShortcut(id, null);
+            focusShortcutButton(id, 'change');
+        }
+    });
+    
+    // While waiting for a new key, the next key press is the new shortcut
+    list.addEventListener('keydown', handleShortcutCapture);
+    list.addEventListener('focusout', function(e) {
+        if (shortcutCapture && !list.contains(e.relatedTarget)) {
+            cancelShortcutCapture();
+        }
+    });
+    
+    document.getElementById('resetShortcuts').addEventListener('click', function() {
+        shortcutBindings = { ...shortcutDefaults };
+        shortcutCapture = null;
+        saveShortcutOverrides();
+        renderShortcutsList();
+        announce(t('shortcuts.restored'));
+    });
+    
+    document.addEventListener('keydown', handleShortcutKeyboard);
+    
+    renderShortcutsList();
+}
+
+function handleShortcutKeyboard(e) {
+    if (e.defaultPrevented) return;
+    
+    const key = getShortcutKey(e);
+    const id = key && findShortcut(shortcutBindings, key);
+    if (!id) return;
+    
+    if (isSingleKey(key) && isTypingTarget(e.target)) return;
+    
+    // Shortcuts act on the page, so they wait while a dialog covers it
+    if (getTopDialog() && id !== 'help') return;
+    
+    e.preventDefault();
+    runShortcut(id);
+}
+
+function runShortcut(id) {
+    switch (id) {
+        case 'search':
+            document.getElementById('searchInput').focus();
+            break;
+        case 'help':
+            showKeyboardShortcuts();
+            break;
+        case 'glossary':
+            toggleGlossary();
+            if (state.glossaryOpen) trackEvent('glossary_open', { source: 'shortcut' });
+            break;
+        case 'nextStep':
+            focusTimelineStep(1);
+            break;
+        case 'previousStep':
+            focusTimelineStep(-1);
+            break;
+        default: {
+            const tab = document.querySelector(`.tab[data-tab="${shortcutTabs[id]}"]`);
+            if (tab) {
+                tab.focus();
+                tab.click();
+            }
+        }
+    }
+}
+
+function isTypingTarget(element) {
+    if (!element || !element.tagName) return false;
+    if (element.isContentEditable || ['TEXTAREA', 'SELECT'].includes(element.tagName)) return true;
+    
+    return element.tagName === 'INPUT' &&
+        !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'].includes(element.type);
+}
+
+// Moves to the next or previous step's Learn More button, from the step (or its detail panel) in focus
+function focusTimelineStep(offset) {
+    const buttons = Array.from(document.querySelectorAll('.timeline-item .btn-expand'))
+        .filter(button => !button.closest('[hidden]'));
+    if (buttons.length === 0) return;
+    
+    const panel = document.activeElement && document.activeElement.closest('.detail-panel');
+    const current = buttons.findIndex(button =>
+        button.closest('.timeline-item').contains(document.activeElement) ||
+        (panel && button.getAttribute('aria-controls') === panel.id));
+    
+    let next;
+    if (current === -1) {
+        next = offset > 0 ? 0 : buttons.length - 1;
+    } else {
+        next = Math.min(Math.max(current + offset, 0), buttons.length - 1);
+    }
+    
+    buttons[next].focus();
+    buttons[next].scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+}
+
+function showKeyboardShortcuts() {
+    shortcutsDialog.open();
+}
+
+function closeKeyboardShortcuts() {
+    shortcutCapture = null;
+    shortcutsDialog.close();
+    renderShortcutsList();
+}
+
+// ---- Help dialog ----
+
+function renderShortcutsList() {
+    document.getElementById('shortcutsList').innerHTML = Object.keys(shortcutDefaults).map(id => {
+        const action = t(`shortcuts.action.${id}`);
+        
+        return `
+            <tr data-shortcut="${id}">
+                <th scope="row">${escapeHtml(action)}</th>
+                <td class="shortcut-key"></td>
+                <td class="shortcut-options">
+                    <button type="button" class="btn-secondary" data-shortcut-action="change" aria-label="${escapeHtml(t('shortcuts.changeLabel', { action }))}">${escapeHtml(t('shortcuts.change'))}</button>
+                    <button type="button" class="btn-secondary" data-shortcut-action="disable" aria-label="${escapeHtml(t('shortcuts.disableLabel', { action }))}">${escapeHtml(t('shortcuts.disable'))}</button>
+                </td>
+            </tr>`;
+    }).join('');
+    
+    Object.keys(shortcutDefaults).forEach(updateShortcutRow);
+}
+
+// Updates a row in place, so the button in focus stays put
+function updateShortcutRow(id) {
+    const row = document.querySelector(`#shortcutsList [data-shortcut="${id}"]`);
+    const key = shortcutBindings[id];
+    const cell = row.querySelector('.shortcut-key');
+    
+    if (shortcutCapture === id) {
+        cell.innerHTML = `<span class="shortcut-capture">${escapeHtml(t('shortcuts.press'))}</span>`;
+    } else if (key) {
+        cell.innerHTML = `<kbd>${escapeHtml(formatShortcutKey(key, { isMac: isMacPlatform() }))}</kbd>`;
+    } else {
+        cell.innerHTML = `<span class="shortcut-off">${escapeHtml(t('shortcuts.off'))}</span>`;
+    }
+    
+    row.classList.toggle('capturing', shortcutCapture === id);
+    row.querySelector('[data-shortcut-action="change"]').setAttribute('aria-pressed', shortcutCapture === id);
+    row.querySelector('[data-shortcut-action="disable"]').disabled = !key;
+}
+
+function focusShortcutButton(id, action) {
+    document.querySelector(`#shortcutsList [data-shortcut="${id}"] [data-shortcut-action="${action}"]`).focus();
+}
+
+function toggleShortcutCapture(id) {
+    const previous = shortcutCapture;
+    shortcutCapture = previous === id ? null : id;
+    
+    if (previous) updateShortcutRow(previous);
+    if (shortcutCapture) {
+        updateShortcutRow(id);
+        announce(t('shortcuts.press'));
+    }
+}
+
+function cancelShortcutCapture() {
+    const id = shortcutCapture;
+    shortcutCapture = null;
+    if (id) updateShortcutRow(id);
+}
+
+function handleShortcutCapture(e) {
+    if (!shortcutCapture) return;
+    
+    // Tab still moves focus (and gives up on changing the key)
+    if (e.key === 'Tab') {
+        cancelShortcutCapture();
+        return;
+    }
+    
+    const key = getShortcutKey(e);
+    if (!key) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    
+    if (e.key === 'Escape') {
+        cancelShortcutCapture();
+    } else if (isReservedKey(key)) {
+        announce(t('shortcuts.reserved', { key: formatShortcutKey(key, { isMac: isMacPlatform() }) }));
+    } else {
+        setShortcut(shortcutCapture, key);
+    }
+}
+
+function setShortcut(id, key) {
+    const result = assignShortcut(shortcutBindings, id, key);
+    shortcutBindings = result.bindings;
+    shortcutCapture = null;
+    saveShortcutOverrides();
+    
+    updateShortcutRow(id);
+    if (result.displaced) updateShortcutRow(result.displaced);
+    
+    const action = t(`shortcuts.action.${id}`);
+    const messages = [key
+        ? t('shortcuts.changed', { action, key: formatShortcutKey(key, { isMac: isMacPlatform() }) })
+        : t('shortcuts.turnedOff', { action })];
+    
+    if (result.displaced) {
+        messages.push(t('shortcuts.displaced', {
+            key: formatShortcutKey(key, { isMac: isMacPlatform() }),
+            action: t(`shortcuts.action.${result.displaced}`)
+        }));
+    }
+    
+    announce(messages.join(' '));
+}
+
+function isMacPlatform() {
+    return /Mac|iPhone|iPad/.test(navigator.platform);
+}
+
+// ---- Storage ----
+
+function loadShortcutOverrides() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY));
+        if (!saved || saved.version !== SHORTCUTS_STORAGE_VERSION || typeof saved.overrides !== 'object') {
+            return {};
+        }
+        return saved.overrides || {};
+    } catch (e) {
+        console.warn('Could not load keyboard shortcuts from localStorage:', e);
+        return {};
+    }
+}
+
+function saveShortcutOverrides() {
+    try {
+        localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify({
+            version: SHORTCUTS_STORAGE_VERSION,
+            overrides: getShortcutOverrides(shortcutBindings, shortcutDefaults)
+        }));
+    } catch (e) {
+        console.warn('Could not save keyboard shortcuts to localStorage:', e);
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Vancouver Rezoning Guide - Site Check
+ * Looks up an address or zoning district code in the decision tree, says which plans apply
+ * and offers the matching answer to the ODP question (decisionTree.siteLookup in the content).
+ * The site data is a local file, data/sites.json, loaded the first time it's needed.
+ */
+
+// ========================================
+// Site Check (lookups in site-lookup.js)
+// ========================================
+const SITES_URL = 'data/sites.json';
+const SITES_SCHEMA_URL = 'data/sites.schema.json';
+
+let siteDataRequest = null;
+const siteCheckResults = new Map();     // Last lookup per form, redrawn when the language changes
+
+function initializeSiteCheck() {
+    const container = document.getElementById('decisionTreeSteps');
+    
+    container.addEventListener('submit', function(e) {
+        const form = e.target.closest('.site-lookup');
+        if (!form) return;
+        
+        e.preventDefault();
+        checkSite(form);
+    });
+    
+    container.addEventListener('click', function(e) {
+        const button = e.target.closest('.site-lookup-answer');
+        if (button) answerFromSiteCheck(button.dataset.answer);
+    });
+}
+
+// Rendered into each node listed in siteLookup.showOn (see renderDecisionTreeNodes)
+function renderSiteLookupForm(nodeId) {
+    const id = `siteLookup-${nodeId}`;
+    
+    return `
+                <form class="site-lookup" novalidate>
+                    <h4><i class="fas fa-map-marker-alt"></i> ${renderUiText('siteLookup.title')}</h4>
+                    <label for="${id}">${renderUiText('siteLookup.label')}</label>
+                    <div class="site-lookup-controls">
+                        <input type="text" id="${id}" autocomplete="street-address" aria-describedby="${id}-hint">
+                        <button type="submit" class="btn-secondary">
+                            <i class="fas fa-search"></i> ${renderUiText('siteLookup.check')}
+                        </button>
+                    </div>
+                    <p class="field-hint" id="${id}-hint">${renderUiText('siteLookup.hint')}</p>
+                    <div class="site-lookup-result" lang="${currentLocale}" hidden></div>
+                </form>`;
+}
+
+function loadSiteData() {
+    if (!siteDataRequest) {
+        siteDataRequest = Promise.all([fetchJson(SITES_URL), fetchJson(SITES_SCHEMA_URL)]).then(([sites, schema]) => {
+            const errors = validateAgainstSchema(sites, schema, 'sites').concat(validateSiteData(sites));
+            if (errors.length > 0) {
+                throw createContentError(`${SITES_URL} does not match the site data schema`, errors);
+            }
+            return sites;
+        });
+        // Try again next time rather than keep a failed load
+        siteDataRequest.catch(() => {
+            siteDataRequest = null;
+        });
+    }
+    return siteDataRequest;
+}
+
+async function checkSite(form) {
+    const input = form.querySelector('input');
+    const query = input.value.trim();
+    
+    if (!query) {
+        showSiteCheckResult(form, { error: 'empty' });
+        input.focus();
+        return;
+    }
+    
+    let sites;
+    try {
+        sites = await loadSiteData();
+    } catch (error) {
+        console.error(error.message, error.details || []);
+        showSiteCheckResult(form, { error: 'unavailable' });
+        return;
+    }
+    
+    const site = lookupSite(query, sites);
+    showSiteCheckResult(form, { query, site, updated: sites.updated });
+    
+    // Whether it was found, never what was typed
+    trackEvent('site_lookup', {
+        kind: parseAddress(query) ? 'address' : 'district',
+        found: Boolean(site),
+        inOdp: Boolean(site && site.inOdp)
+    });
+}
+
+function showSiteCheckResult(form, result) {
+    siteCheckResults.set(form, result);
+    
+    const output = form.querySelector('.site-lookup-result');
+    output.innerHTML = renderSiteCheckResult(result);
+    output.lang = currentLocale;
+    output.hidden = false;
+    
+    announce(Array.from(output.querySelectorAll('.site-lookup-summary'), p => p.textContent.trim()).join(' '));
+}
+
+function renderSiteCheckResult({ error, query, site, updated }) {
+    if (error) {
+        return `<p class="site-lookup-summary field-error">${escapeHtml(t(`siteLookup.${error}`))}</p>`;
+    }
+    if (!site) {
+        return `
+            <p class="site-lookup-summary">${escapeHtml(t('siteLookup.notFound', { query }))}</p>
+            <p class="field-hint">${escapeHtml(t('siteLookup.updated', { date: updated }))}</p>`;
+    }
+    
+    const { question, answers } = guideContent.decisionTree.siteLookup;
+    const answer = site.inOdp ? answers.inOdp : answers.outsideOdp;
+    const option = getDecisionNode(question).options.find(item => item.answer === answer);
+    
+    const district = { code: site.district.code, name: site.district.name };
+    const where = site.kind === 'address'
+        ? t('siteLookup.foundAddress', Object.assign({ address: `${site.address.number} ${site.address.street}` }, district))
+        : t('siteLookup.foundDistrict', district);
+    const odp = site.plans.find(plan => plan.type === 'odp');
+    const communityPlans = site.plans.filter(plan => plan.type !== 'odp');
+    
+    return `
+            <p class="site-lookup-summary">${escapeHtml(where)}</p>
+            <p class="site-lookup-summary">${escapeHtml(odp ? t('siteLookup.inOdp', { plan: odp.name }) : t('siteLookup.outsideOdp'))}</p>
+            ${communityPlans.length > 0 ? `
+            <p>${escapeHtml(t('siteLookup.communityPlans'))} ${communityPlans.map(renderPlanName).join(', ')}</p>` : ''}
+            ${site.kind === 'district' && site.district.note ? `<p lang="${CONTENT_LANGUAGE}">${escapeHtml(site.district.note)}</p>` : ''}
+            <button type="button" class="btn-primary site-lookup-answer" data-answer="${answer}">
+                ${escapeHtml(t('siteLookup.answer', { answer: option.label }))}
+            </button>
+            <p class="field-hint">${escapeHtml(t('siteLookup.updated', { date: updated }))}</p>`;
+}
+
+function renderPlanName(plan) {
+    return `<span lang="${CONTENT_LANGUAGE}">${escapeHtml(plan.name)}</span>`;
+}
+
+// Answer the question the lookup is for, replacing any answer given to it so far
+function answerFromSiteCheck(answer) {
+    const { question } = guideContent.decisionTree.siteLookup;
+    const button = document.querySelector(`.decision-step[data-node="${question}"] .btn-decision[data-answer="${answer}"]`);
+    if (!button) return;
+    
+    const answered = state.decisionTreeHistory.findIndex(entry => entry.nodeId === question);
+    if (answered !== -1) {
+        state.decisionTreeHistory = state.decisionTreeHistory.slice(0, answered);
+    }
+    handleDecisionTreeChoice(button);
+}
+
+// Results follow the language (see refreshTranslatedViews)
+function refreshSiteCheck() {
+    siteCheckResults.forEach((result, form) => {
+        const output = form.querySelector('.site-lookup-result');
+        output.innerHTML = renderSiteCheckResult(result);
+        output.lang = currentLocale;
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * Vancouver Rezoning Guide - Tabs
+ * The perspective tabs and the content each one shows. The audiences behind them are
+ * declared in data/content.json (see renderAudienceTab in js/content.js).
+ */
+
+// ========================================
+// Tab Navigation
+// ========================================
+function initializeTabs() {
+    const tabs = document.querySelectorAll('.tab');
+    state.activeTab = getDefaultTab();
+    
+    tabs.forEach(tab => {
+        tab.addEventListener('click', function() {
+            const tabId = this.dataset.tab;
+            switchTab(tabId);
+            trackEvent('tab_switch');
+        });
+        
+        // Keyboard navigation
+        tab.addEventListener('keydown', function(e) {
+            handleTabKeyboard(e, tabs);
+        });
+    });
+}
+
+function switchTab(tabId) {
+    // Update state
+    state.activeTab = tabId;
+    
+    // Update tabs
+    document.querySelectorAll('.tab').forEach(tab => {
+        const isActive = tab.dataset.tab === tabId;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', isActive);
+    });
+    
+    // Update panels
+    document.querySelectorAll('.tab-content').forEach(panel => {
+        const isActive = panel.id === `${tabId}-panel`;
+        panel.classList.toggle('active', isActive);
+        panel.hidden = !isActive;
+    });
+    
+    // Collapse all expanded panels when switching tabs
+    collapseAllPanels();
+    
+    // Show/hide role-specific content
+    updateContentVisibility(tabId);
+    
+    // Optional: Customize timeline based on tab
+    highlightRelevantSteps(tabId);
+    
+    updateRoute();
+}
+
+function handleTabKeyboard(e, tabs) {
+    const currentIndex = Array.from(tabs).indexOf(e.target);
+    let newIndex;
+    
+    // In right-to-left languages the tabs run the other way, and so do the arrow keys
+    const nextKey = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    
+    switch(e.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight':
+            newIndex = (currentIndex + (e.key === nextKey ? 1 : -1) + tabs.length) % tabs.length;
+            tabs[newIndex].focus();
+            tabs[newIndex].click();
+            e.preventDefault();
+            break;
+        case 'Home':
+            tabs[0].focus();
+            tabs[0].click();
+            e.preventDefault();
+            break;
+        case 'End':
+            tabs[tabs.length - 1].focus();
+            tabs[tabs.length - 1].click();
+            e.preventDefault();
+            break;
+    }
+}
+
+// The first audience in the content is the view the guide opens on
+function getDefaultTab() {
+    return guideContent ? guideContent.audiences[0].id : null;
+}
+
+function getAudience(tabId) {
+    return guideContent ? guideContent.audiences.find(audience => audience.id === tabId) || null : null;
+}
+
+// Steps listing the audience get a labelled badge; the rest are toned down. The badge
+// text, not the styling, is what says a step matters, so it reaches screen readers too.
+function highlightRelevantSteps(tabId) {
+    const audience = getAudience(tabId);
+    const highlight = Boolean(audience && audience.highlightSteps);
+    
+    document.querySelectorAll('.timeline-item').forEach(item => {
+        const isRelevant = highlight && item.dataset.audiences.split(' ').includes(tabId);
+        const badge = item.querySelector('.relevance-badge');
+        const label = badge.querySelector('span');
+        
+        item.classList.toggle('is-relevant', isRelevant);
+        item.classList.toggle('is-less-relevant', highlight && !isRelevant);
+        badge.hidden = !isRelevant;
+        label.textContent = isRelevant ? t(`panel.${tabId}.relevantStep`) : '';
+        label.lang = currentLocale;
+    });
+}
+
+// ========================================
+// Content Visibility by Audience
+// ========================================
+// Content for some audiences only is marked with data-show-for="resident tenant"
+function updateContentVisibility(tabId) {
+    const audience = getAudience(tabId);
+    let shown = audience ? [audience.id] : [];
+    if (audience && audience.showsAll) {
+        shown = guideContent.audiences.map(other => other.id);
+    }
+    
+    document.querySelectorAll('[data-show-for]').forEach(el => {
+        el.hidden = !el.dataset.showFor.split(' ').some(id => shown.includes(id));
+    });
+}
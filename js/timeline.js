@@ -0,0 +1,241 @@
+/**
+ * Vancouver Rezoning Guide - Timeline
+ * The process timeline, its expandable detail panels and the step navigator above it.
+ */
+
+// ========================================
+// Timeline & Detail Panels
+// ========================================
+function initializeTimeline() {
+    const expandButtons = document.querySelectorAll('.btn-expand');
+    
+    expandButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            const panelId = this.getAttribute('aria-controls');
+            toggleDetailPanel(panelId, this);
+            
+            if (this.getAttribute('aria-expanded') === 'true') {
+                trackEvent('step_expand', { step: panelId.replace(/^detail-/, '') });
+            }
+        });
+    });
+    
+    initializeStepNavigator();
+}
+
+function toggleDetailPanel(panelId, button) {
+    const panel = document.getElementById(panelId);
+    const isExpanded = button.getAttribute('aria-expanded') === 'true';
+    
+    if (isExpanded) {
+        // Collapse
+        panel.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        state.expandedPanels = state.expandedPanels.filter(id => id !== panelId);
+    } else {
+        // Expand
+        panel.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        state.expandedPanels.push(panelId);
+        
+        // Smooth scroll to detail panel
+        setTimeout(() => {
+            panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 100);
+    }
+    
+    updateRoute();
+}
+
+function collapseAllPanels() {
+    state.expandedPanels.forEach(panelId => {
+        const panel = document.getElementById(panelId);
+        const button = document.querySelector(`[aria-controls="${panelId}"]`);
+        
+        if (panel) panel.hidden = true;
+        if (button) button.setAttribute('aria-expanded', 'false');
+    });
+    
+    state.expandedPanels = [];
+}
+
+// ========================================
+// Step Navigator (scroll-spy)
+// ========================================
+// The timeline scrolls sideways; the step in view is the first one that is mostly showing
+const STEP_IN_VIEW_RATIO = 0.75;
+const STEP_ANNOUNCE_DELAY = 500;    // ms after the timeline stops moving
+
+let currentStep = null;
+let navigatedStep = null;   // Picked in the navigator; stays current while it's in view, even if it can't be first
+let announcedStep = null;
+let stepAnnounceTimer = null;
+const stepsInView = new Set();
+
+function initializeStepNavigator() {
+    const list = document.getElementById('stepNavList');
+    if (!guideContent) return;
+    
+    renderStepNavigator();
+    setCurrentStep(guideContent.steps[0].id);
+    announcedStep = currentStep;
+    
+    list.addEventListener('click', function(e) {
+        const button = e.target.closest('.step-nav-link');
+        if (button) {
+            goToStep(button.dataset.step);
+            trackEvent('step_navigate', { step: button.dataset.step });
+        }
+    });
+    list.addEventListener('keydown', handleStepNavigatorKeyboard);
+    
+    // Without IntersectionObserver the navigator still works, it just doesn't follow scrolling
+    if (!('IntersectionObserver' in window)) return;
+    
+    const observer = new IntersectionObserver(handleStepIntersections, {
+        root: document.getElementById('timelineSteps'),
+        threshold: STEP_IN_VIEW_RATIO
+    });
+    document.querySelectorAll('.timeline-item').forEach(item => observer.observe(item));
+}
+
+// One button per step: "Step 1" for numbered steps, the step's own label for the others
+function renderStepNavigator() {
+    document.getElementById('stepNavList').innerHTML = guideContent.steps.map(step => {
+        const label = step.number !== undefined
+            ? `<span class="step-nav-label">${escapeHtml(t('stepNav.step', { number: step.number }))}</span>`
+            : `<span class="step-nav-label" lang="${CONTENT_LANGUAGE}">${escapeHtml(step.label)}</span>`;
+        
+        return `
+            <li>
+                <button type="button" class="step-nav-link" data-step="${step.id}" tabindex="-1" title="${escapeHtml(step.title)}">
+                    ${label}
+                </button>
+            </li>`;
+    }).join('');
+    
+    if (currentStep) setCurrentStep(currentStep);
+}
+
+function handleStepIntersections(entries) {
+    entries.forEach(entry => {
+        const stepId = entry.target.dataset.step;
+        if (entry.isIntersecting && entry.intersectionRatio >= STEP_IN_VIEW_RATIO) {
+            stepsInView.add(stepId);
+        } else {
+            stepsInView.delete(stepId);
+            if (stepId === navigatedStep) navigatedStep = null;
+        }
+    });
+    
+    let stepId = navigatedStep;
+    if (!stepsInView.has(stepId)) {
+        const first = guideContent.steps.find(step => stepsInView.has(step.id));
+        stepId = first ? first.id : null;
+    }
+    
+    if (stepId && stepId !== currentStep) {
+        setCurrentStep(stepId);
+        announceCurrentStep();
+    }
+}
+
+// Marks the step on the timeline and in the navigator, which keeps it as its one tab stop
+function setCurrentStep(stepId) {
+    currentStep = stepId;
+    
+    document.querySelectorAll('.timeline-item').forEach(item => {
+        item.classList.toggle('is-in-view', item.dataset.step === stepId);
+    });
+    
+    const buttons = Array.from(document.querySelectorAll('.step-nav-link'));
+    const currentIndex = buttons.findIndex(button => button.dataset.step === stepId);
+    
+    buttons.forEach((button, index) => {
+        button.classList.toggle('is-passed', index < currentIndex);
+        button.tabIndex = index === currentIndex ? 0 : -1;
+        if (index === currentIndex) {
+            button.setAttribute('aria-current', 'step');
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    });
+}
+
+function goToStep(stepId) {
+    const item = document.querySelector(`.timeline-item[data-step="${stepId}"]`);
+    const strip = document.getElementById('timelineSteps');
+    
+    navigatedStep = stepId;
+    setCurrentStep(stepId);
+    announceCurrentStep({ immediately: true });
+    
+    // Down the page to the timeline, clear of the sticky header and navigator...
+    const header = document.querySelector('.site-header');
+    scrollToElement(item, header.offsetHeight + document.getElementById('stepNavigator').offsetHeight);
+    
+    // ...and along the timeline to the step, from whichever side it starts
+    const itemBox = item.getBoundingClientRect();
+    const stripBox = strip.getBoundingClientRect();
+    const offset = document.documentElement.dir === 'rtl' ? itemBox.right - stripBox.right : itemBox.left - stripBox.left;
+    strip.scrollBy({ left: offset, behavior: 'smooth' });
+}
+
+// Arrow keys, Home and End move between steps, like the perspective tabs
+function handleStepNavigatorKeyboard(e) {
+    const buttons = Array.from(document.querySelectorAll('.step-nav-link'));
+    const currentIndex = buttons.indexOf(e.target);
+    if (currentIndex === -1) return;
+    
+    const nextKey = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const previousKey = nextKey === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+    let newIndex;
+    
+    switch (e.key) {
+        case nextKey:
+        case 'ArrowDown':
+            newIndex = Math.min(currentIndex + 1, buttons.length - 1);
+            break;
+        case previousKey:
+        case 'ArrowUp':
+            newIndex = Math.max(currentIndex - 1, 0);
+            break;
+        case 'Home':
+            newIndex = 0;
+            break;
+        case 'End':
+            newIndex = buttons.length - 1;
+            break;
+        default:
+            return;
+    }
+    
+    e.preventDefault();
+    if (newIndex !== currentIndex) {
+        buttons[newIndex].focus();
+        goToStep(buttons[newIndex].dataset.step);
+    }
+}
+
+// Scrolling passes several steps, so only the one it settles on is read out
+function announceCurrentStep({ immediately = false } = {}) {
+    clearTimeout(stepAnnounceTimer);
+    
+    const speak = () => {
+        if (currentStep === announcedStep && !immediately) return;
+        
+        const index = guideContent.steps.findIndex(step => step.id === currentStep);
+        announcedStep = currentStep;
+        announce(t('stepNav.current', {
+            step: guideContent.steps[index].title,
+            position: index + 1,
+            total: guideContent.steps.length
+        }));
+    };
+    
+    if (immediately) {
+        speak();
+    } else {
+        stepAnnounceTimer = setTimeout(speak, STEP_ANNOUNCE_DELAY);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Vancouver Rezoning Guide - Usage Analytics
+ * Consent and the events recorded around the page (queue and transports in analytics.js).
+ */
+
+// ========================================
+// Analytics (queue and transports in analytics.js)
+// ========================================
+// Switched on per deployment in index.html:
+//   <meta name="analytics-transport" content="none | console | beacon">
+//   <meta name="analytics-endpoint" content="URL the beacon transport POSTs batches to">
+// Visitors are asked first; until they allow it nothing is recorded.
+const ANALYTICS_CONSENT_KEY = 'rezoningGuideAnalyticsConsent';
+const ANALYTICS_CONSENT_VERSION = 1;
+const ANALYTICS_SEARCH_DELAY = 1000;    // Wait for typing to settle before recording a search
+
+let analytics = null;
+let analyticsSearchTimer = null;
+let lastTrackedSearch = null;   // So running the same search again (typing, then Enter) counts once
+let glossarySearchTimer = null;
+
+function initializeAnalytics() {
+    const config = getAnalyticsConfig();
+    
+    analytics = createAnalytics({
+        transport: createTransport(config.transport, {
+            endpoint: config.endpoint,
+            sendBeacon: navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null,
+            fetch: window.fetch ? window.fetch.bind(window) : null
+        }),
+        sessionId: createAnalyticsSessionId()
+    });
+    
+    // Leaving or switching away may be the last chance to send
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') analytics.flush('hidden');
+    });
+    window.addEventListener('pagehide', () => analytics.flush('pagehide'));
+    
+    // Nothing to ask about when nothing would be sent
+    const settingsButton = document.getElementById('openConsent');
+    settingsButton.hidden = config.transport === 'none';
+    if (config.transport === 'none') return;
+    
+    document.getElementById('consentAllow').addEventListener('click', () => setAnalyticsConsent(true));
+    document.getElementById('consentDecline').addEventListener('click', () => setAnalyticsConsent(false));
+    settingsButton.addEventListener('click', function() {
+        showConsentBanner(true);
+        document.getElementById('consentAllow').focus();
+    });
+    
+    const consent = loadAnalyticsConsent();
+    analytics.setEnabled(consent === true);
+    showConsentBanner(consent === null);
+}
+
+function getAnalyticsConfig() {
+    const read = name => {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.content.trim() : '';
+    };
+    
+    let transport = read('analytics-transport') || 'none';
+    const endpoint = read('analytics-endpoint');
+    
+    if (!ANALYTICS_TRANSPORTS.includes(transport) || (transport === 'beacon' && !endpoint)) {
+        console.warn(`Analytics is off: "${transport}" needs a known transport (and an endpoint for beacon)`);
+        transport = 'none';
+    }
+    
+    return { transport, endpoint };
+}
+
+// One id per page view, so events can be grouped into a visit without following anyone around
+function createAnalyticsSessionId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function trackEvent(name, properties = {}) {
+    if (analytics) {
+        analytics.track(name, { tab: state.activeTab, locale: currentLocale, ...properties });
+    }
+}
+
+function setAnalyticsConsent(granted) {
+    saveAnalyticsConsent(granted);
+    analytics.setEnabled(granted);
+    showConsentBanner(false);
+    
+    document.getElementById('openConsent').focus();
+    announce(t(granted ? 'consent.allowed' : 'consent.declined'));
+}
+
+function showConsentBanner(show) {
+    document.getElementById('consentBanner').hidden = !show;
+}
+
+// ---- Events recorded from around the page ----
+
+// Searches are recorded once typing settles, so "h", "he", "hea"... don't each count.
+// An empty query clears the search, so the next one counts even if it's the same again.
+function trackSearch(query, resultCount) {
+    const searchTerm = query.toLowerCase().trim();
+    clearTimeout(analyticsSearchTimer);
+    if (searchTerm === '') {
+        lastTrackedSearch = null;
+        return;
+    }
+    
+    analyticsSearchTimer = setTimeout(() => {
+        if (searchTerm === lastTrackedSearch) return;
+        lastTrackedSearch = searchTerm;
+        trackEvent('search', { query: searchTerm, results: resultCount });
+    }, ANALYTICS_SEARCH_DELAY);
+}
+
+function trackGlossarySearch(query) {
+    clearTimeout(glossarySearchTimer);
+    if (query.trim() === '') return;
+    
+    glossarySearchTimer = setTimeout(() => {
+        const matches = document.querySelectorAll('.glossary-item:not([hidden])').length;
+        trackEvent('glossary_search', { query: query.toLowerCase().trim(), results: matches });
+    }, ANALYTICS_SEARCH_DELAY);
+}
+
+// Decision-tree path so far, e.g. "start:yes,residential:no"
+function formatPathwayPath(history) {
+    return history.map(entry => `${entry.nodeId}:${entry.answer}`).join(',');
+}
+
+// Where the visitor left the tree, and whether they reached a result: the funnel's exit point
+function trackPathwayExit(via) {
+    const node = state.decisionTreeNode;
+    trackEvent('pathway_exit', {
+        via,
+        node,
+        answers: state.decisionTreeHistory.length,
+        completed: Boolean(guideContent && node && getDecisionNode(node).type === 'result')
+    });
+}
+
+// ---- Storage ----
+
+// true or false once the visitor has chosen, otherwise null
+function loadAnalyticsConsent() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ANALYTICS_CONSENT_KEY));
+        if (!saved || saved.version !== ANALYTICS_CONSENT_VERSION || typeof saved.granted !== 'boolean') {
+            return null;
+        }
+        return saved.granted;
+    } catch (e) {
+        console.warn('Could not load the analytics choice from localStorage:', e);
+        return null;
+    }
+}
+
+function saveAnalyticsConsent(granted) {
+    try {
+        localStorage.setItem(ANALYTICS_CONSENT_KEY, JSON.stringify({
+            version: ANALYTICS_CONSENT_VERSION,
+            granted,
+            decidedAt: new Date().toISOString()
+        }));
+    } catch (e) {
+        console.warn('Could not save the analytics choice to localStorage:', e);
+    }
+}
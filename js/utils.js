@@ -0,0 +1,45 @@
+/**
+ * Vancouver Rezoning Guide - Utilities
+ * Small helpers shared by the other scripts.
+ */
+
+// ========================================
+// Utility Functions
+// ========================================
+
+// Smooth scroll to element
+function scrollToElement(element, offset = 80) {
+    const elementPosition = element.getBoundingClientRect().top + window.pageYOffset;
+    const offsetPosition = elementPosition - offset;
+    
+    window.scrollTo({
+        top: offsetPosition,
+        behavior: 'smooth'
+    });
+}
+
+// Get URL parameters (used for ?q= search links)
+function getUrlParameter(name) {
+    name = name.replace(/[\[]/, '\\[').replace(/[\]]/, '\\]');
+    const regex = new RegExp('[\\?&]' + name + '=([^&#]*)');
+    const results = regex.exec(location.search);
+    return results === null ? '' : safeDecodeURIComponent(results[1].replace(/\+/g, ' ')) || '';
+}
+
+// decodeURIComponent, or null for a malformed escape such as "%E0%A4%A" that would throw
+function safeDecodeURIComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
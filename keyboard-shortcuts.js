@@ -0,0 +1,172 @@
+/**
+ * Vancouver Rezoning Guide - Keyboard Shortcuts
+ * The shortcut registry: default keys, turning key events into key names, and
+ * remapping. What each shortcut does lives in js/shortcuts.js (see runShortcut).
+ * No DOM access here, so bindings can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Registry
+// ========================================
+// Shortcut id -> default key. Keys are KeyboardEvent.key values, with "Mod+" for
+// Ctrl (Cmd on a Mac) and "Alt+" in front; "Shift+" is only spelled out for named
+// keys, since it's already part of printable ones ("?" or "J").
+// The perspective tabs are added to these by getDefaultShortcuts.
+const DEFAULT_SHORTCUTS = {
+    search: '/',
+    help: '?',
+    glossary: 'g',
+    nextStep: 'j',
+    previousStep: 'k'
+};
+
+// Number keys for the perspective tabs, in the order the tabs are shown
+const TAB_SHORTCUT_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+// Needed for moving around the page and dialogs, so they can't be taken
+const RESERVED_KEYS = ['Escape', 'Tab', 'Enter', ' ', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+/**
+ * The key name for a keydown event, e.g. "j", "?", "Mod+k" or "Shift+F2".
+ * Returns null for a modifier pressed on its own.
+ */
+function getShortcutKey(event) {
+    if (!event.key || MODIFIER_KEYS.includes(event.key)) return null;
+    
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Mod');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && event.key.length > 1) parts.push('Shift');
+    parts.push(event.key);
+    
+    return parts.join('+');
+}
+
+function getBaseKey(key) {
+    return key.replace(/^((Mod|Alt|Shift)\+)+(?=.)/, '');
+}
+
+// Single-key shortcuts would fire while typing, so they're skipped in text fields
+function isSingleKey(key) {
+    return !/^(Mod|Alt)\+./.test(key);
+}
+
+function isReservedKey(key) {
+    return RESERVED_KEYS.includes(getBaseKey(key));
+}
+
+// "developer" -> "developerTab"
+function getTabShortcutId(tabId) {
+    return `${tabId}Tab`;
+}
+
+/**
+ * The default keys for a page with these perspective tabs (audience ids, in order):
+ * DEFAULT_SHORTCUTS, then 1, 2, 3... for the tabs. Tabs after the ninth get no key.
+ */
+function getDefaultShortcuts(tabIds = []) {
+    const defaults = { ...DEFAULT_SHORTCUTS };
+    tabIds.forEach((tabId, index) => {
+        defaults[getTabShortcutId(tabId)] = TAB_SHORTCUT_KEYS[index] || null;
+    });
+    return defaults;
+}
+
+// ========================================
+// Bindings
+// ========================================
+
+/**
+ * The keys in use: the defaults (see getDefaultShortcuts) with the visitor's changes on top.
+ * overrides: { shortcutId: key, or null for turned off }. Unknown ids and reserved
+ * or malformed keys are ignored, and a default that clashes with a changed key is off.
+ */
+function resolveShortcuts(overrides = {}, defaults = DEFAULT_SHORTCUTS) {
+    const bindings = { ...defaults };
+    const changed = Object.keys(overrides || {}).filter(id => {
+        const key = overrides[id];
+        return id in defaults &&
+            (key === null || (typeof key === 'string' && key !== '' && !isReservedKey(key)));
+    });
+    
+    changed.forEach(id => {
+        bindings[id] = overrides[id];
+    });
+    
+    changed.forEach(id => {
+        Object.keys(bindings).forEach(otherId => {
+            if (otherId !== id && !changed.includes(otherId) && bindings[otherId] === bindings[id]) {
+                bindings[otherId] = null;
+            }
+        });
+    });
+    
+    return bindings;
+}
+
+// The shortcut id bound to a key, or null
+function findShortcut(bindings, key) {
+    return Object.keys(bindings).find(id => key !== null && bindings[id] === key) || null;
+}
+
+/**
+ * Bind a key (or null to turn the shortcut off). Any other shortcut on that key is
+ * turned off and returned as displaced so the visitor can be told.
+ * Returns { bindings, displaced } without changing the bindings passed in.
+ */
+function assignShortcut(bindings, id, key) {
+    const displaced = key === null ? null : findShortcut(bindings, key);
+    const updated = { ...bindings, [id]: key };
+    
+    if (displaced && displaced !== id) {
+        updated[displaced] = null;
+    }
+    
+    return { bindings: updated, displaced: displaced === id ? null : displaced };
+}
+
+// Only what differs from the defaults is saved, so new defaults still reach returning visitors
+function getShortcutOverrides(bindings, defaults = DEFAULT_SHORTCUTS) {
+    const overrides = {};
+    Object.keys(defaults).forEach(id => {
+        if (bindings[id] !== defaults[id]) {
+            overrides[id] = bindings[id];
+        }
+    });
+    return overrides;
+}
+
+// "Mod+k" -> "Ctrl+K" (or "⌘K" on a Mac)
+function formatShortcutKey(key, { isMac = false } = {}) {
+    const base = getBaseKey(key);
+    const modifiers = key.slice(0, key.length - base.length).split('+').filter(Boolean);
+    const names = {
+        Mod: isMac ? '⌘' : 'Ctrl',
+        Alt: isMac ? '⌥' : 'Alt',
+        Shift: isMac ? '⇧' : 'Shift'
+    };
+    const label = base.length === 1 && modifiers.length > 0 ? base.toUpperCase() : base;
+    
+    return [...modifiers.map(modifier => names[modifier]), label].join(isMac ? '' : '+');
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SHORTCUTS,
+        getTabShortcutId,
+        getDefaultShortcuts,
+        getShortcutKey,
+        isSingleKey,
+        isReservedKey,
+        resolveShortcuts,
+        findShortcut,
+        assignShortcut,
+        getShortcutOverrides,
+        formatShortcutKey
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * Vancouver Rezoning Guide - Pathway Comparison
+ * Lines the decision tree's pathways up side by side and finds the rows where they differ
+ * (see openPathwayComparison in js/compare.js).
+ * No DOM access here, so the comparison can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Comparison Rows
+// ========================================
+// Rows of the table, top to bottom. Step rows go in between, one per timeline step.
+const COMPARISON_ROWS_BEFORE_STEPS = ['publicHearing'];
+const COMPARISON_ROWS_AFTER_STEPS = ['total', 'publicInput', 'fees'];
+
+/**
+ * The comparison table as rows with one cell per pathway, in the order pathways are given.
+ * pathways: [{ id, steps: [{ id, note, duration }], total, comparison: { publicHearing, publicInput, fees } }]
+ * steps: the guide's timeline steps ([{ id, title }]), which set the order of the step rows.
+ * Steps no pathway goes through are left out; a step cell is null where its pathway skips it.
+ * Each row is { id, cells, differs }, plus { step, title } for step rows.
+ */
+function buildPathwayComparison(pathways, steps) {
+    const rows = COMPARISON_ROWS_BEFORE_STEPS.map(id => ({ id, cells: getComparisonCells(pathways, id) }));
+    
+    steps.forEach(step => {
+        const cells = pathways.map(pathway => {
+            const entry = pathway.steps.find(pathwayStep => pathwayStep.id === step.id);
+            return entry ? { note: entry.note || '', duration: entry.duration || null } : null;
+        });
+        if (cells.some(cell => cell !== null)) {
+            rows.push({ id: 'step', step: step.id, title: step.title, cells });
+        }
+    });
+    
+    COMPARISON_ROWS_AFTER_STEPS.forEach(id => rows.push({ id, cells: getComparisonCells(pathways, id) }));
+    
+    return rows.map(row => Object.assign(row, {
+        differs: row.cells.some(cell => !isSameValue(cell, row.cells[0]))
+    }));
+}
+
+function getComparisonCells(pathways, id) {
+    return pathways.map(pathway => id === 'total' ? pathway.total : pathway.comparison[id]);
+}
+
+// Deep equality for the plain data in cells, ignoring key order
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isSameValue(a[key], b[key]));
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildPathwayComparison,
+        isSameValue
+    };
+}
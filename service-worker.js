@@ -0,0 +1,148 @@
+/**
+ * Vancouver Rezoning Guide - Service Worker
+ * Keeps a copy of the whole guide so it works without a connection (e.g. at open houses).
+ * Files in PRECACHE_URLS are saved on install and served from that copy.
+ *
+ * When any of them change, bump CACHE_VERSION: visitors' browsers then download the new
+ * copy in the background, and the page tells them once it's ready (see js/offline.js).
+ */
+
+// ========================================
+// Cache Contents
+// ========================================
+const CACHE_VERSION = 21;
+const CACHE_PREFIX = 'rezoning-guide-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'i18n.js',
+    'timeline-estimator.js',
+    'fee-estimator.js',
+    'keyboard-shortcuts.js',
+    'analytics.js',
+    'glossary-terms.js',
+    'pathway-comparison.js',
+    'comment-draft.js',
+    'decision-flowchart.js',
+    'site-lookup.js',
+    'js/utils.js',
+    'js/content.js',
+    'js/language.js',
+    'js/accessibility.js',
+    'js/notifications.js',
+    'js/dialogs.js',
+    'js/tabs.js',
+    'js/timeline.js',
+    'js/decision-tree.js',
+    'js/site-check.js',
+    'js/compare.js',
+    'js/estimator.js',
+    'js/fees.js',
+    'js/projects.js',
+    'js/comment-helper.js',
+    'js/print.js',
+    'js/glossary.js',
+    'js/search.js',
+    'js/shortcuts.js',
+    'js/offline.js',
+    'js/routing.js',
+    'js/saved-view.js',
+    'js/tracking.js',
+    'script.js',
+    'manifest.webmanifest',
+    'data/content.json',
+    'data/content.schema.json',
+    'data/sites.json',
+    'data/sites.schema.json',
+    'data/fees.json',
+    'data/fees.schema.json',
+    'locales/en.json',
+    'locales/fr.json',
+    'locales/zh-Hant.json',
+    'locales/pa.json',
+    'locales/fa.json',
+    'locales/tl.json',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2'
+];
+
+// index.html loads Font Awesome from this CDN; vendor/fontawesome/ has the same files
+const FONT_AWESOME_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/';
+const FONT_AWESOME_LOCAL = 'vendor/fontawesome/';
+
+/**
+ * The precached path for a Font Awesome CDN URL, or null for any other URL.
+ * e.g. .../6.4.0/webfonts/fa-solid-900.woff2 -> vendor/fontawesome/webfonts/fa-solid-900.woff2
+ */
+function getLocalFontAwesomePath(url) {
+    if (!url.startsWith(FONT_AWESOME_CDN)) return null;
+    return FONT_AWESOME_LOCAL + url.slice(FONT_AWESOME_CDN.length).split(/[?#]/)[0];
+}
+
+// ========================================
+// Lifecycle
+// ========================================
+if (typeof self !== 'undefined' && typeof caches !== 'undefined') {
+    // Save everything up front; the new version takes over as soon as its copy is complete
+    self.addEventListener('install', event => {
+        event.waitUntil(
+            caches.open(CACHE_NAME)
+                .then(cache => cache.addAll(PRECACHE_URLS))
+                .then(() => self.skipWaiting())
+        );
+    });
+    
+    // Drop copies saved by older versions
+    self.addEventListener('activate', event => {
+        event.waitUntil(
+            caches.keys()
+                .then(names => Promise.all(names
+                    .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))))
+                .then(() => self.clients.claim())
+        );
+    });
+    
+    self.addEventListener('fetch', event => {
+        if (event.request.method !== 'GET') return;
+        event.respondWith(respondFromCache(event.request));
+    });
+}
+
+// Saved copy first (the CDN icons come from the local copy of the same files), then the network
+async function respondFromCache(request) {
+    const localPath = getLocalFontAwesomePath(request.url);
+    const cache = await caches.open(CACHE_NAME);
+    
+    const cached = await cache.match(localPath || request, { ignoreSearch: true });
+    if (cached) return cached;
+    
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline and not saved: pages fall back to the guide itself
+        if (request.mode === 'navigate') {
+            const page = await cache.match('index.html');
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CACHE_NAME,
+        PRECACHE_URLS,
+        FONT_AWESOME_CDN,
+        getLocalFontAwesomePath
+    };
+}
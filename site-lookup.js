@@ -0,0 +1,150 @@
+/**
+ * Vancouver Rezoning Guide - Site Lookup
+ * Finds the zoning district and plans for an address or zoning district code in the site data
+ * saved with the guide (data/sites.json), so the decision tree's ODP question can be answered
+ * for a real site (see js/site-check.js).
+ * No DOM access here, so lookups can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Reading What Was Typed
+// ========================================
+// Street words people shorten, as they'd be written out in the site data
+const STREET_WORDS = {
+    ave: 'avenue',
+    av: 'avenue',
+    st: 'street',
+    rd: 'road',
+    dr: 'drive',
+    blvd: 'boulevard',
+    pl: 'place',
+    cres: 'crescent',
+    hwy: 'highway',
+    sq: 'square',
+    w: 'west',
+    e: 'east',
+    n: 'north',
+    s: 'south'
+};
+
+// "RS-1", "rs 1" and "RS1" are the same district
+function normalizeDistrictCode(text) {
+    return text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function normalizeStreetName(text) {
+    return text.toLowerCase()
+        .replace(/[.,']/g, '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => STREET_WORDS[word] || word)
+        .join(' ');
+}
+
+/**
+ * The civic number and street of an address such as "1050 Beach Ave" or "#301-1050 Beach Ave,
+ * Vancouver", or null when it doesn't start with a number. Unit numbers and anything after
+ * the first comma are left out.
+ */
+function parseAddress(text) {
+    const match = text.split(',')[0].trim().match(/^(?:#?\w+\s*-\s*)?(\d+)[a-z]?\s+(.+)$/i);
+    if (!match) return null;
+    
+    return { number: parseInt(match[1], 10), street: normalizeStreetName(match[2]) };
+}
+
+// ========================================
+// Lookup
+// ========================================
+
+/**
+ * The site data for an address or a zoning district code, or null when it isn't in the data.
+ * sites: the contents of data/sites.json ({ plans, districts, addresses }).
+ * Returns { kind, district, plans, inOdp }, plus the matched { address: { number, street } }
+ * for addresses. plans are the district's plans and then the address's own, without repeats;
+ * inOdp is true when one of them is an Official Development Plan.
+ */
+function lookupSite(query, sites) {
+    const text = query.trim();
+    if (!text) return null;
+    
+    const address = parseAddress(text);
+    if (address) {
+        const range = sites.addresses.find(entry => {
+            return normalizeStreetName(entry.street) === address.street &&
+                address.number >= entry.from && address.number <= entry.to;
+        });
+        if (!range) return null;
+        
+        return Object.assign(describeSite(sites, range.district, range.plans), {
+            kind: 'address',
+            address: { number: address.number, street: range.street }
+        });
+    }
+    
+    const code = normalizeDistrictCode(text);
+    const district = sites.districts.find(entry => normalizeDistrictCode(entry.code) === code);
+    return district ? Object.assign(describeSite(sites, district.code), { kind: 'district' }) : null;
+}
+
+function describeSite(sites, code, extraPlans = []) {
+    const district = sites.districts.find(entry => entry.code === code);
+    const planIds = [...new Set([...(district.plans || []), ...extraPlans])];
+    const plans = planIds.map(id => sites.plans.find(plan => plan.id === id));
+    
+    return {
+        district,
+        plans,
+        inOdp: plans.some(plan => plan.type === 'odp')
+    };
+}
+
+/**
+ * Problems the schema can't catch: repeated plan ids or district codes, references to plans
+ * or districts that aren't in the data, and address ranges that run backwards.
+ * Returns readable error strings, each prefixed with the path of the offending value.
+ */
+function validateSiteData(sites) {
+    const errors = [];
+    const planIds = sites.plans.map(plan => plan.id);
+    const codes = sites.districts.map(district => district.code);
+    
+    const repeated = (values, path, label) => values
+        .filter((value, index) => values.indexOf(value) !== index)
+        .map(value => `${path}: ${label} "${value}" is used more than once`);
+    
+    errors.push(...repeated(planIds, 'sites.plans', 'plan id'));
+    errors.push(...repeated(codes.map(normalizeDistrictCode), 'sites.districts', 'district code'));
+    
+    const checkPlans = (ids, path) => (ids || []).forEach((id, index) => {
+        if (!planIds.includes(id)) errors.push(`${path}[${index}]: plan "${id}" does not exist`);
+    });
+    
+    sites.districts.forEach((district, index) => checkPlans(district.plans, `sites.districts[${index}].plans`));
+    sites.addresses.forEach((range, index) => {
+        const path = `sites.addresses[${index}]`;
+        
+        if (!codes.includes(range.district)) {
+            errors.push(`${path}.district: district "${range.district}" does not exist`);
+        }
+        if (range.from > range.to) {
+            errors.push(`${path}: "from" (${range.from}) is greater than "to" (${range.to})`);
+        }
+        checkPlans(range.plans, `${path}.plans`);
+    });
+    
+    return errors;
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeDistrictCode,
+        normalizeStreetName,
+        parseAddress,
+        lookupSite,
+        validateSiteData
+    };
+}
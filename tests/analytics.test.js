@@ -0,0 +1,147 @@
+/**
+ * Unit tests for analytics.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ANALYTICS_SCHEMA_VERSION,
+    createBeaconTransport,
+    createTransport,
+    createAnalytics,
+    cleanEventProperties
+} = require('../analytics.js');
+
+const FIXED_TIME = new Date('2025-03-01T12:00:00Z');
+
+// A transport that keeps what it was sent
+function createMemoryTransport() {
+    const sent = [];
+    return { sent, send: payload => sent.push(payload) > 0 };
+}
+
+function createTestAnalytics(options = {}) {
+    const transport = createMemoryTransport();
+    const analytics = createAnalytics({ transport, sessionId: 'session-1', now: () => FIXED_TIME, ...options });
+    return { analytics, sent: transport.sent };
+}
+
+test('nothing is recorded until analytics is enabled', () => {
+    const { analytics, sent } = createTestAnalytics();
+    
+    analytics.track('tab_switch', { tab: 'developer' });
+    
+    assert.equal(analytics.isEnabled(), false);
+    assert.equal(analytics.pendingCount(), 0);
+    assert.equal(analytics.flush(), false);
+    assert.deepEqual(sent, []);
+});
+
+test('flush sends queued events as one batch', () => {
+    const { analytics, sent } = createTestAnalytics();
+    
+    analytics.setEnabled(true);
+    analytics.track('tab_switch', { tab: 'developer' });
+    analytics.track('search', { query: 'public hearing', results: 3 });
+    
+    assert.equal(analytics.flush('hidden'), true);
+    assert.equal(analytics.pendingCount(), 0);
+    assert.deepEqual(sent, [{
+        schema: ANALYTICS_SCHEMA_VERSION,
+        sessionId: 'session-1',
+        reason: 'hidden',
+        sentAt: FIXED_TIME.toISOString(),
+        events: [
+            { name: 'tab_switch', properties: { tab: 'developer' }, time: FIXED_TIME.toISOString() },
+            { name: 'search', properties: { query: 'public hearing', results: 3 }, time: FIXED_TIME.toISOString() }
+        ]
+    }]);
+});
+
+test('a full batch is sent without waiting for a flush', () => {
+    const { analytics, sent } = createTestAnalytics({ batchSize: 2 });
+    
+    analytics.setEnabled(true);
+    analytics.track('step_expand', { step: 'step1' });
+    analytics.track('step_expand', { step: 'step2' });
+    analytics.track('step_expand', { step: 'step3' });
+    
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].reason, 'batch');
+    assert.equal(sent[0].events.length, 2);
+    assert.equal(analytics.pendingCount(), 1);
+});
+
+test('turning analytics off drops events not sent yet', () => {
+    const { analytics, sent } = createTestAnalytics();
+    
+    analytics.setEnabled(true);
+    analytics.track('glossary_open', { source: 'button' });
+    analytics.setEnabled(false);
+    
+    assert.equal(analytics.pendingCount(), 0);
+    assert.equal(analytics.flush(), false);
+    assert.deepEqual(sent, []);
+});
+
+test('cleanEventProperties keeps only flat values and shortens long text', () => {
+    const cleaned = cleanEventProperties({
+        query: 'x'.repeat(500),
+        results: 0,
+        completed: false,
+        nested: { a: 1 },
+        list: ['a'],
+        missing: undefined,
+        broken: NaN
+    });
+    
+    assert.deepEqual(Object.keys(cleaned), ['query', 'results', 'completed']);
+    assert.equal(cleaned.query.length, 200);
+    assert.equal(cleaned.results, 0);
+    assert.equal(cleaned.completed, false);
+    assert.deepEqual(cleanEventProperties(null), {});
+});
+
+test('the beacon transport posts JSON with sendBeacon', () => {
+    const calls = [];
+    const transport = createBeaconTransport('/collect', {
+        sendBeacon: (url, body) => calls.push({ url, body }) > 0
+    });
+    
+    assert.equal(transport.send({ events: [] }), true);
+    assert.deepEqual(calls, [{ url: '/collect', body: '{"events":[]}' }]);
+});
+
+test('the beacon transport falls back to fetch when sendBeacon refuses', () => {
+    const requests = [];
+    const transport = createBeaconTransport('/collect', {
+        sendBeacon: () => false,
+        fetch: (url, options) => {
+            requests.push({ url, options });
+            return Promise.resolve();
+        }
+    });
+    
+    assert.equal(transport.send({ events: [] }), true);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].options.method, 'POST');
+    assert.equal(requests[0].options.keepalive, true);
+    assert.equal(requests[0].options.body, '{"events":[]}');
+});
+
+test('the beacon transport reports failure with nothing to send through', () => {
+    assert.equal(createBeaconTransport('/collect').send({ events: [] }), false);
+});
+
+test('createTransport picks the configured transport', () => {
+    const logged = [];
+    const log = (...args) => logged.push(args);
+    
+    createTransport('console', { log }).send({ events: [] });
+    assert.deepEqual(logged, [['[analytics]', { events: [] }]]);
+    
+    assert.equal(createTransport('none').send({ events: [] }), true);
+    assert.equal(createTransport('beacon', { endpoint: '' }).send({ events: [] }), true);
+    assert.equal(createTransport('bogus').send({ events: [] }), true);
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for comment-draft.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    COMMENT_MAX_LENGTH,
+    COMMENT_FIELD_MAX_LENGTH,
+    countCharacters,
+    validateCommentDraft,
+    formatCommentDraft
+} = require('../comment-draft.js');
+const { translate } = require('../i18n.js');
+
+const CATALOGS = { en: require('../locales/en.json') };
+const translateEn = (key, params) => translate(CATALOGS, 'en', key, params);
+
+const STAGES = {
+    step1: { to: 'applicant', speakers: false },
+    step4: { to: 'council', speakers: true }
+};
+
+function createDraft(overrides = {}) {
+    return Object.assign({
+        stage: 'step1',
+        kind: 'comment',
+        address: '123 Main Street',
+        application: '',
+        topics: [],
+        comment: 'Please keep the corner store in the new building.',
+        name: '',
+        email: ''
+    }, overrides);
+}
+
+const fields = errors => errors.map(({ field, error }) => `${field}:${error}`);
+
+test('countCharacters counts what people see as one character', () => {
+    assert.equal(countCharacters('abc'), 3);
+    assert.equal(countCharacters('café'), 4);
+    assert.equal(countCharacters('溫哥華'), 3);
+    assert.equal(countCharacters('😀'), 1);
+    assert.equal(countCharacters(''), 0);
+});
+
+test('a filled-in comment is valid without a name or email', () => {
+    assert.deepEqual(validateCommentDraft(createDraft(), STAGES), []);
+});
+
+test('missing and short fields are reported in form order', () => {
+    const errors = validateCommentDraft(createDraft({ stage: 'step3', address: '  ', comment: 'Too short' }), STAGES);
+    assert.deepEqual(fields(errors), ['stage:required', 'address:required', 'comment:tooShort']);
+    
+    assert.deepEqual(fields(validateCommentDraft(createDraft({ comment: '' }), STAGES)), ['comment:required']);
+});
+
+test('long fields and bad email addresses are reported', () => {
+    const errors = validateCommentDraft(createDraft({
+        address: 'x'.repeat(COMMENT_FIELD_MAX_LENGTH + 1),
+        comment: 'x'.repeat(COMMENT_MAX_LENGTH + 1),
+        email: 'not an email'
+    }), STAGES);
+    assert.deepEqual(fields(errors), ['address:tooLong', 'comment:tooLong', 'email:invalid']);
+});
+
+test('speaker requests need a name and email, but not a comment', () => {
+    const draft = createDraft({ stage: 'step4', kind: 'speaker', comment: '' });
+    assert.deepEqual(fields(validateCommentDraft(draft, STAGES)), ['name:required', 'email:required']);
+    
+    Object.assign(draft, { name: 'Sam Lee', email: 'sam@example.com' });
+    assert.deepEqual(validateCommentDraft(draft, STAGES), []);
+});
+
+test('speaker requests are only for stages that allow them', () => {
+    const draft = createDraft({ kind: 'speaker', name: 'Sam Lee', email: 'sam@example.com' });
+    assert.deepEqual(fields(validateCommentDraft(draft, STAGES)), ['kind:noSpeakers']);
+});
+
+test('formatCommentDraft writes a comment to whoever the stage says', () => {
+    const text = formatCommentDraft(createDraft({
+        application: 'REZ-2026-01',
+        topics: ['traffic', 'height'],
+        name: 'Sam Lee',
+        email: 'sam@example.com'
+    }), { to: 'applicant', translate: translateEn });
+    
+    assert.equal(text, [
+        'Comment on the rezoning application at 123 Main Street',
+        '',
+        'Dear applicant,',
+        '',
+        'Site: 123 Main Street',
+        'Application: REZ-2026-01',
+        'Topics: Height, Traffic and parking',
+        '',
+        'Please keep the corner store in the new building.',
+        '',
+        'Sincerely,',
+        'Sam Lee',
+        'sam@example.com',
+        ''
+    ].join('\n'));
+});
+
+test('formatCommentDraft writes a speaker request to the clerk', () => {
+    const text = formatCommentDraft(createDraft({
+        stage: 'step4',
+        kind: 'speaker',
+        comment: '',
+        name: 'Sam Lee',
+        email: 'sam@example.com'
+    }), { to: 'council', translate: translateEn });
+    const lines = text.split('\n');
+    
+    assert.equal(lines[0], 'Request to speak: rezoning application at 123 Main Street');
+    assert.equal(lines[2], 'Dear City Clerk,');
+    assert.ok(lines.includes('Name: Sam Lee'));
+    assert.ok(lines.includes('Email: sam@example.com'));
+    assert.ok(!text.includes('What I plan to speak about:'));
+    assert.ok(!lines.includes('Application: '));
+});
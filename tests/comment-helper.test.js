@@ -0,0 +1,227 @@
+/**
+ * Interface tests for the comment helper (js/comment-helper.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide } = require('./helpers/load-guide.js');
+
+function typeInto(window, id, value) {
+    const input = window.document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+function submitForm(window) {
+    window.document.querySelector('#commentForm button[type="submit"]').click();
+}
+
+test('problems are shown next to their fields and the first one gets focus', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    submitForm(window);
+    
+    const address = document.getElementById('commentAddress');
+    assert.equal(document.activeElement, address);
+    assert.equal(address.getAttribute('aria-invalid'), 'true');
+    assert.equal(document.getElementById('commentAddressError').hidden, false);
+    assert.equal(document.getElementById('commentAddressError').textContent, 'Fill in this field.');
+    assert.equal(document.getElementById('commentTextError').hidden, false);
+    assert.equal(document.getElementById('commentNameError').hidden, true);
+    assert.equal(document.getElementById('commentResult').hidden, true);
+    
+    // Errors clear as the fields are fixed
+    typeInto(window, 'commentAddress', '123 Main Street');
+    assert.equal(address.hasAttribute('aria-invalid'), false);
+    assert.equal(document.getElementById('commentAddressError').hidden, true);
+    assert.equal(document.getElementById('commentTextError').hidden, false);
+});
+
+test('the character counter follows the comment', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const counter = document.getElementById('commentCount');
+    assert.equal(counter.textContent, '0 of 2,000 characters');
+    
+    typeInto(window, 'commentText', 'x');
+    assert.equal(counter.textContent, '1 of 2,000 character');
+    
+    typeInto(window, 'commentText', 'x'.repeat(2001));
+    assert.ok(counter.classList.contains('over'));
+});
+
+test('requests to speak can only be chosen for the Council decision', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const stage = document.getElementById('commentStage');
+    const speaker = document.getElementById('commentKindSpeaker');
+    assert.deepEqual([...stage.options].map(option => option.value), ['step1', 'step2', 'step4']);
+    assert.equal(speaker.disabled, true);
+    
+    typeInto(window, 'commentStage', 'step4');
+    assert.equal(speaker.disabled, false);
+    speaker.click();
+    
+    typeInto(window, 'commentStage', 'step2');
+    assert.equal(speaker.disabled, true);
+    assert.equal(document.getElementById('commentKindComment').checked, true);
+});
+
+test('a valid form makes a draft to copy, and is kept in this browser', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    typeInto(window, 'commentStage', 'step4');
+    document.getElementById('commentKindSpeaker').click();
+    typeInto(window, 'commentAddress', '123 Main Street');
+    typeInto(window, 'commentName', 'Sam Lee');
+    typeInto(window, 'commentEmail', 'sam@example.com');
+    submitForm(window);
+    
+    const preview = document.getElementById('commentPreview');
+    assert.equal(document.getElementById('commentResult').hidden, false);
+    assert.equal(document.activeElement, preview);
+    assert.match(preview.value, /^Request to speak: rezoning application at 123 Main Street\n\nDear City Clerk,/);
+    
+    // The preview keeps up with edits
+    typeInto(window, 'commentAddress', '456 Oak Street');
+    assert.match(preview.value, /456 Oak Street/);
+    
+    const saved = JSON.parse(window.localStorage.getItem('rezoningGuideCommentDraft'));
+    assert.equal(saved.version, 1);
+    assert.equal(saved.draft.stage, 'step4');
+    assert.equal(saved.draft.kind, 'speaker');
+    assert.equal(saved.draft.address, '456 Oak Street');
+    
+    document.getElementById('commentClear').click();
+    assert.equal(window.localStorage.getItem('rezoningGuideCommentDraft'), null);
+    assert.equal(document.getElementById('commentAddress').value, '');
+    assert.equal(document.getElementById('commentResult').hidden, true);
+    
+    // Undo puts it back
+    document.querySelector('#toastStack .toast-action').click();
+    assert.equal(document.getElementById('commentAddress').value, '456 Oak Street');
+    assert.equal(document.getElementById('commentKindSpeaker').checked, true);
+    assert.equal(JSON.parse(window.localStorage.getItem('rezoningGuideCommentDraft')).draft.address, '456 Oak Street');
+    assert.equal(document.activeElement, document.getElementById('commentStage'));
+});
+
+test('Clear still empties the form where storage is blocked', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    typeInto(window, 'commentAddress', '123 Main Street');
+    typeInto(window, 'commentText', 'More family homes, please.');
+    
+    const blocked = () => {
+        throw new window.DOMException('The operation is insecure.', 'SecurityError');
+    };
+    window.Storage.prototype.setItem = blocked;
+    window.Storage.prototype.removeItem = blocked;
+    
+    document.getElementById('commentClear').click();
+    
+    assert.equal(document.getElementById('commentAddress').value, '');
+    assert.equal(document.getElementById('commentText').value, '');
+    assert.equal(document.activeElement, document.getElementById('commentStage'));
+    assert.ok(document.querySelector('#toastStack .toast-action'));
+});
+
+test('a saved draft is filled back in', async t => {
+    const window = await loadGuide({
+        storage: {
+            rezoningGuideCommentDraft: {
+                version: 1,
+                draft: { stage: 'step2', kind: 'comment', address: '123 Main Street', topics: ['housing', 'unknown'], comment: 'More family homes, please.' }
+            }
+        }
+    });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.getElementById('commentStage').value, 'step2');
+    assert.equal(document.getElementById('commentAddress').value, '123 Main Street');
+    assert.equal(document.getElementById('commentText').value, 'More family homes, please.');
+    assert.equal(document.getElementById('commentName').value, '');
+    assert.deepEqual([...document.querySelectorAll('input[name="commentTopic"]:checked')].map(input => input.value), ['housing']);
+});
+
+test('a participation step\'s detail panel opens the helper at that stage', async t => {
+    const window = await loadGuide({ hash: '#developer/step4' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.querySelector('#detail-step1 .btn-draft-comment').dataset.commentStage, 'step1');
+    assert.equal(document.querySelector('#detail-step3 .btn-draft-comment'), null);
+    
+    document.querySelector('#detail-step4 .btn-draft-comment').click();
+    
+    assert.equal(document.getElementById('commentStage').value, 'step4');
+    assert.equal(document.getElementById('commentKindSpeaker').disabled, false);
+    assert.equal(document.activeElement, document.getElementById('commentAddress'));
+});
+
+test('the helper shows in the views the content marks for it', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    const helper = document.getElementById('commentHelper');
+    
+    const shown = ['resident', 'tenant', 'developer', 'full'].filter(tabId => {
+        window.switchTab(tabId);
+        return !helper.hidden;
+    });
+    
+    // The full process shows every audience's content
+    assert.deepEqual(shown, ['resident', 'tenant', 'full']);
+    assert.equal(document.querySelector('#detail-step1 .btn-draft-comment').dataset.showFor, 'resident tenant');
+});
+
+test('another audience can be given the helper in the content', async t => {
+    const window = await loadGuide({
+        setup(window) {
+            const fetchFile = window.fetch;
+            window.fetch = async url => {
+                const response = await fetchFile(url);
+                if (!String(url).endsWith('data/content.json')) return response;
+                
+                const content = await response.json();
+                content.audiences.forEach(audience => {
+                    audience.commentHelper = audience.id === 'developer';
+                });
+                return { ...response, json: async () => content };
+            };
+        }
+    });
+    t.after(() => window.close());
+    const { document } = window;
+    const helper = document.getElementById('commentHelper');
+    
+    assert.equal(helper.hidden, true);
+    
+    window.switchTab('developer');
+    assert.equal(helper.hidden, false);
+    assert.equal(document.querySelector('#detail-step1 .btn-draft-comment').hidden, false);
+});
+
+test('the content schema only takes true or false for commentHelper', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    const content = JSON.parse(JSON.stringify(window.eval('guideContent')));
+    const schema = await (await window.fetch('data/content.schema.json')).json();
+    content.audiences[0].commentHelper = 'yes';
+    
+    assert.deepEqual(JSON.parse(JSON.stringify(window.validateAgainstSchema(content, schema))), [
+        'content.audiences[0].commentHelper: expected boolean but found string'
+    ]);
+});
@@ -0,0 +1,91 @@
+/**
+ * Interface tests for the pathway comparison (js/compare.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, pressKey } = require('./helpers/load-guide.js');
+
+const rowLabels = document => [...document.querySelectorAll('#compareTable tbody tr:not(.compare-section)')]
+    .filter(row => !row.hidden)
+    .map(row => row.querySelector('th').firstChild.textContent.trim());
+
+test('the Full Process tab opens the pathways side by side', async t => {
+    const window = await loadGuide({ hash: '#full' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const openButton = document.getElementById('openCompare');
+    openButton.focus();
+    openButton.click();
+    
+    const modal = document.getElementById('compareModal');
+    assert.equal(modal.hidden, false);
+    
+    const columns = [...document.querySelectorAll('#compareTable thead th')].map(th => th.textContent.trim());
+    assert.deepEqual(columns, ['Fast Track Path', 'Optional Path', 'Full Process Path']);
+    assert.equal(document.querySelectorAll('.compare-pathway.is-current').length, 0);
+    
+    const hearing = [...document.querySelectorAll('#compareTable tbody tr')][0];
+    assert.deepEqual([...hearing.querySelectorAll('td')].map(td => td.textContent.trim()), ['Not required', 'Council decides', 'Required']);
+    
+    pressKey(window, 'Escape');
+    assert.equal(modal.hidden, true);
+    assert.equal(document.activeElement, openButton);
+});
+
+test('rows that differ between pathways are marked, and can be shown on their own', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    window.openPathwayComparison(null, 'test');
+    
+    const differing = [...document.querySelectorAll('#compareTable tr.compare-differs')];
+    assert.ok(differing.length > 0);
+    differing.forEach(row => assert.equal(row.querySelector('.compare-differs-badge').textContent, 'Differs'));
+    assert.ok(document.querySelectorAll('#compareTable tbody tr:not(.compare-differs):not(.compare-section)').length > 0);
+    
+    const all = rowLabels(document);
+    const checkbox = document.getElementById('compareDifferencesOnly');
+    checkbox.click();
+    
+    const shown = rowLabels(document);
+    assert.equal(shown.length, differing.length);
+    assert.ok(shown.includes('Public hearing'));
+    assert.ok(!shown.includes('Fees and contributions'));
+    
+    checkbox.click();
+    assert.deepEqual(rowLabels(document), all);
+});
+
+test('a decision result opens the comparison over the tree with its column marked', async t => {
+    const window = await loadGuide({ hash: '#pathway/full-process' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const compareButton = document.querySelector('.decision-result[data-node="full-process"] .btn-compare-pathways');
+    compareButton.focus();
+    compareButton.click();
+    
+    const current = document.querySelector('.compare-pathway.is-current');
+    assert.match(current.textContent, /Full Process Path/);
+    assert.match(current.textContent, /Your result/);
+    assert.equal(document.getElementById('decisionTreeModal').hidden, false);
+    
+    // Escape closes the comparison first, back to the result
+    pressKey(window, 'Escape');
+    assert.equal(document.getElementById('compareModal').hidden, true);
+    assert.equal(document.getElementById('decisionTreeModal').hidden, false);
+    assert.equal(document.activeElement, compareButton);
+});
+
+test('results without a pathway have nothing to compare', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.querySelectorAll('.decision-result[data-node="check-odp"] .btn-compare-pathways').length, 0);
+    assert.equal(document.querySelectorAll('.decision-result .btn-compare-pathways').length, 3);
+});
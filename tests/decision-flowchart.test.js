@@ -0,0 +1,99 @@
+/**
+ * Unit tests for decision-flowchart.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildDecisionFlowchart } = require('../decision-flowchart.js');
+
+const TREE = {
+    start: 'odp',
+    nodes: [
+        {
+            id: 'odp',
+            type: 'question',
+            question: 'Is it consistent with an ODP?',
+            options: [
+                { answer: 'yes', label: 'Yes', next: 'height' },
+                { answer: 'no', label: 'No', next: 'full' },
+                { answer: 'unsure', label: 'Not sure', next: 'check' }
+            ]
+        },
+        {
+            id: 'height',
+            type: 'question',
+            question: 'How tall is it?',
+            options: [
+                { answer: 'low', label: 'Up to 6 storeys', next: 'tenure' },
+                { answer: 'tall', label: 'Over 12 storeys', next: 'tenure' }
+            ]
+        },
+        {
+            id: 'tenure',
+            type: 'question',
+            question: 'What tenure?',
+            options: [
+                { answer: 'rental', label: 'Rental', next: 'fast' },
+                { answer: 'strata', label: 'Strata', next: 'fast' },
+                { answer: 'other', label: 'Something else', next: 'full' }
+            ]
+        },
+        { id: 'fast', type: 'result', title: 'Fast Track Path', lead: 'The quickest route.' },
+        { id: 'full', type: 'result', title: 'Full Process Path', lead: 'A public hearing is required.' },
+        { id: 'check', type: 'result', title: 'Check Your Area' },
+        { id: 'unused', type: 'result', title: 'Never Reached' }
+    ]
+};
+
+test('questions are numbered in the order they are first reached', () => {
+    const { questions } = buildDecisionFlowchart(TREE);
+    
+    assert.deepEqual(questions.map(question => [question.id, question.number]), [['odp', 1], ['height', 2], ['tenure', 3]]);
+    assert.equal(questions[0].question, 'Is it consistent with an ODP?');
+});
+
+test('each answer points to the next question or a result', () => {
+    const [odp] = buildDecisionFlowchart(TREE).questions;
+    
+    assert.deepEqual(odp.branches, [
+        { labels: ['Yes'], any: false, next: { type: 'question', id: 'height', number: 2 } },
+        { labels: ['No'], any: false, next: { type: 'result', id: 'full', title: 'Full Process Path' } },
+        { labels: ['Not sure'], any: false, next: { type: 'result', id: 'check', title: 'Check Your Area' } }
+    ]);
+});
+
+test('answers that lead to the same place share a branch', () => {
+    const { questions } = buildDecisionFlowchart(TREE);
+    
+    assert.deepEqual(questions[1].branches, [
+        { labels: ['Up to 6 storeys', 'Over 12 storeys'], any: true, next: { type: 'question', id: 'tenure', number: 3 } }
+    ]);
+    assert.deepEqual(questions[2].branches.map(branch => [branch.labels, branch.any]), [
+        [['Rental', 'Strata'], false],
+        [['Something else'], false]
+    ]);
+});
+
+test('results are listed once each, leaving out any that cannot be reached', () => {
+    const { results } = buildDecisionFlowchart(TREE);
+    
+    assert.deepEqual(results, [
+        { id: 'full', title: 'Full Process Path', lead: 'A public hearing is required.' },
+        { id: 'check', title: 'Check Your Area', lead: '' },
+        { id: 'fast', title: 'Fast Track Path', lead: 'The quickest route.' }
+    ]);
+});
+
+test('the guide\'s own decision tree lays out without loose ends', () => {
+    const content = require('../data/content.json');
+    const { questions, results } = buildDecisionFlowchart(content.decisionTree);
+    const resultIds = results.map(result => result.id);
+    
+    assert.equal(questions[0].id, content.decisionTree.start);
+    questions.forEach(question => {
+        question.branches.forEach(branch => {
+            if (branch.next.type === 'result') assert.ok(resultIds.includes(branch.next.id));
+        });
+    });
+});
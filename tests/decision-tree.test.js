@@ -0,0 +1,133 @@
+/**
+ * Interface tests for the "find your pathway" decision tree (js/decision-tree.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide } = require('./helpers/load-guide.js');
+
+function getActiveNode(document) {
+    return document.querySelector('#decisionTreeModal .active').dataset.node;
+}
+
+// Click through the tree, one answer per question
+function answer(document, ...answers) {
+    answers.forEach(value => {
+        document.querySelector(`#decisionTreeModal .active .btn-decision[data-answer="${value}"]`).click();
+    });
+}
+
+async function openTree() {
+    const window = await loadGuide();
+    const opener = window.document.getElementById('openDecisionTree');
+    opener.focus();
+    opener.click();
+    return window;
+}
+
+test('the tree opens on its first question', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.getElementById('decisionTreeModal').hidden, false);
+    assert.equal(getActiveNode(document), 'odp');
+    assert.equal(document.querySelectorAll('#decisionTreeModal .active').length, 1);
+    assert.ok(document.getElementById('decisionTreeModal').contains(document.activeElement));
+});
+
+test('every path through the tree ends at its result', async t => {
+    const paths = [
+        { answers: ['no'], result: 'full-process' },
+        { answers: ['unsure'], result: 'check-odp' },
+        { answers: ['yes', 'no'], result: 'optional-path' },
+        { answers: ['yes', 'yes', 'tall', 'yes', 'large', 'mixed'], result: 'fast-track' }
+    ];
+    
+    for (const path of paths) {
+        const window = await openTree();
+        t.after(() => window.close());
+        const { document } = window;
+        
+        answer(document, ...path.answers);
+        
+        assert.equal(getActiveNode(document), path.result, path.answers.join(' > '));
+        assert.ok(document.querySelector(`#decisionTreeModal .decision-result.active[data-result="${path.result}"]`));
+        assert.equal(window.eval('state.decisionTreeHistory.length'), path.answers.length);
+        assert.equal(window.eval('state.lastPathwayResult.nodeId'), path.result);
+    }
+});
+
+test('the fast track questions go one after another', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const visited = [getActiveNode(document)];
+    ['yes', 'yes', 'low', 'no', 'small'].forEach(value => {
+        answer(document, value);
+        visited.push(getActiveNode(document));
+    });
+    
+    assert.deepEqual(visited, ['odp', 'residential', 'height', 'heritage', 'units', 'tenure']);
+    assert.equal(document.activeElement, document.querySelector('[data-node="tenure"] h3'));
+});
+
+test('Back returns to the previous question and forgets its answer', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    answer(document, 'yes', 'yes');
+    document.querySelector('#decisionTreeModal .active .btn-back').click();
+    
+    assert.equal(getActiveNode(document), 'residential');
+    assert.deepEqual(
+        [...window.eval('state.decisionTreeHistory')].map(entry => entry.nodeId),
+        ['odp']
+    );
+});
+
+test('answers so far are listed and can be revisited', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    answer(document, 'yes', 'yes', 'mid');
+    const breadcrumb = document.getElementById('decisionBreadcrumb');
+    assert.equal(breadcrumb.hidden, false);
+    
+    breadcrumb.querySelector('button').click();
+    
+    assert.equal(getActiveNode(document), 'odp');
+    assert.equal(window.eval('state.decisionTreeHistory.length'), 0);
+});
+
+test('a pathway link reopens the tree where it was left', async t => {
+    const first = await openTree();
+    t.after(() => first.close());
+    answer(first.document, 'yes', 'no');
+    const hash = first.location.hash;
+    
+    const window = await loadGuide({ hash });
+    t.after(() => window.close());
+    
+    assert.equal(window.document.getElementById('decisionTreeModal').hidden, false);
+    assert.equal(getActiveNode(window.document), 'optional-path');
+    assert.equal(window.eval('state.decisionTreeHistory.length'), 2);
+});
+
+test('step text can\'t break the Markdown summary table', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    answer(document, 'no');
+    const summary = window.eval('buildPathwaySummary()');
+    summary.steps[0].title = 'Enquiry | pre-application';
+    summary.steps[0].note = 'First line\nsecond line';
+    
+    const row = window.formatPathwaySummary(summary, 'markdown').split('\n').find(line => line.startsWith('| Enquiry'));
+    assert.equal(row, `| Enquiry \\| pre-application | ${summary.steps[0].duration.text} | First line second line |`);
+});
@@ -0,0 +1,159 @@
+/**
+ * Interface tests for modal dialogs (js/dialogs.js): focus trap, inert background,
+ * scroll lock, stacking and focus return
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, pressKey } = require('./helpers/load-guide.js');
+
+// The page outside the dialogs
+const BACKGROUND = ['.site-header', '.hero', '.timeline-section', '.site-footer'];
+
+async function openTree() {
+    const window = await loadGuide();
+    const opener = window.document.getElementById('openDecisionTree');
+    opener.focus();
+    opener.click();
+    return window;
+}
+
+function isInert(element) {
+    return element.hasAttribute('inert') && element.getAttribute('aria-hidden') === 'true';
+}
+
+test('Tab stays inside an open dialog', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('glossaryToggle').click();
+    const focusable = [...document.querySelectorAll('#glossary button:enabled, #glossary input')]
+        .filter(element => !element.closest('[hidden]'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    last.focus();
+    pressKey(window, 'Tab');
+    assert.equal(document.activeElement, first);
+    
+    pressKey(window, 'Tab', { shiftKey: true });
+    assert.equal(document.activeElement, last);
+});
+
+test('Escape closes the tree and returns focus to the button that opened it', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('#decisionTreeModal .active .btn-decision[data-answer="no"]').click();
+    pressKey(window, 'Escape');
+    
+    assert.equal(document.getElementById('decisionTreeModal').hidden, true);
+    assert.equal(document.activeElement.id, 'openDecisionTree');
+    assert.equal(window.location.hash, '');
+});
+
+test('the page behind an open dialog is inert and hidden from screen readers', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    const modal = document.getElementById('decisionTreeModal');
+    
+    BACKGROUND.forEach(selector => assert.ok(isInert(document.querySelector(selector)), selector));
+    assert.equal(modal.hasAttribute('inert'), false);
+    assert.ok(modal.contains(document.activeElement));
+    
+    // Announcements are still heard
+    assert.equal(window.liveRegion.hasAttribute('inert'), false);
+    
+    window.closeDecisionTree();
+    
+    assert.equal(document.querySelectorAll('[inert]').length, 0);
+    BACKGROUND.forEach(selector => assert.equal(document.querySelector(selector).hasAttribute('aria-hidden'), false, selector));
+});
+
+test('the page doesn\'t scroll behind a dialog, and scrolls again once it closes', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    document.body.style.overflow = 'auto';
+    
+    document.getElementById('openDecisionTree').click();
+    assert.equal(document.body.style.overflow, 'hidden');
+    
+    window.closeDecisionTree();
+    assert.equal(document.body.style.overflow, 'auto');
+});
+
+test('a dialog opened over another is the only one that can be used until it closes', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    const modal = document.getElementById('decisionTreeModal');
+    const glossary = document.getElementById('glossary');
+    
+    const answerButton = modal.querySelector('.active .btn-decision');
+    answerButton.focus();
+    window.toggleGlossary();
+    
+    assert.equal(glossary.hidden, false);
+    assert.ok(isInert(modal));
+    assert.ok(glossary.contains(document.activeElement));
+    
+    // Escape closes only the top dialog, and focus goes back to where it was in the one below
+    pressKey(window, 'Escape');
+    
+    assert.equal(glossary.hidden, true);
+    assert.equal(modal.hidden, false);
+    assert.equal(modal.hasAttribute('inert'), false);
+    assert.equal(document.activeElement, answerButton);
+    BACKGROUND.forEach(selector => assert.ok(isInert(document.querySelector(selector)), selector));
+    assert.equal(document.body.style.overflow, 'hidden');
+    
+    pressKey(window, 'Escape');
+    
+    assert.equal(modal.hidden, true);
+    assert.equal(document.activeElement.id, 'openDecisionTree');
+    assert.equal(document.body.style.overflow, '');
+});
+
+test('closing a dialog underneath leaves focus in the one on top', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    window.toggleGlossary();
+    const search = document.getElementById('glossarySearch');
+    assert.equal(document.activeElement, search);
+    
+    window.closeDecisionTree();
+    
+    assert.equal(document.getElementById('decisionTreeModal').hidden, true);
+    assert.equal(document.activeElement, search);
+    BACKGROUND.forEach(selector => assert.ok(isInert(document.querySelector(selector)), selector));
+});
+
+test('a toast raised while a dialog is open can still be used', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    let reloaded = false;
+    window.showNotification('A new version is ready', 'info', {
+        action: { label: 'Reload', onClick: () => { reloaded = true; } }
+    });
+    
+    const stack = document.getElementById('toastStack');
+    assert.equal(stack.hasAttribute('inert'), false);
+    assert.equal(stack.hasAttribute('aria-hidden'), false);
+    
+    const dismiss = stack.querySelector('.toast-dismiss');
+    dismiss.focus();
+    assert.equal(document.activeElement, dismiss);
+    
+    stack.querySelector('.toast-action').click();
+    assert.equal(reloaded, true);
+    assert.equal(document.getElementById('decisionTreeModal').hidden, false);
+});
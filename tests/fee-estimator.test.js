@@ -0,0 +1,118 @@
+/**
+ * Unit tests for fee-estimator.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    checkFeeProject,
+    getDensity,
+    getAdditionalFloorArea,
+    estimateFees,
+    validateFeeRates
+} = require('../fee-estimator.js');
+
+const RATES = {
+    version: 3,
+    effective: '2025-01-01',
+    currency: 'CAD',
+    baseDensity: 1,
+    uses: [{ id: 'market', name: 'Market' }, { id: 'rental', name: 'Rental' }],
+    items: [
+        { id: 'hearing', category: 'application', name: 'Hearing', pathways: ['full'], fixed: { low: 500, high: 500 } },
+        { id: 'application', category: 'application', name: 'Application', basis: 'site', included: 1000, fixed: { low: 10000, high: 10000 }, rate: { low: 10, high: 10 } },
+        { id: 'cac', category: 'contribution', name: 'CAC', basis: 'additional-floor', rates: { market: { low: 100, high: 300 } }, note: 'Negotiated.' },
+        { id: 'dcl', category: 'contribution', name: 'DCL', basis: 'floor', rates: { market: { low: 20, high: 30 }, rental: { low: 10, high: 10 } } },
+        { id: 'permit', category: 'permit', name: 'Permit', basis: 'floor', rate: { low: 2.5, high: 4.25 } }
+    ]
+};
+
+const project = overrides => Object.assign({
+    pathway: 'full',
+    siteArea: 1500,
+    floorArea: 4000,
+    uses: { market: 75, rental: 25 }
+}, overrides);
+
+test('projects need a site, a floor area and a use mix adding up to 100%', () => {
+    assert.equal(checkFeeProject(project()), null);
+    assert.equal(checkFeeProject(project({ siteArea: NaN })), 'siteArea');
+    assert.equal(checkFeeProject(project({ siteArea: 0 })), 'siteArea');
+    assert.equal(checkFeeProject(project({ floorArea: -10 })), 'floorArea');
+    assert.equal(checkFeeProject(project({ uses: { market: 75, rental: 20 } })), 'useMix');
+    assert.equal(checkFeeProject(project({ uses: { market: 110, rental: -10 } })), 'useMix');
+    assert.equal(checkFeeProject(project({ uses: { market: 33.333, rental: 66.667 } })), null);
+});
+
+test('density is floor area over site area, and only floor area above the base density is additional', () => {
+    assert.equal(getDensity(project()), 4000 / 1500);
+    assert.equal(getAdditionalFloorArea(project(), 1), 2500);
+    assert.equal(getAdditionalFloorArea(project({ floorArea: 1000 }), 1), 0);
+});
+
+test('each item is a fixed amount plus its rate on the area beyond what the fixed amount covers', () => {
+    const estimate = estimateFees(project(), RATES);
+    const item = id => estimate.items.find(entry => entry.id === id);
+    
+    assert.deepEqual(estimate.items.map(entry => entry.id), ['hearing', 'application', 'cac', 'dcl', 'permit']);
+    assert.deepEqual([item('hearing').low, item('hearing').high], [500, 500]);
+    // 10,000 for the first 1,000 m² of site, then 500 m² at 10
+    assert.deepEqual([item('application').low, item('application').high], [15000, 15000]);
+    // 2,500 m² above 1 FSR, 75% of it market housing
+    assert.deepEqual([item('cac').low, item('cac').high], [187500, 562500]);
+    // 3,000 m² of market housing and 1,000 m² of rental
+    assert.deepEqual([item('dcl').low, item('dcl').high], [70000, 100000]);
+    assert.deepEqual([item('permit').low, item('permit').high], [10000, 17000]);
+    assert.equal(item('cac').note, 'Negotiated.');
+    assert.equal(item('dcl').note, '');
+});
+
+test('totals add up by category and overall, with the rate table they came from', () => {
+    const estimate = estimateFees(project(), RATES);
+    
+    assert.deepEqual(estimate.totals, {
+        application: { low: 15500, high: 15500 },
+        contribution: { low: 257500, high: 662500 },
+        permit: { low: 10000, high: 17000 }
+    });
+    assert.deepEqual(estimate.total, { low: 283000, high: 695000 });
+    assert.equal(estimate.additionalFloorArea, 2500);
+    assert.deepEqual(estimate.rates, { version: 3, effective: '2025-01-01', currency: 'CAD', baseDensity: 1 });
+});
+
+test('items for other pathways are left out, and uses without a rate pay nothing', () => {
+    const estimate = estimateFees(project({ pathway: 'fast', uses: { market: 0, rental: 100 } }), RATES);
+    
+    assert.equal(estimate.items.some(entry => entry.id === 'hearing'), false);
+    assert.deepEqual(estimate.totals.contribution, { low: 40000, high: 40000 });
+});
+
+test('amounts are rounded to the dollar', () => {
+    const estimate = estimateFees(project({ floorArea: 1001 }), RATES);
+    const permit = estimate.items.find(entry => entry.id === 'permit');
+    
+    assert.deepEqual([permit.low, permit.high], [2503, 4254]);
+});
+
+test('rate tables with broken references are reported', () => {
+    const errors = validateFeeRates({
+        uses: [{ id: 'market', name: 'Market' }, { id: 'market', name: 'Market again' }],
+        items: [
+            { id: 'a', category: 'permit', name: 'A', fixed: { low: 10, high: 5 }, rate: { low: 1, high: 1 } },
+            { id: 'a', category: 'permit', name: 'A again', basis: 'floor', rates: { office: { low: 1, high: 2 } } }
+        ]
+    });
+    
+    assert.deepEqual(errors, [
+        'fees.uses: use id "market" is used more than once',
+        'fees.items: item id "a" is used more than once',
+        'fees.items[0].fixed: "low" (10) is greater than "high" (5)',
+        'fees.items[0]: has a rate but no "basis" to charge it on',
+        'fees.items[1].rates.office: use "office" does not exist'
+    ]);
+});
+
+test('the rate table saved with the guide is valid', () => {
+    assert.deepEqual(validateFeeRates(require('../data/fees.json')), []);
+});
@@ -0,0 +1,153 @@
+/**
+ * Interface tests for the fee and CAC estimator (js/fees.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, wait } = require('./helpers/load-guide.js');
+
+// The rate table loads after start-up
+async function openGuide(options) {
+    const window = await loadGuide(options);
+    await wait(50);
+    return window;
+}
+
+function fill(window, values) {
+    const { document } = window;
+    Object.keys(values).forEach(selector => {
+        document.querySelector(selector).value = values[selector];
+    });
+    document.getElementById('feeForm').dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+// 2,000 m² site with 5,000 m² of floor area, 80% market housing and 20% rental
+function fillProject(window, pathway = 'full-process') {
+    fill(window, {
+        '#feePathway': pathway,
+        '#feeSiteArea': '2000',
+        '#feeFloorArea': '5000',
+        '#feeUses [data-use="market-residential"]': '80',
+        '#feeUses [data-use="rental"]': '20'
+    });
+}
+
+function getRows(document) {
+    return Array.from(document.querySelectorAll('#feeEstimate tbody tr:not(.fee-category)'), row => {
+        return [row.querySelector('th').textContent.trim(), row.querySelector('td').textContent.trim()];
+    });
+}
+
+test('the use mix comes from the rate table, all market housing to start with', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const uses = Array.from(document.querySelectorAll('#feeUses input[data-use]'));
+    assert.deepEqual(uses.map(input => input.dataset.use), ['market-residential', 'rental', 'social-housing', 'commercial', 'industrial']);
+    assert.deepEqual(uses.map(input => input.value), ['100', '0', '0', '0', '0']);
+    assert.equal(document.getElementById('feeEstimate').textContent.trim(), 'Enter the site area and proposed floor area to see an estimate.');
+});
+
+test('a project gets an itemised estimate with its assumptions', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    fillProject(window);
+    
+    assert.deepEqual(getRows(document), [
+        ['Rezoning enquiry', '$3,000'],
+        ['Rezoning application fee', '$49,000'],
+        ['Public hearing notification and signage', '$4,500'],
+        ['Subtotal', '$56,500'],
+        ['Community amenity contribution (CAC)', '$864,000 – $3,456,000'],
+        ['Development cost levies (DCLs)', '$1,230,000 – $1,850,000'],
+        ['Subtotal', '$2,094,000 – $5,306,000'],
+        ['Development permit', '$63,000'],
+        ['Building permit', '$125,000 – $225,000'],
+        ['Subtotal', '$188,000 – $288,000']
+    ]);
+    assert.equal(document.querySelector('#feeEstimate tfoot td').textContent, '$2,338,500 – $5,650,500');
+    
+    const assumptions = document.querySelector('.fee-assumptions').textContent;
+    assert.match(assumptions, /5,000 m² of floor area on a 2,000 m² site, a density of 2\.5 FSR\./);
+    assert.match(assumptions, /CACs are charged on the 3,600 m² of floor area above the 0\.7 FSR allowed before rezoning\./);
+    assert.match(assumptions, /Use mix: Market housing 80%, Secured rental housing 20%\./);
+    assert.match(assumptions, /Rates effective 2025-01-01 \(rate table version 1\)\./);
+    assert.match(assumptions, /Building permit: Building permit fees follow the construction value/);
+});
+
+test('fees that only apply to other pathways are left out', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    fillProject(window, 'fast-track');
+    
+    const names = getRows(document).map(row => row[0]);
+    assert.equal(names.includes('Rezoning enquiry'), false);
+    assert.equal(names.includes('Public hearing notification and signage'), false);
+    assert.equal(names.includes('Rezoning application fee'), true);
+});
+
+test('a use mix that doesn\'t add up to 100% is flagged', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    fillProject(window);
+    fill(window, { '#feeUses [data-use="rental"]': '30' });
+    
+    assert.equal(document.querySelector('#feeEstimate .field-error').textContent, 'The use mix adds up to 110%. Make it add up to 100%.');
+    assert.equal(document.getElementById('feeUses').getAttribute('aria-invalid'), 'true');
+    assert.equal(window.eval('getFeeEstimate("full-process")'), null);
+});
+
+test('the estimate follows the decision tree and goes into the pathway summary', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    fillProject(window, 'fast-track');
+    
+    document.getElementById('openDecisionTree').click();
+    document.querySelector('#decisionTreeModal .active .btn-decision[data-answer="no"]').click();
+    assert.equal(document.getElementById('feePathway').value, 'full-process');
+    
+    const text = window.eval('formatPathwaySummary(buildPathwaySummary(), "text")');
+    assert.match(text, /Estimated Fees and Contributions\n-+\n/);
+    assert.match(text, /Application fees: \$56,500\n\* Rezoning enquiry: \$3,000\n/);
+    assert.match(text, /Total: \$2,338,500 – \$5,650,500\n/);
+    assert.match(text, /\* Rates effective 2025-01-01 \(rate table version 1\)\./);
+    
+    const markdown = window.eval('formatPathwaySummary(buildPathwaySummary(), "markdown")');
+    assert.match(markdown, /## Estimated Fees and Contributions\n\n\*\*Application fees: \$56,500\*\*\n- Rezoning enquiry: \$3,000\n/);
+    assert.match(markdown, /### Assumptions\n/);
+});
+
+test('summaries for other pathways, or without an estimate, leave the fees out', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('openDecisionTree').click();
+    document.querySelector('#decisionTreeModal .active .btn-decision[data-answer="no"]').click();
+    assert.doesNotMatch(window.eval('formatPathwaySummary(buildPathwaySummary(), "text")'), /Estimated Fees/);
+    
+    fillProject(window, 'fast-track');
+    assert.doesNotMatch(window.eval('formatPathwaySummary(buildPathwaySummary(), "text")'), /Estimated Fees/);
+});
+
+test('amounts follow the interface language', async t => {
+    const window = await openGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    fillProject(window);
+    await window.eval('changeLanguage("fr")');
+    
+    assert.equal(document.querySelector('.fee-category th').textContent, 'Frais de demande');
+    assert.match(document.querySelector('#feeEstimate tfoot td').textContent, /^2\s338\s500\s\$ – 5\s650\s500\s\$$/);
+});
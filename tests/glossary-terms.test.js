@@ -0,0 +1,124 @@
+/**
+ * Unit tests for glossary-terms.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getTermPhrases,
+    createTermMatcher,
+    findTermMatches,
+    matchGlossaryTerm,
+    editDistance,
+    getTermLetter
+} = require('../glossary-terms.js');
+
+const TERMS = [
+    { id: 'odp', term: 'Official Development Plan (ODP)' },
+    { id: 'dap', term: 'Development Approval Procedure (DAP) By-law' },
+    { id: 'public-hearing', term: 'Public Hearing' },
+    { id: 'rezoning', term: 'Rezoning' },
+    { id: 'enquiry', term: 'Rezoning Enquiry', aliases: ['enquiry'] },
+    { id: 'enactment', term: 'Zoning Enactment', aliases: ['enactment', 'Enactment'] }
+];
+
+const matcher = createTermMatcher(TERMS);
+
+// Each match as "id:matched text", e.g. 'odp:ODP'
+function findTerms(text, linked) {
+    return findTermMatches(text, matcher, linked).map(({ id, start, end }) => `${id}:${text.slice(start, end)}`);
+}
+
+test('getTermPhrases splits out the abbreviation and adds aliases once', () => {
+    assert.deepEqual(getTermPhrases(TERMS[0]), ['Official Development Plan', 'ODP']);
+    assert.deepEqual(getTermPhrases(TERMS[1]), ['Development Approval Procedure By-law', 'DAP']);
+    assert.deepEqual(getTermPhrases(TERMS[5]), ['Zoning Enactment', 'enactment']);
+    assert.deepEqual(getTermPhrases({ term: 'Public Hearing', aliases: [' '] }), ['Public Hearing']);
+});
+
+test('findTermMatches finds terms in any case, across line breaks and in the plural', () => {
+    assert.deepEqual(
+        findTerms('Check the official development plan, then attend the Public\n    hearings.'),
+        ['odp:official development plan', 'public-hearing:Public\n    hearings']
+    );
+});
+
+test('findTermMatches gives positions in the text', () => {
+    assert.deepEqual(findTermMatches('An ODP applies.', matcher), [{ id: 'odp', start: 3, end: 6 }]);
+});
+
+test('abbreviations only match in capitals', () => {
+    assert.deepEqual(findTerms('The odp and the Odp differ from the ODP.'), ['odp:ODP']);
+});
+
+test('terms only match whole words', () => {
+    assert.deepEqual(findTerms('Rezonings happen; prezoning and DAPs do not'), ['rezoning:Rezonings', 'dap:DAPs']);
+    assert.deepEqual(findTerms('ODPx and XODP and reenactment'), []);
+});
+
+test('the longest phrase wins', () => {
+    assert.deepEqual(findTerms('Submit a rezoning enquiry first.'), ['enquiry:rezoning enquiry']);
+    assert.deepEqual(findTerms('Zoning enactment follows.'), ['enactment:Zoning enactment']);
+});
+
+test('each term is found once, sharing what was linked across calls', () => {
+    const linked = new Set();
+    
+    assert.deepEqual(findTerms('The ODP, an ODP, the Official Development Plan.', linked), ['odp:ODP']);
+    assert.deepEqual(findTerms('Another ODP and a public hearing.', linked), ['public-hearing:public hearing']);
+    assert.deepEqual([...linked], ['odp', 'public-hearing']);
+});
+
+test('a matcher without terms finds nothing', () => {
+    assert.deepEqual(findTermMatches('ODP', createTermMatcher([])), []);
+});
+
+// ========================================
+// Filtering
+// ========================================
+const HEARING = {
+    id: 'public-hearing',
+    term: 'Public Hearing',
+    keywords: 'public hearing meeting council speak',
+    definition: 'A meeting where Council hears from the public about proposed rezonings.'
+};
+
+test('matchGlossaryTerm matches the start of words in the name and keywords', () => {
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'Hear'), { words: ['hearing', 'hears'] });
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'spea'), { words: [] });
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'public hear'), { words: ['public', 'hearing', 'hears'] });
+    assert.equal(matchGlossaryTerm(HEARING, 'hearing permit'), null);
+});
+
+test('matchGlossaryTerm allows typos in longer words only', () => {
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'hering'), { words: ['hearing'] });
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'pubilc'), { words: ['public'] });
+    assert.equal(matchGlossaryTerm(HEARING, 'pub x'), null);
+    assert.equal(matchGlossaryTerm(HEARING, 'hxxring'), null);
+});
+
+test('matchGlossaryTerm matches whole words of the definition, give or take a plural', () => {
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'rezoning'), { words: ['rezonings'] });
+    assert.deepEqual(matchGlossaryTerm(HEARING, 'propose'), null);
+});
+
+test('an empty filter matches every term', () => {
+    assert.deepEqual(matchGlossaryTerm(HEARING, ''), { words: [] });
+    assert.deepEqual(matchGlossaryTerm({ term: 'Rezoning' }, '  '), { words: [] });
+});
+
+test('editDistance counts inserts, deletes, changes and swaps', () => {
+    assert.equal(editDistance('hearing', 'hearing'), 0);
+    assert.equal(editDistance('hearign', 'hearing'), 1);
+    assert.equal(editDistance('hering', 'hearing'), 1);
+    assert.equal(editDistance('permit', 'permits'), 1);
+    assert.equal(editDistance('', 'odp'), 3);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('getTermLetter files terms under their first letter', () => {
+    assert.equal(getTermLetter({ term: 'Official Development Plan (ODP)' }), 'O');
+    assert.equal(getTermLetter({ term: ' zoning' }), 'Z');
+    assert.equal(getTermLetter({ term: '3-storey' }), '#');
+});
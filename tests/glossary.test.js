@@ -0,0 +1,287 @@
+/**
+ * Interface tests for the glossary panel (js/glossary.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, wait, pressKey } = require('./helpers/load-guide.js');
+
+const visibleTerms = document => [...document.querySelectorAll('.glossary-item')]
+    .filter(item => !item.hidden)
+    .map(item => item.id);
+
+test('the glossary opens with focus in its filter and closes with Escape', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const toggle = document.getElementById('glossaryToggle');
+    const panel = document.getElementById('glossary');
+    
+    toggle.focus();
+    toggle.click();
+    assert.equal(panel.hidden, false);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.activeElement.id, 'glossarySearch');
+    
+    pressKey(window, 'Escape');
+    assert.equal(panel.hidden, true);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+});
+
+test('filterGlossary matches terms and their keywords, ignoring case', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    window.filterGlossary('CAC');
+    assert.deepEqual(visibleTerms(document), ['glossary-cac']);
+    
+    window.filterGlossary('  permit ');
+    assert.deepEqual(visibleTerms(document), ['glossary-building-permit', 'glossary-development-permit']);
+    
+    window.filterGlossary('pre-application');
+    assert.deepEqual(visibleTerms(document), ['glossary-enquiry']);
+});
+
+test('an empty filter shows every term and a miss shows none', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const total = document.querySelectorAll('.glossary-item').length;
+    
+    window.filterGlossary('zzz');
+    assert.deepEqual(visibleTerms(document), []);
+    
+    window.filterGlossary('');
+    assert.equal(visibleTerms(document).length, total);
+});
+
+test('typing in the glossary filter narrows the list', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('glossaryToggle').click();
+    const input = document.getElementById('glossarySearch');
+    input.value = 'hearing';
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    
+    assert.deepEqual(visibleTerms(document), ['glossary-public-hearing']);
+});
+
+test('glossary terms in the guide text link to their definitions, once per card', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const terms = document.querySelectorAll('.glossary-term');
+    assert.ok(terms.length > 0);
+    assert.ok(document.querySelector('.detail-panel .glossary-term'));
+    assert.ok(document.querySelector('.decision-step .glossary-term, .decision-result .glossary-term'));
+    
+    document.querySelectorAll('.timeline-card, .detail-panel, .decision-step, .decision-result').forEach(container => {
+        const ids = [...container.querySelectorAll('.glossary-term')].map(term => term.dataset.termId);
+        assert.equal(new Set(ids).size, ids.length);
+    });
+    
+    // Not inside headings, buttons or the glossary itself, and not for terms marked autoLink: false
+    assert.equal(document.querySelectorAll('h3 .glossary-term, h4 .glossary-term, .btn-decision .glossary-term').length, 0);
+    assert.equal(document.querySelectorAll('#glossary .glossary-term').length, 0);
+    assert.equal(document.querySelectorAll('.glossary-term[data-term-id="rezoning"]').length, 0);
+});
+
+test('focusing a linked term shows its definition until Escape', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const term = document.querySelector('.glossary-term[data-term-id="public-hearing"]');
+    const tooltip = document.getElementById('termTooltip');
+    
+    term.focus();
+    assert.equal(tooltip.hidden, false);
+    assert.equal(term.getAttribute('aria-describedby'), 'termTooltip');
+    assert.match(tooltip.textContent, /Public Hearing/);
+    assert.match(tooltip.textContent, /glossary/);
+    
+    pressKey(window, 'Escape');
+    assert.equal(tooltip.hidden, true);
+    assert.equal(term.hasAttribute('aria-describedby'), false);
+    assert.equal(document.activeElement, term);
+});
+
+test('hovering a linked term shows its definition, which stays while the pointer is on it', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const hover = element => element.dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+    const term = document.querySelector('.glossary-term');
+    const tooltip = document.getElementById('termTooltip');
+    
+    hover(term);
+    assert.equal(tooltip.hidden, false);
+    
+    hover(document.getElementById('timeline-title'));
+    hover(tooltip);
+    await wait(300);
+    assert.equal(tooltip.hidden, false);
+    
+    hover(document.getElementById('timeline-title'));
+    await wait(300);
+    assert.equal(tooltip.hidden, true);
+});
+
+test('Escape on a term in the decision tree hides the definition before closing the tree', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('openDecisionTree').click();
+    const term = document.querySelector('.decision-step.active .glossary-term');
+    term.focus();
+    
+    pressKey(window, 'Escape');
+    assert.equal(document.getElementById('termTooltip').hidden, true);
+    assert.equal(document.getElementById('decisionTreeModal').hidden, false);
+    
+    pressKey(window, 'Escape');
+    assert.equal(document.getElementById('decisionTreeModal').hidden, true);
+});
+
+test('pressing a linked term opens the glossary at that term', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    window.filterGlossary('permit');
+    const term = document.querySelector('.glossary-term[data-term-id="cac"]');
+    document.querySelector(`.btn-expand[aria-controls="${term.closest('.detail-panel').id}"]`).click();
+    term.focus();
+    term.click();
+    
+    const item = document.getElementById('glossary-cac');
+    assert.equal(document.getElementById('glossary').hidden, false);
+    assert.equal(item.hidden, false);
+    assert.equal(document.getElementById('glossarySearch').value, '');
+    assert.equal(document.activeElement, item.querySelector('h4'));
+    assert.equal(document.getElementById('termTooltip').hidden, true);
+    
+    pressKey(window, 'Escape');
+    assert.equal(document.activeElement, term);
+});
+
+test('terms are listed A-Z with their category and related terms', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const names = [...document.querySelectorAll('.glossary-item h4')].map(heading => heading.textContent);
+    assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b, 'en')));
+    
+    const item = document.getElementById('glossary-public-hearing');
+    assert.equal(item.dataset.category, 'process');
+    assert.match(item.querySelector('.glossary-category').textContent, /Process/);
+    assert.deepEqual(
+        [...item.querySelectorAll('.glossary-related-link')].map(link => link.dataset.termId),
+        ['council-meeting', 'shape-your-city']);
+});
+
+test('a related term opens that term in the glossary', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('glossaryToggle').click();
+    window.filterGlossary('hearing');
+    document.querySelector('#glossary-public-hearing .glossary-related-link[data-term-id="council-meeting"]').click();
+    
+    const item = document.getElementById('glossary-council-meeting');
+    assert.equal(item.hidden, false);
+    assert.equal(document.activeElement, item.querySelector('h4'));
+    assert.equal(document.getElementById('glossary').hidden, false);
+});
+
+test('the category filters combine with the text filter', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('.glossary-category-filter[data-category="financial"]').click();
+    assert.deepEqual(visibleTerms(document), ['glossary-cac']);
+    assert.equal(document.querySelector('.glossary-category-filter[data-category="financial"]').getAttribute('aria-pressed'), 'true');
+    assert.equal(document.querySelector('.glossary-category-filter[data-category="all"]').getAttribute('aria-pressed'), 'false');
+    
+    document.querySelector('.glossary-category-filter[data-category="document"]').click();
+    window.filterGlossary('permit');
+    assert.deepEqual(visibleTerms(document), ['glossary-building-permit', 'glossary-development-permit']);
+    
+    document.querySelector('.glossary-category-filter[data-category="process"]').click();
+    assert.deepEqual(visibleTerms(document), []);
+});
+
+test('misspelled filters still match, with the matched words marked', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    window.filterGlossary('hering');
+    assert.deepEqual(visibleTerms(document), ['glossary-public-hearing']);
+    
+    const marks = [...document.querySelectorAll('#glossary-public-hearing mark.glossary-mark')];
+    assert.deepEqual(marks.map(mark => mark.textContent), ['Hearing']);
+    assert.equal(document.querySelector('#glossary-public-hearing h4').textContent, 'Public Hearing');
+    
+    window.filterGlossary('');
+    assert.equal(document.querySelectorAll('mark.glossary-mark').length, 0);
+});
+
+test('the count and no-matches message follow the filters, and the count is read out', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const total = document.querySelectorAll('.glossary-item').length;
+    const count = document.getElementById('glossaryCount');
+    const empty = document.getElementById('glossaryEmpty');
+    assert.equal(count.textContent, `${total} terms`);
+    assert.equal(empty.hidden, true);
+    
+    document.getElementById('glossaryToggle').click();
+    const input = document.getElementById('glossarySearch');
+    input.value = 'zzz';
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.equal(count.textContent, '0 terms');
+    assert.equal(empty.hidden, false);
+    
+    await wait(600);
+    assert.equal(window.liveRegion.textContent, '0 terms');
+    
+    document.getElementById('glossaryClearFilters').click();
+    assert.equal(input.value, '');
+    assert.equal(count.textContent, `${total} terms`);
+    assert.equal(empty.hidden, true);
+    assert.equal(document.activeElement, input);
+});
+
+test('the letter index jumps to the first term shown for a letter', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('glossaryToggle').click();
+    const letter = letterValue => document.querySelector(`.glossary-letter[data-letter="${letterValue}"]`);
+    assert.equal(letter('Q').disabled, true);
+    assert.equal(letter('P').disabled, false);
+    
+    letter('P').click();
+    assert.equal(document.activeElement, document.querySelector('#glossary-public-hearing h4'));
+    
+    window.filterGlossary('permit');
+    assert.equal(letter('P').disabled, true);
+    assert.equal(letter('B').disabled, false);
+});
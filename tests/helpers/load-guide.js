@@ -0,0 +1,105 @@
+/**
+ * Loads index.html and its scripts in jsdom for the interface tests.
+ * Local files are served from the repo; CDN files are skipped (the page falls back to its
+ * own copy of the icons). Resolves once the guide has finished starting up (see guideReady).
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_URL = 'http://localhost/index.html';
+
+const indexHtml = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// The repo file for a page URL, or null for anything else
+function getLocalFile(url) {
+    const { origin, pathname } = new URL(url);
+    if (origin !== new URL(PAGE_URL).origin) return null;
+    
+    const file = path.join(ROOT, decodeURIComponent(pathname));
+    return file.startsWith(ROOT) && fs.existsSync(file) ? file : null;
+}
+
+class LocalResourceLoader extends ResourceLoader {
+    fetch(url) {
+        const file = getLocalFile(url);
+        return file ? Promise.resolve(fs.readFileSync(file)) : null;
+    }
+}
+
+// Just enough of fetch() for loading data/content.json and locales/
+function fetchLocalFile(url) {
+    const file = getLocalFile(new URL(url, PAGE_URL).href);
+    const body = file ? fs.readFileSync(file, 'utf8') : '';
+    
+    return Promise.resolve({
+        ok: Boolean(file),
+        status: file ? 200 : 404,
+        text: async () => body,
+        json: async () => JSON.parse(body)
+    });
+}
+
+/**
+ * Open the guide. Options:
+ *   hash     - the URL hash to open it at, e.g. '#developer/step3', after any query ('?q=hearing#full')
+ *   storage  - localStorage values to start with, { key: value }; values are stored as JSON
+ *   setup    - called with the window before the page's scripts run, e.g. to stand in for a
+ *              browser API jsdom doesn't have
+ * Returns the window; call window.close() when done so the page's timers stop.
+ */
+async function loadGuide({ hash = '', storage = {}, setup = null } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    
+    const dom = new JSDOM(indexHtml, {
+        url: PAGE_URL + hash,
+        runScripts: 'dangerously',
+        resources: new LocalResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = fetchLocalFile;
+            window.scrollTo = () => {};
+            window.Element.prototype.scrollIntoView = () => {};
+            window.Element.prototype.scrollBy = () => {};
+            
+            Object.keys(storage).forEach(key => {
+                window.localStorage.setItem(key, JSON.stringify(storage[key]));
+            });
+            
+            if (setup) setup(window);
+        }
+    });
+    const { window } = dom;
+    
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    await window.eval('guideReady');
+    
+    if (errors.length > 0) {
+        window.close();
+        throw errors[0].detail || errors[0];
+    }
+    
+    return window;
+}
+
+// Let debounced handlers and other timers run
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A keydown as the browser sends it, from the focused element unless target is given
+function pressKey(window, key, { target = window.document.activeElement, ...modifiers } = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+    (target || window.document.body).dispatchEvent(event);
+    return event;
+}
+
+module.exports = {
+    loadGuide,
+    wait,
+    pressKey
+};
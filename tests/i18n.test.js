@@ -0,0 +1,137 @@
+/**
+ * Unit tests for i18n.js and the catalogs in locales/
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+    LOCALES,
+    DEFAULT_LOCALE,
+    getLocaleInfo,
+    matchLocale,
+    translate,
+    formatMessage
+} = require('../i18n.js');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+function readCatalog(code) {
+    return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${code}.json`), 'utf8'));
+}
+
+function placeholders(message) {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+    return [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+}
+
+const catalogs = {
+    en: {
+        'greeting': 'Hello, {name}',
+        'english.only': 'Only in English',
+        'results': { one: '{count} result', other: '{count} results' }
+    },
+    fr: {
+        'greeting': 'Bonjour, {name}',
+        'results': { one: '{count} résultat', other: '{count} résultats' }
+    },
+    fa: {
+        'results': { other: '{count} نتیجه' }
+    }
+};
+
+test('translate uses the requested locale and fills in placeholders', () => {
+    assert.equal(translate(catalogs, 'fr', 'greeting', { name: 'Ana' }), 'Bonjour, Ana');
+    assert.equal(translate(catalogs, 'en', 'greeting', { name: 'Ana' }), 'Hello, Ana');
+});
+
+test('translate falls back to English, then to the key', () => {
+    assert.equal(translate(catalogs, 'fr', 'english.only'), 'Only in English');
+    assert.equal(translate(catalogs, 'xx', 'greeting', { name: 'Ana' }), 'Hello, Ana');
+    assert.equal(translate(catalogs, 'fr', 'missing.key'), 'missing.key');
+});
+
+test('translate leaves unknown placeholders in place', () => {
+    assert.equal(translate(catalogs, 'en', 'greeting'), 'Hello, {name}');
+});
+
+test('translate picks plural forms with the locale plural rules', () => {
+    assert.equal(translate(catalogs, 'en', 'results', { count: 1 }), '1 result');
+    assert.equal(translate(catalogs, 'en', 'results', { count: 0 }), '0 results');
+    // French treats 0 as singular
+    assert.equal(translate(catalogs, 'fr', 'results', { count: 0 }), '0 résultat');
+    assert.equal(translate(catalogs, 'fr', 'results', { count: 2 }), '2 résultats');
+});
+
+test('translate falls back to the other form when a plural category is missing', () => {
+    assert.equal(translate(catalogs, 'fa', 'results', { count: 1 }), '۱ نتیجه');
+});
+
+test('formatMessage writes numbers the locale way', () => {
+    assert.equal(formatMessage('{count} months', { count: 1200 }, 'en'), '1,200 months');
+    assert.equal(formatMessage('{count}', { count: 12 }, 'fa'), '۱۲');
+    assert.equal(formatMessage('{count}', { count: '12' }, 'fa'), '12');
+});
+
+test('matchLocale matches languages and regional variants', () => {
+    assert.equal(matchLocale(['fr-CA', 'en']), 'fr');
+    assert.equal(matchLocale(['de', 'pa-IN']), 'pa');
+    assert.equal(matchLocale(['zh-TW']), 'zh-Hant');
+    assert.equal(matchLocale(['zh-Hant-HK']), 'zh-Hant');
+    assert.equal(matchLocale(['tl']), 'tl');
+    assert.equal(matchLocale(['fil-PH', 'en']), 'tl');
+});
+
+test('matchLocale skips Simplified Chinese and unknown languages', () => {
+    assert.equal(matchLocale(['zh-CN']), null);
+    assert.equal(matchLocale(['zh-Hans', 'fa-IR']), 'fa');
+    assert.equal(matchLocale(['de', 'ja']), null);
+    assert.equal(matchLocale(undefined), null);
+});
+
+test('getLocaleInfo falls back to the default locale', () => {
+    assert.equal(getLocaleInfo('fa').dir, 'rtl');
+    assert.equal(getLocaleInfo('xx').code, DEFAULT_LOCALE);
+});
+
+test('every locale has a catalog with the same keys and placeholders as English', () => {
+    const english = readCatalog(DEFAULT_LOCALE);
+    
+    for (const { code } of LOCALES) {
+        const catalog = readCatalog(code);
+        assert.deepEqual(Object.keys(catalog).sort(), Object.keys(english).sort(), `${code} keys`);
+        
+        for (const [key, message] of Object.entries(catalog)) {
+            if (typeof message === 'object') {
+                assert.equal(typeof message.other, 'string', `${code} ${key} needs an "other" form`);
+            }
+            assert.deepEqual(placeholders(message), placeholders(english[key]), `${code} ${key} placeholders`);
+        }
+    }
+});
+
+test('every catalog in locales/ is offered in the language picker', () => {
+    const catalogs = fs.readdirSync(LOCALES_DIR).filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, ''));
+    
+    assert.deepEqual(catalogs.sort(), LOCALES.map(locale => locale.code).sort());
+    assert.ok(catalogs.includes('tl'), 'Tagalog');
+});
+
+test('every audience in the content has its tab, panel and shortcut text', () => {
+    const english = readCatalog(DEFAULT_LOCALE);
+    const content = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'content.json'), 'utf8'));
+    
+    for (const audience of content.audiences) {
+        const keys = [
+            `tabs.${audience.id}`,
+            `panel.${audience.id}.title`,
+            `panel.${audience.id}.text`,
+            `shortcuts.action.${audience.id}Tab`
+        ];
+        if (audience.highlightSteps) keys.push(`panel.${audience.id}.relevantStep`);
+        
+        keys.forEach(key => assert.equal(typeof english[key], 'string', `${audience.id} needs "${key}"`));
+    }
+});
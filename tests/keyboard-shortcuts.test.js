@@ -0,0 +1,161 @@
+/**
+ * Unit tests for keyboard-shortcuts.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_SHORTCUTS,
+    getTabShortcutId,
+    getDefaultShortcuts,
+    getShortcutKey,
+    isSingleKey,
+    isReservedKey,
+    resolveShortcuts,
+    findShortcut,
+    assignShortcut,
+    getShortcutOverrides,
+    formatShortcutKey
+} = require('../keyboard-shortcuts.js');
+
+const keydown = (key, modifiers = {}) => ({ key, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers });
+
+// The audiences in data/content.json, in order
+const TABS = ['resident', 'tenant', 'developer', 'full'];
+
+test('getShortcutKey names keys with their modifiers', () => {
+    assert.equal(getShortcutKey(keydown('j')), 'j');
+    assert.equal(getShortcutKey(keydown('k', { ctrlKey: true })), 'Mod+k');
+    assert.equal(getShortcutKey(keydown('k', { metaKey: true })), 'Mod+k');
+    assert.equal(getShortcutKey(keydown('F2', { shiftKey: true, altKey: true })), 'Alt+Shift+F2');
+});
+
+test('getShortcutKey leaves Shift out of printable keys', () => {
+    assert.equal(getShortcutKey(keydown('?', { shiftKey: true })), '?');
+    assert.equal(getShortcutKey(keydown('J', { shiftKey: true })), 'J');
+});
+
+test('getShortcutKey ignores modifiers pressed on their own', () => {
+    assert.equal(getShortcutKey(keydown('Shift', { shiftKey: true })), null);
+    assert.equal(getShortcutKey(keydown('Control', { ctrlKey: true })), null);
+});
+
+test('isSingleKey is false only for Ctrl/Cmd and Alt combinations', () => {
+    assert.equal(isSingleKey('/'), true);
+    assert.equal(isSingleKey('+'), true);
+    assert.equal(isSingleKey('Shift+F2'), true);
+    assert.equal(isSingleKey('Mod+k'), false);
+    assert.equal(isSingleKey('Alt+j'), false);
+});
+
+test('isReservedKey protects navigation keys with or without modifiers', () => {
+    assert.equal(isReservedKey('Tab'), true);
+    assert.equal(isReservedKey('Shift+Tab'), true);
+    assert.equal(isReservedKey('Escape'), true);
+    assert.equal(isReservedKey(' '), true);
+    assert.equal(isReservedKey('j'), false);
+    assert.equal(isReservedKey('Mod++'), false);
+});
+
+test('getDefaultShortcuts gives the tabs number keys in the order they are shown', () => {
+    const defaults = getDefaultShortcuts(TABS);
+    
+    assert.equal(getTabShortcutId('tenant'), 'tenantTab');
+    assert.deepEqual(defaults, {
+        ...DEFAULT_SHORTCUTS,
+        residentTab: '1',
+        tenantTab: '2',
+        developerTab: '3',
+        fullTab: '4'
+    });
+    assert.deepEqual(getDefaultShortcuts(), DEFAULT_SHORTCUTS);
+});
+
+test('getDefaultShortcuts leaves tabs after the ninth without a key', () => {
+    const tabs = Array.from({ length: 10 }, (_, index) => `audience-${index + 1}`);
+    const defaults = getDefaultShortcuts(tabs);
+    
+    assert.equal(defaults['audience-9Tab'], '9');
+    assert.equal(defaults['audience-10Tab'], null);
+});
+
+test('resolveShortcuts starts from the defaults', () => {
+    assert.deepEqual(resolveShortcuts(), DEFAULT_SHORTCUTS);
+    assert.deepEqual(resolveShortcuts(null), DEFAULT_SHORTCUTS);
+});
+
+test('resolveShortcuts applies changes and turns off clashing defaults', () => {
+    const bindings = resolveShortcuts({ search: 'g', help: null });
+    
+    assert.equal(bindings.search, 'g');
+    assert.equal(bindings.help, null);
+    assert.equal(bindings.glossary, null);
+    assert.equal(bindings.nextStep, 'j');
+});
+
+test('resolveShortcuts ignores unknown ids and unusable keys', () => {
+    const defaults = getDefaultShortcuts(TABS);
+    const bindings = resolveShortcuts({ bogus: 'x', nextStep: 'Tab', previousStep: '', fullTab: 3 }, defaults);
+    
+    assert.deepEqual(bindings, defaults);
+    // Tabs are only known from the defaults they're resolved against
+    assert.deepEqual(resolveShortcuts({ tenantTab: 't' }), DEFAULT_SHORTCUTS);
+});
+
+test('resolveShortcuts moves tab keys like any other', () => {
+    const bindings = resolveShortcuts({ search: '2', developerTab: 'd' }, getDefaultShortcuts(TABS));
+    
+    assert.equal(bindings.search, '2');
+    assert.equal(bindings.tenantTab, null);
+    assert.equal(bindings.developerTab, 'd');
+    assert.equal(bindings.fullTab, '4');
+});
+
+test('findShortcut returns the id bound to a key', () => {
+    assert.equal(findShortcut(DEFAULT_SHORTCUTS, '?'), 'help');
+    assert.equal(findShortcut(DEFAULT_SHORTCUTS, 'x'), null);
+    assert.equal(findShortcut({ ...DEFAULT_SHORTCUTS, help: null }, null), null);
+});
+
+test('assignShortcut moves a key and reports the shortcut it displaced', () => {
+    const { bindings, displaced } = assignShortcut(DEFAULT_SHORTCUTS, 'search', 'j');
+    
+    assert.equal(bindings.search, 'j');
+    assert.equal(bindings.nextStep, null);
+    assert.equal(displaced, 'nextStep');
+    assert.equal(DEFAULT_SHORTCUTS.search, '/');
+});
+
+test('assignShortcut can turn a shortcut off or rebind the same key', () => {
+    assert.deepEqual(assignShortcut(DEFAULT_SHORTCUTS, 'help', null), {
+        bindings: { ...DEFAULT_SHORTCUTS, help: null },
+        displaced: null
+    });
+    assert.equal(assignShortcut(DEFAULT_SHORTCUTS, 'help', '?').displaced, null);
+});
+
+test('getShortcutOverrides keeps only what differs from the defaults', () => {
+    const { bindings } = assignShortcut(DEFAULT_SHORTCUTS, 'search', 'j');
+    
+    assert.deepEqual(getShortcutOverrides(DEFAULT_SHORTCUTS), {});
+    assert.deepEqual(getShortcutOverrides(bindings), { search: 'j', nextStep: null });
+    assert.deepEqual(resolveShortcuts(getShortcutOverrides(bindings)), bindings);
+});
+
+test('getShortcutOverrides compares tab keys with the defaults for the tabs', () => {
+    const defaults = getDefaultShortcuts(TABS);
+    const { bindings } = assignShortcut(defaults, 'fullTab', 'f');
+    
+    assert.deepEqual(getShortcutOverrides(defaults, defaults), {});
+    assert.deepEqual(getShortcutOverrides(bindings, defaults), { fullTab: 'f' });
+    assert.deepEqual(resolveShortcuts(getShortcutOverrides(bindings, defaults), defaults), bindings);
+});
+
+test('formatShortcutKey writes keys for the platform', () => {
+    assert.equal(formatShortcutKey('/'), '/');
+    assert.equal(formatShortcutKey('Mod+k'), 'Ctrl+K');
+    assert.equal(formatShortcutKey('Mod+k', { isMac: true }), '⌘K');
+    assert.equal(formatShortcutKey('Alt+Shift+F2'), 'Alt+Shift+F2');
+    assert.equal(formatShortcutKey('Mod++'), 'Ctrl++');
+});
@@ -0,0 +1,134 @@
+/**
+ * Interface tests for keyboard shortcuts (js/shortcuts.js); dialogs are in dialogs.test.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, pressKey } = require('./helpers/load-guide.js');
+
+test('/ moves focus to the search box', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    const event = pressKey(window, '/');
+    
+    assert.equal(window.document.activeElement.id, 'searchInput');
+    assert.equal(event.defaultPrevented, true);
+});
+
+test('single-key shortcuts are ignored while typing', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('searchInput').focus();
+    const event = pressKey(window, 'g');
+    
+    assert.equal(event.defaultPrevented, false);
+    assert.equal(document.getElementById('glossary').hidden, true);
+});
+
+test('g opens the glossary and number keys switch tabs', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    pressKey(window, '2');
+    assert.equal(document.querySelector('.tab[aria-selected="true"]').dataset.tab, 'tenant');
+    
+    pressKey(window, '3');
+    assert.equal(document.querySelector('.tab[aria-selected="true"]').dataset.tab, 'developer');
+    
+    pressKey(window, 'g');
+    assert.equal(document.getElementById('glossary').hidden, false);
+});
+
+test('j and k step through the timeline', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const buttons = [...document.querySelectorAll('.timeline-item .btn-expand')];
+    
+    pressKey(window, 'j', { target: document.body });
+    assert.equal(document.activeElement, buttons[0]);
+    pressKey(window, 'j');
+    assert.equal(document.activeElement, buttons[1]);
+    pressKey(window, 'k');
+    assert.equal(document.activeElement, buttons[0]);
+    pressKey(window, 'k');
+    assert.equal(document.activeElement, buttons[0]);
+});
+
+test('? lists the shortcuts and Escape closes the list', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const dialog = document.getElementById('shortcutsDialog');
+    
+    pressKey(window, '?', { target: document.body });
+    assert.equal(dialog.hidden, false);
+    assert.ok(dialog.querySelectorAll('tbody tr').length >= 8);
+    
+    pressKey(window, 'Escape');
+    assert.equal(dialog.hidden, true);
+});
+
+test('the number keys follow the tabs, in the order the content lists them', async t => {
+    const window = await loadGuide({
+        setup(window) {
+            // The same content with the audiences the other way round
+            const fetchFile = window.fetch;
+            window.fetch = async url => {
+                const response = await fetchFile(url);
+                if (!String(url).endsWith('data/content.json')) return response;
+                
+                const content = await response.json();
+                content.audiences.reverse();
+                return { ...response, json: async () => content };
+            };
+        }
+    });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const tabs = [...document.querySelectorAll('.tab')].map(tab => tab.dataset.tab);
+    assert.deepEqual(tabs, ['full', 'developer', 'tenant', 'resident']);
+    
+    const rows = [...document.querySelectorAll('#shortcutsList tr')].slice(-4)
+        .map(row => [row.dataset.shortcut, row.querySelector('kbd').textContent]);
+    assert.deepEqual(rows, [['fullTab', '1'], ['developerTab', '2'], ['tenantTab', '3'], ['residentTab', '4']]);
+    assert.equal(document.querySelector('#shortcutsList [data-shortcut="tenantTab"] th').textContent, 'Tenant perspective');
+    
+    pressKey(window, '4', { target: document.body });
+    assert.equal(document.querySelector('.tab[aria-selected="true"]').dataset.tab, 'resident');
+});
+
+test('page shortcuts wait while a dialog is open', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.getElementById('openDecisionTree').click();
+    pressKey(window, 'g');
+    pressKey(window, '3');
+    
+    assert.equal(document.getElementById('glossary').hidden, true);
+    assert.equal(document.querySelector('.tab[aria-selected="true"]').dataset.tab, 'resident');
+});
+
+test('remapped shortcuts are loaded from the last visit', async t => {
+    const window = await loadGuide({
+        storage: { rezoningGuideShortcuts: { version: 1, overrides: { glossary: 'x' } } }
+    });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    pressKey(window, 'g', { target: document.body });
+    assert.equal(document.getElementById('glossary').hidden, true);
+    
+    pressKey(window, 'x', { target: document.body });
+    assert.equal(document.getElementById('glossary').hidden, false);
+});
@@ -0,0 +1,103 @@
+/**
+ * Interface tests for notifications (js/notifications.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, wait } = require('./helpers/load-guide.js');
+
+function getToasts(window) {
+    return [...window.document.querySelectorAll('#toastStack .toast:not(.toast-leaving)')];
+}
+
+test('toasts show their severity and are read out through the shared live region', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    window.showNotification('Could not save', 'error');
+    
+    const [toast] = getToasts(window);
+    assert.ok(toast.classList.contains('toast-error'));
+    assert.equal(toast.querySelector('.toast-message').textContent, 'Error: Could not save');
+    assert.equal(window.document.querySelectorAll('#toastStack [aria-live], #toastStack [role="status"]').length, 0);
+    assert.equal(window.liveRegion.textContent, 'Error: Could not save');
+});
+
+test('at most three show at once and the rest wait their turn', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    const handles = ['One', 'Two', 'Three', 'Four'].map(message => window.showNotification(message));
+    assert.deepEqual(getToasts(window).map(toast => toast.querySelector('.toast-message').lastChild.textContent.trim()), ['One', 'Two', 'Three']);
+    
+    handles[0].dismiss();
+    assert.deepEqual(getToasts(window).map(toast => toast.querySelector('.toast-message').lastChild.textContent.trim()), ['Two', 'Three', 'Four']);
+});
+
+test('the same message again does not stack', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    window.showNotification('Link copied', 'success');
+    window.showNotification('Link copied', 'success');
+    assert.equal(getToasts(window).length, 1);
+});
+
+test('the dismiss button closes a toast', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    window.showNotification('Saved');
+    const [toast] = getToasts(window);
+    assert.equal(toast.querySelector('.toast-dismiss').getAttribute('aria-label'), 'Dismiss message');
+    
+    toast.querySelector('.toast-dismiss').click();
+    assert.equal(getToasts(window).length, 0);
+    await wait(350);
+    assert.equal(toast.isConnected, false);
+});
+
+test('an action button calls back and closes the toast', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    let undone = 0;
+    window.showNotification('Deleted', 'info', { action: { label: 'Undo', onClick: () => undone++ } });
+    
+    const action = getToasts(window)[0].querySelector('.toast-action');
+    assert.equal(action.textContent, 'Undo');
+    action.click();
+    assert.equal(undone, 1);
+    assert.equal(getToasts(window).length, 0);
+});
+
+test('toasts close by themselves, but not while the pointer is on them', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    window.showNotification('Short one', 'info', { duration: 50 });
+    const [toast] = getToasts(window);
+    toast.dispatchEvent(new window.MouseEvent('mouseenter'));
+    await wait(100);
+    assert.equal(getToasts(window).length, 1);
+    
+    toast.dispatchEvent(new window.MouseEvent('mouseleave'));
+    window.showNotification('Another', 'info', { duration: 50 });
+    await wait(100);
+    assert.deepEqual(getToasts(window), [toast]);
+});
+
+test('focus goes back where it was when a focused toast closes', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const search = document.getElementById('searchInput');
+    search.focus();
+    window.showNotification('Deleted', 'info', { action: { label: 'Undo', onClick: () => {} } });
+    getToasts(window)[0].querySelector('.toast-dismiss').focus();
+    
+    getToasts(window)[0].querySelector('.toast-dismiss').click();
+    assert.equal(document.activeElement, search);
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for pathway-comparison.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPathwayComparison, isSameValue } = require('../pathway-comparison.js');
+
+const STEPS = [
+    { id: 'before', title: 'Community Plans' },
+    { id: 'step1', title: 'Step 1: Enquiry' },
+    { id: 'step2', title: 'Step 2: Application' },
+    { id: 'step4', title: 'Step 4: Council Decision' }
+];
+
+function createPathway(id, publicHearing, steps, total = { min: 6, max: 12, unit: 'months' }) {
+    return {
+        id,
+        steps,
+        total,
+        comparison: { publicHearing, publicInput: 'Written comments', fees: 'Application fee' }
+    };
+}
+
+const PATHWAYS = [
+    createPathway('fast-track', 'no', [
+        { id: 'step2' },
+        { id: 'step4', note: 'Council meeting', duration: { min: 2, max: 4, unit: 'weeks' } }
+    ]),
+    createPathway('full-process', 'yes', [
+        { id: 'step1', note: 'Enquiry required' },
+        { id: 'step2' },
+        { id: 'step4', note: 'Public hearing', duration: { min: 4, max: 8, unit: 'weeks' } }
+    ])
+];
+
+const rowIds = rows => rows.map(row => row.step || row.id);
+
+test('rows run from the public hearing through the steps to fees', () => {
+    const rows = buildPathwayComparison(PATHWAYS, STEPS);
+    
+    assert.deepEqual(rowIds(rows), ['publicHearing', 'step1', 'step2', 'step4', 'total', 'publicInput', 'fees']);
+    assert.equal(rows[1].title, 'Step 1: Enquiry');
+    rows.forEach(row => assert.equal(row.cells.length, PATHWAYS.length));
+});
+
+test('steps no pathway goes through are left out, and skipped steps are null', () => {
+    const rows = buildPathwayComparison(PATHWAYS, STEPS);
+    const step1 = rows.find(row => row.step === 'step1');
+    
+    assert.equal(rows.some(row => row.step === 'before'), false);
+    assert.deepEqual(step1.cells, [null, { note: 'Enquiry required', duration: null }]);
+});
+
+test('rows are marked where the pathways differ', () => {
+    const differs = Object.fromEntries(buildPathwayComparison(PATHWAYS, STEPS).map(row => [row.step || row.id, row.differs]));
+    
+    assert.deepEqual(differs, {
+        publicHearing: true,
+        step1: true,
+        step2: false,
+        step4: true,
+        total: false,
+        publicInput: false,
+        fees: false
+    });
+});
+
+test('a single pathway differs from nothing', () => {
+    const rows = buildPathwayComparison(PATHWAYS.slice(0, 1), STEPS);
+    assert.equal(rows.some(row => row.differs), false);
+});
+
+test('isSameValue compares plain data deeply, ignoring key order', () => {
+    assert.equal(isSameValue({ min: 2, max: 4, unit: 'weeks' }, { unit: 'weeks', max: 4, min: 2 }), true);
+    assert.equal(isSameValue({ min: 2, max: 4 }, { min: 2, max: 4, likely: 3 }), false);
+    assert.equal(isSameValue({ steps: ['a'] }, { steps: ['a'] }), true);
+    assert.equal(isSameValue(null, { min: 1 }), false);
+    assert.equal(isSameValue('yes', 'yes'), true);
+});
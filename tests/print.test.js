@@ -0,0 +1,84 @@
+/**
+ * Interface tests for printing the whole guide (js/print.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide } = require('./helpers/load-guide.js');
+
+function print(window, type) {
+    window.dispatchEvent(new window.Event(type));
+}
+
+test('printing opens every step\'s details and puts them back afterwards', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('.btn-expand[aria-controls="detail-step2"]').click();
+    
+    print(window, 'beforeprint');
+    assert.ok(document.body.classList.contains('printing-guide'));
+    assert.equal(document.querySelectorAll('.detail-panel[hidden]').length, 0);
+    
+    print(window, 'afterprint');
+    assert.equal(document.body.classList.contains('printing-guide'), false);
+    const open = [...document.querySelectorAll('.detail-panel:not([hidden])')].map(panel => panel.id);
+    assert.deepEqual(open, ['detail-step2']);
+    assert.equal(document.querySelector('.btn-expand[aria-controls="detail-step2"]').getAttribute('aria-expanded'), 'true');
+    assert.equal(document.getElementById('printContents').innerHTML, '');
+    assert.equal(document.getElementById('printAppendix').innerHTML, '');
+});
+
+test('only the current perspective\'s content is printed', async t => {
+    const window = await loadGuide({ hash: '#developer' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    print(window, 'beforeprint');
+    
+    const tenantOnly = [...document.querySelectorAll('#detailPanels [data-show-for]')]
+        .filter(element => !element.dataset.showFor.split(' ').includes('developer'));
+    assert.ok(tenantOnly.length > 0);
+    assert.ok(tenantOnly.every(element => element.hidden));
+    assert.match(document.getElementById('printContents').textContent, /Printed for the "I'm a Developer" view/);
+});
+
+test('the printed guide has contents, a decision flowchart and the glossary', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    print(window, 'beforeprint');
+    
+    const contents = [...document.querySelectorAll('#printContents a')].map(link => link.getAttribute('href'));
+    assert.deepEqual(contents, [
+        '#timeline-title',
+        '#detail-before', '#detail-step1', '#detail-step2', '#detail-step3', '#detail-step4', '#detail-step5', '#detail-after',
+        '#printFlowchart',
+        '#printGlossary'
+    ]);
+    contents.forEach(href => assert.ok(document.querySelector(href), href));
+    
+    const first = document.querySelector('#printFlowchart .flowchart-question');
+    assert.equal(first.querySelector('h3').textContent, 'Question 1');
+    assert.match(first.querySelector('.flowchart-branches').textContent, /Yes → go to question 2/);
+    assert.match(first.querySelector('.flowchart-branches').textContent, /No → result: Full Process Path/);
+    
+    const glossary = window.eval('guideContent.glossary');
+    assert.equal(document.querySelectorAll('#printGlossary dt').length, glossary.length);
+});
+
+test('printing a pathway summary leaves the guide as it is', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.body.classList.add('printing-pathway-summary');
+    print(window, 'beforeprint');
+    
+    assert.equal(document.body.classList.contains('printing-guide'), false);
+    assert.equal(document.querySelectorAll('.detail-panel:not([hidden])').length, 0);
+    assert.equal(document.getElementById('printAppendix').innerHTML, '');
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for the progress tracker's saved and imported projects (js/projects.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, wait } = require('./helpers/load-guide.js');
+
+const STORAGE_KEY = 'rezoningGuideProjects';
+const EXPORT_FORMAT = 'vancouver-rezoning-guide-projects';
+
+const PROJECT = {
+    id: 'project-1',
+    name: 'Main Street',
+    createdOn: '2026-01-05T10:00:00.000Z',
+    steps: {
+        step1: { done: true, date: '2026-02-01', note: 'Enquiry letter received' },
+        step2: { done: false, date: '', note: '' }
+    }
+};
+
+// Values from the page's window, as plain Node values for deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Just enough of a File for importProjects
+function jsonFile(data, name = 'projects.json') {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return { name, text: async () => text };
+}
+
+function exportFile(projects, overrides = {}) {
+    return jsonFile(Object.assign({ format: EXPORT_FORMAT, version: 1, projects }, overrides));
+}
+
+// Keep downloads in memory
+function captureDownloads(window) {
+    const downloads = [];
+    window.downloadFile = (fileName, contents, mimeType) => downloads.push({ fileName, contents, mimeType });
+    return downloads;
+}
+
+function getToasts(document) {
+    return Array.from(document.querySelectorAll('#toastStack .toast'), toast => toast.textContent.replace(/\s+/g, ' ').trim());
+}
+
+test('well-formed projects are kept as they are', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    assert.deepEqual(plain(window.sanitizeProjects([PROJECT])), [PROJECT]);
+});
+
+test('anything that isn\'t a list of projects gives no projects', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    [null, undefined, 'projects', 42, { projects: [PROJECT] }].forEach(value => {
+        assert.deepEqual(plain(window.sanitizeProjects(value)), [], String(value));
+    });
+});
+
+test('malformed projects and steps are dropped, and values outside the rules are fixed', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    const projects = window.sanitizeProjects([
+        null,
+        'Main Street',
+        { id: 7, name: 'Numeric id' },
+        { id: '', name: 'Empty id' },
+        { id: 'no-name' },
+        { id: 'blank-name', name: '   ' },
+        { id: 'project-1', name: '  Main Street  ', createdOn: 12, steps: [{ done: true }] },
+        { id: 'project-1', name: 'Same id again' },
+        {
+            id: 'project-2',
+            name: 'x'.repeat(500),
+            steps: {
+                step1: { done: 'yes', date: '2026-02-30', note: 'n'.repeat(2000) },
+                removed: { done: true },
+                step2: 'done',
+                step3: { done: true, date: '2026-03-01', note: 12 }
+            }
+        }
+    ]);
+    
+    assert.deepEqual(plain(projects.map(project => project.id)), ['project-1', 'project-2']);
+    
+    assert.equal(projects[0].name, 'Main Street');
+    assert.equal(typeof projects[0].createdOn, 'string');
+    assert.deepEqual(plain(projects[0].steps), {});
+    
+    assert.equal(projects[1].name.length, 80);
+    assert.deepEqual(plain(Object.keys(projects[1].steps)), ['step1', 'step3']);
+    assert.deepEqual(plain(projects[1].steps.step1), { done: false, date: '', note: 'n'.repeat(500) });
+    assert.deepEqual(plain(projects[1].steps.step3), { done: true, date: '2026-03-01', note: '' });
+});
+
+test('saved projects load, and saves in another format or version are ignored', async t => {
+    const saved = { version: 1, activeProjectId: 'project-1', projects: [PROJECT] };
+    
+    const window = await loadGuide({ storage: { [STORAGE_KEY]: saved } });
+    t.after(() => window.close());
+    
+    assert.deepEqual(plain(window.loadProjects()), { projects: [PROJECT], activeProjectId: 'project-1' });
+    
+    const empty = { projects: [], activeProjectId: null };
+    const cases = [
+        JSON.stringify(Object.assign({}, saved, { version: 2 })),
+        JSON.stringify({ projects: [PROJECT] }),
+        JSON.stringify(null),
+        JSON.stringify(Object.assign({}, saved, { activeProjectId: 'missing' })),
+        '{"version": 1, "projects": ['
+    ];
+    cases.forEach((stored, index) => {
+        window.localStorage.setItem(STORAGE_KEY, stored);
+        const loaded = plain(window.loadProjects());
+        assert.deepEqual(loaded, index === 3 ? { projects: [PROJECT], activeProjectId: null } : empty, stored);
+    });
+});
+
+test('corrupt saved projects don\'t stop the guide from starting', async t => {
+    const window = await loadGuide({
+        setup(window) {
+            window.localStorage.setItem(STORAGE_KEY, '{"version": 1, "projects": [{"id": ');
+        }
+    });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.querySelector('.tab[aria-selected="true"]').dataset.tab, 'resident');
+    assert.equal(window.eval('state.projects.length'), 0);
+    assert.equal(document.querySelectorAll('#projectSteps .project-step').length, 7);
+});
+
+test('files that aren\'t a project export from this guide are refused', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const files = [
+        jsonFile('not json at all', 'notes.txt'),
+        jsonFile({ projects: [PROJECT] }, 'other-app.json'),
+        exportFile([PROJECT], { format: 'someone-else' }),
+        exportFile([PROJECT], { version: 2 }),
+        jsonFile('null', 'null.json')
+    ];
+    for (const file of files) {
+        await window.importProjects(file);
+    }
+    
+    assert.equal(window.eval('state.projects.length'), 0);
+    assert.equal(window.localStorage.getItem(STORAGE_KEY), null);
+    assert.match(getToasts(document).join('\n'), /notes\.txt/);
+});
+
+test('an export with no usable projects imports nothing', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    await window.importProjects(exportFile([{ id: 'x' }, 'y'], {}));
+    
+    assert.equal(window.eval('state.projects.length'), 0);
+    assert.equal(getToasts(document).length, 1);
+});
+
+test('imported projects replace ones with the same id and come back out of an export unchanged', async t => {
+    const window = await loadGuide({
+        storage: { [STORAGE_KEY]: { version: 1, activeProjectId: 'project-1', projects: [Object.assign({}, PROJECT, { name: 'Old name' })] } }
+    });
+    t.after(() => window.close());
+    const downloads = captureDownloads(window);
+    
+    const second = { id: 'project-2', name: 'Oak Street', createdOn: '2026-03-01T00:00:00.000Z', steps: {} };
+    await window.importProjects(exportFile([PROJECT, second]));
+    
+    assert.deepEqual(plain(window.eval('state.projects.map(project => project.name)')), ['Main Street', 'Oak Street']);
+    assert.equal(window.eval('state.activeProjectId'), 'project-1');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem(STORAGE_KEY)).projects, [PROJECT, second]);
+    
+    window.exportProjects();
+    
+    assert.equal(downloads.length, 1);
+    assert.match(downloads[0].fileName, /^rezoning-projects-\d{4}-\d{2}-\d{2}\.json$/);
+    assert.equal(downloads[0].mimeType, 'application/json');
+    
+    const exported = JSON.parse(downloads[0].contents);
+    assert.equal(exported.format, EXPORT_FORMAT);
+    assert.equal(exported.version, 1);
+    assert.deepEqual(exported.projects, [PROJECT, second]);
+    
+    // And into a browser that had none
+    const other = await loadGuide();
+    t.after(() => other.close());
+    await other.importProjects(jsonFile(downloads[0].contents));
+    await wait(0);
+    
+    assert.deepEqual(plain(other.eval('state.projects')), [PROJECT, second]);
+    assert.equal(other.eval('state.activeProjectId'), 'project-1');
+});
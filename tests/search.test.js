@@ -0,0 +1,163 @@
+/**
+ * Interface tests for site search (js/search.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, wait, pressKey } = require('./helpers/load-guide.js');
+
+const SEARCH_DELAY = 250;   // Just over the search box's typing delay
+
+function search(window, query) {
+    return [...window.eval(`searchContent(${JSON.stringify(query)})`)].map(result => result.target);
+}
+
+// Searches recorded for analytics (see trackSearch), which waits a second for typing to settle
+const ANALYTICS_SEARCH_WAIT = 1100;
+
+function captureSearchEvents(window) {
+    const events = [];
+    window.trackEvent = (name, properties) => {
+        if (name === 'search') events.push(JSON.parse(JSON.stringify(properties)));
+    };
+    return events;
+}
+
+async function typeSearch(window, query) {
+    const input = window.document.getElementById('searchInput');
+    input.focus();
+    input.value = query;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    await wait(SEARCH_DELAY);
+    return input;
+}
+
+test('searchContent ranks the best match first across steps, terms and pathways', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    const results = window.eval('searchContent("public hearing")');
+    assert.equal(results[0].target, 'glossary-public-hearing');
+    assert.deepEqual(new Set([...results].map(result => result.type)), new Set(['glossary', 'step', 'pathway']));
+    
+    const scores = [...results].map(result => result.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('searchContent matches word forms and keywords', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    assert.equal(search(window, 'hearings')[0], 'glossary-public-hearing');
+    assert.equal(search(window, 'CAC')[0], 'glossary-cac');
+    assert.equal(search(window, 'amenity')[0], 'glossary-cac');
+    assert.deepEqual(search(window, 'zzzz'), []);
+    assert.deepEqual(search(window, '   '), []);
+});
+
+test('typing lists the results and announces how many were found', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const input = await typeSearch(window, 'cac');
+    
+    assert.equal(document.getElementById('searchResults').hidden, false);
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.querySelectorAll('#searchResultsList [role="option"]').length, 2);
+    assert.match(document.getElementById('searchResultsStatus').textContent, /2/);
+    assert.equal(window.liveRegion.textContent, document.getElementById('searchResultsStatus').textContent);
+});
+
+test('a search with no matches says so', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    await typeSearch(window, 'zzzz');
+    
+    assert.equal(document.querySelectorAll('#searchResultsList [role="option"]').length, 0);
+    assert.match(document.getElementById('searchResultsStatus').textContent, /zzzz/);
+});
+
+test('arrow keys pick a result and Enter opens it', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const input = await typeSearch(window, 'cac');
+    
+    pressKey(window, 'ArrowDown');
+    assert.equal(input.getAttribute('aria-activedescendant'), 'search-result-0');
+    pressKey(window, 'ArrowDown');
+    assert.equal(input.getAttribute('aria-activedescendant'), 'search-result-1');
+    pressKey(window, 'ArrowDown');
+    assert.equal(input.getAttribute('aria-activedescendant'), 'search-result-0');
+    
+    pressKey(window, 'Enter');
+    
+    assert.equal(document.getElementById('searchResults').hidden, true);
+    assert.equal(document.getElementById('glossary').hidden, false);
+    assert.ok(document.getElementById('glossary-cac').classList.contains('search-highlight'));
+    assert.ok(document.querySelector('#glossary-cac mark.search-mark'));
+});
+
+test('opening a step result expands its panel', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const result = [...window.eval('searchContent("cac")')].find(item => item.type === 'step');
+    window.openSearchResult(result);
+    
+    assert.equal(document.getElementById(result.target).hidden, false);
+    assert.equal(document.activeElement, document.querySelector(`#${result.target} h3, #${result.target} h4`));
+});
+
+test('Escape closes the results and keeps the query', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const input = await typeSearch(window, 'permit');
+    pressKey(window, 'Escape');
+    
+    assert.equal(document.getElementById('searchResults').hidden, true);
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+    assert.equal(input.value, 'permit');
+});
+
+test('searches from a shared link and the search button are recorded, with no matches too', async t => {
+    const window = await loadGuide({ hash: '?q=zzzz' });
+    t.after(() => window.close());
+    const { document } = window;
+    const events = captureSearchEvents(window);
+    
+    await wait(ANALYTICS_SEARCH_WAIT);
+    assert.deepEqual(events, [{ query: 'zzzz', results: 0 }]);
+    
+    document.getElementById('searchInput').value = 'CAC';
+    document.getElementById('searchBtn').click();
+    await wait(ANALYTICS_SEARCH_WAIT);
+    assert.deepEqual(events.slice(1), [{ query: 'cac', results: 2 }]);
+});
+
+test('typing a search and then pressing Enter records it once', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const events = captureSearchEvents(window);
+    
+    // Enter after the typed search was recorded
+    await typeSearch(window, 'hearing');
+    await wait(ANALYTICS_SEARCH_WAIT);
+    pressKey(window, 'Enter');
+    await wait(ANALYTICS_SEARCH_WAIT);
+    assert.deepEqual(events.map(event => event.query), ['hearing']);
+    
+    // Enter before it was
+    await typeSearch(window, 'cac');
+    pressKey(window, 'Enter');
+    await wait(ANALYTICS_SEARCH_WAIT);
+    assert.deepEqual(events.map(event => event.query), ['hearing', 'cac']);
+});
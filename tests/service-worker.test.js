@@ -0,0 +1,69 @@
+/**
+ * Unit tests for service-worker.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+    PRECACHE_URLS,
+    FONT_AWESOME_CDN,
+    getLocalFontAwesomePath
+} = require('../service-worker.js');
+const { LOCALES } = require('../i18n.js');
+
+const ROOT = path.join(__dirname, '..');
+const indexHtml = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Local files index.html loads: scripts, stylesheets, the manifest and icons
+function getPageAssets(html) {
+    const urls = [...html.matchAll(/<(?:script|link)\b[^>]*?\b(?:src|href)="([^"]+)"/g)]
+        .map(match => match[1]);
+    const fallbacks = [...html.matchAll(/data-local-fallback="([^"]+)"/g)].map(match => match[1]);
+    
+    return urls.concat(fallbacks).filter(url => !/^https?:/.test(url));
+}
+
+test('every precached file exists', () => {
+    PRECACHE_URLS.filter(url => url !== './').forEach(url => {
+        assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} is missing`);
+    });
+});
+
+test('everything the page loads is precached', () => {
+    const assets = getPageAssets(indexHtml);
+    
+    assert.ok(assets.includes('script.js'));
+    assets.forEach(url => {
+        assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`);
+    });
+});
+
+test('every locale catalog is precached', () => {
+    LOCALES.forEach(({ code }) => {
+        assert.ok(PRECACHE_URLS.includes(`locales/${code}.json`), `locales/${code}.json is not precached`);
+    });
+});
+
+test('the Font Awesome stylesheet comes from the CDN the service worker maps', () => {
+    assert.ok(indexHtml.includes(`href="${FONT_AWESOME_CDN}css/all.min.css"`));
+    assert.ok(PRECACHE_URLS.includes(getLocalFontAwesomePath(`${FONT_AWESOME_CDN}css/all.min.css`)));
+});
+
+test('getLocalFontAwesomePath maps CDN files to the local copy', () => {
+    assert.equal(
+        getLocalFontAwesomePath(`${FONT_AWESOME_CDN}webfonts/fa-solid-900.woff2`),
+        'vendor/fontawesome/webfonts/fa-solid-900.woff2'
+    );
+    assert.equal(
+        getLocalFontAwesomePath(`${FONT_AWESOME_CDN}css/all.min.css?v=1`),
+        'vendor/fontawesome/css/all.min.css'
+    );
+});
+
+test('getLocalFontAwesomePath ignores other URLs', () => {
+    assert.equal(getLocalFontAwesomePath('https://example.com/styles.css'), null);
+    assert.equal(getLocalFontAwesomePath('https://cdnjs.cloudflare.com/ajax/libs/font-awesome/5.0.0/css/all.min.css'), null);
+});
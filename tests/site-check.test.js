@@ -0,0 +1,111 @@
+/**
+ * Interface tests for looking up a site in the decision tree (js/site-check.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, wait } = require('./helpers/load-guide.js');
+
+async function openTree() {
+    const window = await loadGuide();
+    window.document.getElementById('openDecisionTree').click();
+    return window;
+}
+
+function getActiveNode(document) {
+    return document.querySelector('#decisionTreeModal .active').dataset.node;
+}
+
+// Look up a site from the form in the current question or result
+async function lookUp(window, query) {
+    const form = window.document.querySelector('#decisionTreeModal .active .site-lookup');
+    form.querySelector('input').value = query;
+    form.querySelector('button[type="submit"]').click();
+    await wait(50);
+    return form.querySelector('.site-lookup-result');
+}
+
+test('an address in an ODP area names the plan and answers Yes', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const result = await lookUp(window, '750 W Georgia St');
+    assert.equal(result.hidden, false);
+    assert.match(result.textContent, /750 West Georgia Street is in the DD zoning district \(Downtown District\)\./);
+    assert.match(result.textContent, /the Downtown Official Development Plan/);
+    assert.equal(window.liveRegion.textContent.startsWith('750 West Georgia Street is in the DD zoning district'), true);
+    
+    result.querySelector('.site-lookup-answer').click();
+    assert.equal(getActiveNode(document), 'residential');
+    assert.deepEqual([...window.eval('state.decisionTreeHistory')].map(entry => [entry.nodeId, entry.answer]), [['odp', 'yes']]);
+});
+
+test('a district outside any ODP answers No, and lists community plans', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const result = await lookUp(window, 'c-3a');
+    assert.match(result.textContent, /C-3A is the Commercial District \(Broadway\)\./);
+    assert.match(result.textContent, /isn't in an Official Development Plan area/);
+    assert.match(result.textContent, /Community plans that also apply: Broadway Plan/);
+    assert.match(result.querySelector('.site-lookup-answer').textContent, /Answer "No" and continue/);
+    
+    result.querySelector('.site-lookup-answer').click();
+    assert.equal(getActiveNode(document), 'full-process');
+});
+
+test('"Not sure" leads to the lookup, which replaces that answer', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('#decisionTreeModal .active .btn-decision[data-answer="unsure"]').click();
+    assert.equal(getActiveNode(document), 'check-odp');
+    
+    const result = await lookUp(window, '900 Pacific Blvd');
+    assert.match(result.textContent, /False Creek North Official Development Plan/);
+    
+    result.querySelector('.site-lookup-answer').click();
+    assert.equal(getActiveNode(document), 'residential');
+    assert.deepEqual([...window.eval('state.decisionTreeHistory')].map(entry => entry.answer), ['yes']);
+});
+
+test('sites that are not in the data say so, without an answer', async t => {
+    const window = await openTree();
+    t.after(() => window.close());
+    
+    const result = await lookUp(window, '123 Nowhere Lane');
+    assert.match(result.textContent, /"123 Nowhere Lane" isn't in the site data saved with this guide/);
+    assert.match(result.textContent, /Site data updated 2025-06-01\./);
+    assert.equal(result.querySelector('.site-lookup-answer'), null);
+    
+    const empty = await lookUp(window, '  ');
+    assert.equal(empty.textContent.trim(), 'Enter an address or a zoning district code.');
+    assert.equal(window.document.activeElement, empty.closest('form').querySelector('input'));
+});
+
+test('a malformed site lookup in the content is reported rather than thrown', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    
+    const schema = await (await window.fetch('data/content.schema.json')).json();
+    const content = JSON.parse(JSON.stringify(window.eval('guideContent')));
+    const check = siteLookup => {
+        content.decisionTree.siteLookup = siteLookup;
+        return JSON.parse(JSON.stringify(
+            window.validateAgainstSchema(content, schema).concat(window.validateContentRules(content))
+        ));
+    };
+    
+    const missingAnswers = check({ question: 'odp', showOn: ['odp'] });
+    assert.ok(missingAnswers.some(error => /siteLookup.*answers/.test(error)), missingAnswers.join('\n'));
+    
+    const showOnText = check({ question: 'odp', answers: { inOdp: 'yes', outsideOdp: 'no' }, showOn: 'odp' });
+    assert.ok(showOnText.some(error => /siteLookup\.showOn/.test(error)), showOnText.join('\n'));
+    
+    const answersList = check({ question: 'odp', answers: ['yes', 'no'], showOn: ['odp'] });
+    assert.ok(answersList.some(error => /siteLookup\.answers/.test(error)), answersList.join('\n'));
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for site-lookup.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeDistrictCode,
+    normalizeStreetName,
+    parseAddress,
+    lookupSite,
+    validateSiteData
+} = require('../site-lookup.js');
+
+const SITES = {
+    plans: [
+        { id: 'downtown-odp', type: 'odp', name: 'Downtown Official Development Plan' },
+        { id: 'broadway-plan', type: 'community-plan', name: 'Broadway Plan' },
+        { id: 'west-end-plan', type: 'community-plan', name: 'West End Community Plan' }
+    ],
+    districts: [
+        { code: 'DD', name: 'Downtown District', plans: ['downtown-odp'] },
+        { code: 'RT-7', name: 'Two-Family Dwelling District' },
+        { code: 'C-3A', name: 'Commercial District', plans: ['broadway-plan'] }
+    ],
+    addresses: [
+        { street: 'West Georgia Street', from: 600, to: 899, district: 'DD', plans: ['west-end-plan'] },
+        { street: 'West Broadway', from: 1000, to: 1999, district: 'C-3A', plans: ['broadway-plan'] }
+    ]
+};
+
+test('district codes match however they are typed', () => {
+    assert.equal(normalizeDistrictCode(' rt-7 '), 'RT7');
+    assert.equal(normalizeDistrictCode('RT 7'), 'RT7');
+    assert.equal(normalizeDistrictCode('C-3A'), 'C3A');
+});
+
+test('street names are written out in full', () => {
+    assert.equal(normalizeStreetName('W. Georgia St'), 'west georgia street');
+    assert.equal(normalizeStreetName('West  Georgia Street'), 'west georgia street');
+    assert.equal(normalizeStreetName("King Edward Ave"), 'king edward avenue');
+});
+
+test('addresses give their civic number and street, without unit or city', () => {
+    assert.deepEqual(parseAddress('750 W Georgia St'), { number: 750, street: 'west georgia street' });
+    assert.deepEqual(parseAddress('#301-750 West Georgia Street, Vancouver, BC'), { number: 750, street: 'west georgia street' });
+    assert.deepEqual(parseAddress('1205A West Broadway'), { number: 1205, street: 'west broadway' });
+    assert.equal(parseAddress('RT-7'), null);
+    assert.equal(parseAddress('West Georgia Street'), null);
+});
+
+test('a district code finds its district and plans', () => {
+    const site = lookupSite('dd', SITES);
+    
+    assert.equal(site.kind, 'district');
+    assert.equal(site.district.code, 'DD');
+    assert.deepEqual(site.plans.map(plan => plan.id), ['downtown-odp']);
+    assert.equal(site.inOdp, true);
+    
+    const outside = lookupSite('RT7', SITES);
+    assert.equal(outside.district.code, 'RT-7');
+    assert.deepEqual(outside.plans, []);
+    assert.equal(outside.inOdp, false);
+});
+
+test('an address finds its block, with the district\'s plans and its own', () => {
+    const site = lookupSite('750 W Georgia St', SITES);
+    
+    assert.equal(site.kind, 'address');
+    assert.deepEqual(site.address, { number: 750, street: 'West Georgia Street' });
+    assert.equal(site.district.code, 'DD');
+    assert.deepEqual(site.plans.map(plan => plan.id), ['downtown-odp', 'west-end-plan']);
+    assert.equal(site.inOdp, true);
+    
+    // A plan listed on both the district and the block is only given once
+    assert.deepEqual(lookupSite('1500 West Broadway', SITES).plans.map(plan => plan.id), ['broadway-plan']);
+});
+
+test('sites outside the data are not found', () => {
+    assert.equal(lookupSite('950 W Georgia St', SITES), null);
+    assert.equal(lookupSite('750 East Georgia Street', SITES), null);
+    assert.equal(lookupSite('RS-1', SITES), null);
+    assert.equal(lookupSite('   ', SITES), null);
+});
+
+test('site data with broken references is reported', () => {
+    const errors = validateSiteData({
+        plans: [{ id: 'a', type: 'odp', name: 'A' }, { id: 'a', type: 'odp', name: 'A again' }],
+        districts: [{ code: 'RT-7', name: 'Two-Family', plans: ['missing'] }, { code: 'RT7', name: 'Repeat' }],
+        addresses: [{ street: 'Main Street', from: 200, to: 100, district: 'RM-4' }]
+    });
+    
+    assert.deepEqual(errors, [
+        'sites.plans: plan id "a" is used more than once',
+        'sites.districts: district code "RT7" is used more than once',
+        'sites.districts[0].plans[0]: plan "missing" does not exist',
+        'sites.addresses[0].district: district "RM-4" does not exist',
+        'sites.addresses[0]: "from" (200) is greater than "to" (100)'
+    ]);
+});
+
+test('the site data saved with the guide is valid', () => {
+    assert.deepEqual(validateSiteData(require('../data/sites.json')), []);
+});
@@ -0,0 +1,119 @@
+/**
+ * Interface tests for the step navigator and scroll-spy (js/timeline.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, pressKey, wait } = require('./helpers/load-guide.js');
+
+// jsdom doesn't lay anything out, so tests say which steps are in view
+function installIntersectionObserver(window) {
+    window.IntersectionObserver = class {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options;
+            this.targets = [];
+            window.stepObserver = this;
+        }
+        
+        observe(target) {
+            this.targets.push(target);
+        }
+        
+        disconnect() {
+            this.targets = [];
+        }
+    };
+}
+
+function showSteps(window, stepIds) {
+    const observer = window.stepObserver;
+    observer.callback(observer.targets.map(target => {
+        const isIntersecting = stepIds.includes(target.dataset.step);
+        return { target, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 };
+    }), observer);
+}
+
+const currentLink = document => document.querySelector('.step-nav-link[aria-current="step"]');
+
+test('the navigator lists every step, starting on the first', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const labels = [...document.querySelectorAll('.step-nav-link')].map(link => link.textContent.trim());
+    assert.deepEqual(labels, ['Before Rezoning', 'Step 1', 'Step 2', 'Step 3', 'Step 4', 'Step 5', 'After Rezoning']);
+    
+    assert.equal(currentLink(document).dataset.step, 'before');
+    assert.equal(document.querySelectorAll('.step-nav-link[tabindex="0"]').length, 1);
+    assert.ok(document.querySelector('.timeline-item[data-step="before"]').classList.contains('is-in-view'));
+});
+
+test('the step scrolled into view is marked and read out once scrolling stops', async t => {
+    const window = await loadGuide({ setup: installIntersectionObserver });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(window.stepObserver.options.root, document.getElementById('timelineSteps'));
+    assert.equal(window.stepObserver.targets.length, 7);
+    
+    showSteps(window, ['step2', 'step3', 'step4']);
+    showSteps(window, ['step3', 'step4', 'step5']);
+    
+    assert.equal(currentLink(document).dataset.step, 'step3');
+    assert.ok(document.querySelector('.timeline-item[data-step="step3"]').classList.contains('is-in-view'));
+    assert.equal(document.querySelectorAll('.timeline-item.is-in-view').length, 1);
+    assert.deepEqual(
+        [...document.querySelectorAll('.step-nav-link.is-passed')].map(link => link.dataset.step),
+        ['before', 'step1', 'step2']
+    );
+    
+    assert.equal(window.liveRegion.textContent, '');
+    await wait(600);
+    assert.equal(window.liveRegion.textContent, 'Step 3: Report Writing, step 4 of 7');
+});
+
+test('choosing a step goes to it, and it stays current while it is in view', async t => {
+    const window = await loadGuide({ setup: installIntersectionObserver });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('.step-nav-link[data-step="after"]').click();
+    assert.equal(currentLink(document).dataset.step, 'after');
+    assert.equal(window.liveRegion.textContent, 'Development & Building Permit, step 7 of 7');
+    
+    // The last step can't scroll to the start of the timeline, so earlier ones show first
+    showSteps(window, ['step4', 'step5', 'after']);
+    assert.equal(currentLink(document).dataset.step, 'after');
+    
+    showSteps(window, ['step1', 'step2']);
+    assert.equal(currentLink(document).dataset.step, 'step1');
+});
+
+test('arrow keys, Home and End move between steps', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    currentLink(document).focus();
+    
+    pressKey(window, 'ArrowRight');
+    assert.equal(document.activeElement.dataset.step, 'step1');
+    assert.equal(currentLink(document), document.activeElement);
+    assert.equal(window.liveRegion.textContent, 'Step 1: Pre-application & Enquiry, step 2 of 7');
+    
+    pressKey(window, 'End');
+    assert.equal(document.activeElement.dataset.step, 'after');
+    
+    // No wrapping around at the ends
+    pressKey(window, 'ArrowRight');
+    assert.equal(document.activeElement.dataset.step, 'after');
+    
+    pressKey(window, 'ArrowLeft');
+    assert.equal(document.activeElement.dataset.step, 'step5');
+    
+    pressKey(window, 'Home');
+    assert.equal(document.activeElement.dataset.step, 'before');
+    assert.equal(document.activeElement.tabIndex, 0);
+});
@@ -0,0 +1,205 @@
+/**
+ * Interface tests for the perspective tabs (js/tabs.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide, pressKey, wait } = require('./helpers/load-guide.js');
+
+const visible = (document, selector) => [...document.querySelectorAll(selector)].filter(el => !el.hidden);
+const shownFor = id => `[data-show-for~="${id}"]`;
+
+function getSelectedTab(document) {
+    return document.querySelector('.tab[aria-selected="true"]').dataset.tab;
+}
+
+test('the guide opens on the resident perspective', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(getSelectedTab(document), 'resident');
+    assert.equal(document.getElementById('resident-panel').hidden, false);
+    assert.equal(document.getElementById('developer-panel').hidden, true);
+    assert.ok(visible(document, shownFor('resident')).length > 0);
+    assert.equal(visible(document, shownFor('developer')).length, 0);
+});
+
+test('tabs are made from the audiences in the content', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const tabs = [...document.querySelectorAll('.tab')];
+    assert.deepEqual(tabs.map(tab => tab.dataset.tab), ['resident', 'tenant', 'developer', 'full']);
+    assert.equal(tabs[1].textContent.trim(), "I'm a Tenant");
+    tabs.forEach(tab => {
+        const panel = document.getElementById(tab.getAttribute('aria-controls'));
+        assert.equal(panel.getAttribute('aria-labelledby'), tab.id);
+    });
+});
+
+test('switching tabs shows that perspective and its content', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('.tab[data-tab="developer"]').click();
+    
+    assert.equal(getSelectedTab(document), 'developer');
+    assert.equal(document.querySelectorAll('.tab[aria-selected="true"]').length, 1);
+    assert.equal(document.getElementById('developer-panel').hidden, false);
+    assert.equal(document.getElementById('resident-panel').hidden, true);
+    assert.ok(visible(document, shownFor('developer')).length > 0);
+    assert.equal(visible(document, shownFor('resident')).length, 0);
+    assert.equal(window.location.hash, '#developer');
+});
+
+test('the full process shows every audience\'s content together', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    window.switchTab('full');
+    
+    assert.equal(visible(document, '[data-show-for]').length, document.querySelectorAll('[data-show-for]').length);
+    assert.ok(visible(document, shownFor('tenant')).length > 0);
+    assert.equal(document.getElementById('openCompare').closest('[hidden]'), null);
+});
+
+test('content for several audiences shows in each of their views', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const shared = document.querySelector('[data-show-for="resident tenant"]');
+    const tenantOnly = document.querySelector('[data-show-for="tenant"]');
+    assert.equal(shared.hidden, false);
+    assert.equal(tenantOnly.hidden, true);
+    
+    window.switchTab('tenant');
+    assert.equal(shared.hidden, false);
+    assert.equal(tenantOnly.hidden, false);
+    assert.equal(visible(document, shownFor('developer')).length, 0);
+    
+    window.switchTab('developer');
+    assert.equal(shared.hidden, true);
+    assert.equal(tenantOnly.hidden, true);
+});
+
+test('relevant steps are labelled in views that highlight them', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const relevant = () => [...document.querySelectorAll('.timeline-item.is-relevant')].map(item => item.dataset.step);
+    const badges = () => visible(document, '.relevance-badge').map(badge => badge.textContent.trim());
+    
+    assert.deepEqual(relevant(), ['step1', 'step2', 'step4']);
+    assert.deepEqual(badges(), ['You can have your say', 'You can have your say', 'You can have your say']);
+    assert.equal(document.querySelectorAll('.timeline-item.is-less-relevant').length, 4);
+    document.querySelectorAll('.timeline-item').forEach(item => assert.equal(item.style.opacity, ''));
+    
+    window.switchTab('tenant');
+    assert.deepEqual(relevant(), ['step1', 'step2', 'step4', 'after']);
+    assert.equal(badges()[0], 'Important for tenants');
+    
+    // Every step matters to developers, so nothing is singled out
+    window.switchTab('developer');
+    assert.deepEqual(relevant(), []);
+    assert.deepEqual(badges(), []);
+    assert.equal(document.querySelectorAll('.timeline-item.is-less-relevant').length, 0);
+});
+
+test('switching tabs closes open detail panels', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('.btn-expand').click();
+    assert.equal(visible(document, '.detail-panel').length, 1);
+    
+    window.switchTab('developer');
+    
+    assert.equal(visible(document, '.detail-panel').length, 0);
+    assert.equal(document.querySelectorAll('.btn-expand[aria-expanded="true"]').length, 0);
+});
+
+test('arrow, Home and End keys move between tabs', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const residentTab = document.querySelector('.tab[data-tab="resident"]');
+    residentTab.focus();
+    
+    pressKey(window, 'ArrowRight');
+    assert.equal(getSelectedTab(document), 'tenant');
+    assert.equal(document.activeElement.dataset.tab, 'tenant');
+    
+    pressKey(window, 'End');
+    assert.equal(getSelectedTab(document), 'full');
+    
+    pressKey(window, 'ArrowRight');
+    assert.equal(getSelectedTab(document), 'resident');
+    
+    pressKey(window, 'ArrowLeft');
+    assert.equal(getSelectedTab(document), 'full');
+    
+    pressKey(window, 'Home');
+    assert.equal(getSelectedTab(document), 'resident');
+});
+
+test('a link to a tab opens the guide on it', async t => {
+    const window = await loadGuide({ hash: '#full' });
+    t.after(() => window.close());
+    
+    assert.equal(getSelectedTab(window.document), 'full');
+});
+
+test('a link with a malformed escape opens the guide as usual', async t => {
+    for (const hash of ['#developer%', '?q=%E0%A4%A', '?q=%E0%A4%A#developer%']) {
+        const window = await loadGuide({ hash });
+        t.after(() => window.close());
+        const { document } = window;
+        
+        assert.equal(getSelectedTab(document), 'resident', hash);
+        assert.equal(document.getElementById('resident-panel').hidden, false, hash);
+        assert.equal(document.getElementById('searchInput').value, '', hash);
+        
+        // Routing still started: switching tabs updates the address bar
+        document.querySelector('.tab[data-tab="developer"]').click();
+        assert.equal(window.location.hash, '#developer', hash);
+    }
+});
+
+test('following an in-page link keeps the tab and open step', async t => {
+    const window = await loadGuide({ hash: '#developer/step3' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    document.querySelector('.skip-link').click();
+    await wait(0);
+    
+    assert.equal(window.location.hash, '#timeline-title');
+    assert.equal(getSelectedTab(document), 'developer');
+    assert.equal(document.getElementById('detail-step3').hidden, false);
+    
+    // Back returns to the route, and still works as one
+    window.history.back();
+    await wait(20);
+    assert.equal(window.location.hash, '#developer/step3');
+    assert.equal(getSelectedTab(document), 'developer');
+    assert.equal(document.getElementById('detail-step3').hidden, false);
+});
+
+test('a pathway link with a malformed escape opens the tree at its start', async t => {
+    const window = await loadGuide({ hash: '#pathway/full-process%E0' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.getElementById('decisionTreeModal').hidden, false);
+    assert.equal(document.querySelector('#decisionTreeModal .active').dataset.node, 'odp');
+    assert.match(document.getElementById('toastStack').textContent, /link/i);
+});
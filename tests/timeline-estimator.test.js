@@ -0,0 +1,229 @@
+/**
+ * Unit tests for timeline-estimator.js
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getScenarioDuration,
+    hasEstimate,
+    parseIsoDate,
+    formatIsoDate,
+    addMonths,
+    addDuration,
+    estimateTimeline,
+    getTimelineFraction,
+    buildIcsCalendar,
+    escapeIcsText,
+    foldIcsLine,
+    formatIcsDateTime
+} = require('../timeline-estimator.js');
+
+const months = (min, max, likely) => ({ min, max, likely, unit: 'months' });
+
+test('parseIsoDate reads calendar dates as UTC midnight', () => {
+    assert.equal(parseIsoDate('2026-03-15').toISOString(), '2026-03-15T00:00:00.000Z');
+});
+
+test('parseIsoDate rejects malformed and impossible dates', () => {
+    assert.equal(parseIsoDate(''), null);
+    assert.equal(parseIsoDate('15/03/2026'), null);
+    assert.equal(parseIsoDate('2026-02-30'), null);
+    assert.equal(parseIsoDate('2026-13-01'), null);
+});
+
+test('getScenarioDuration uses min, max and likely', () => {
+    const duration = months(3, 12, 6);
+    assert.equal(getScenarioDuration(duration, 'optimistic'), 3);
+    assert.equal(getScenarioDuration(duration, 'likely'), 6);
+    assert.equal(getScenarioDuration(duration, 'pessimistic'), 12);
+});
+
+test('getScenarioDuration falls back to the midpoint when likely is not given', () => {
+    assert.equal(getScenarioDuration(months(3, 6), 'likely'), 4.5);
+    assert.throws(() => getScenarioDuration(months(3, 6), 'worst'), /Unknown estimate scenario/);
+});
+
+test('hasEstimate needs both min and max', () => {
+    assert.equal(hasEstimate(months(1, 3)), true);
+    assert.equal(hasEstimate({ label: 'Meeting Duration', text: 'Varies' }), false);
+    assert.equal(hasEstimate(undefined), false);
+});
+
+test('addMonths keeps the day of the month', () => {
+    assert.equal(formatIsoDate(addMonths(parseIsoDate('2026-01-15'), 3)), '2026-04-15');
+    assert.equal(formatIsoDate(addMonths(parseIsoDate('2026-11-15'), 3)), '2027-02-15');
+});
+
+test('addMonths clamps to the end of shorter months', () => {
+    assert.equal(formatIsoDate(addMonths(parseIsoDate('2026-01-31'), 1)), '2026-02-28');
+    assert.equal(formatIsoDate(addMonths(parseIsoDate('2028-01-31'), 1)), '2028-02-29');
+});
+
+test('addMonths adds a fraction of a month as days', () => {
+    // Half of a 30.44-day month rounds to 15 days
+    assert.equal(formatIsoDate(addMonths(parseIsoDate('2026-01-01'), 1.5)), '2026-02-16');
+});
+
+test('addDuration handles weeks and rejects unknown units', () => {
+    assert.equal(formatIsoDate(addDuration(parseIsoDate('2026-03-01'), 4, 'weeks')), '2026-03-29');
+    assert.throws(() => addDuration(parseIsoDate('2026-03-01'), 4, 'days'), /Unknown duration unit/);
+});
+
+test('addDuration is not affected by daylight saving changes', () => {
+    // Crosses the March and November clock changes in North America
+    assert.equal(formatIsoDate(addDuration(parseIsoDate('2026-03-01'), 2, 'weeks')), '2026-03-15');
+    assert.equal(formatIsoDate(addDuration(parseIsoDate('2026-10-25'), 2, 'weeks')), '2026-11-08');
+});
+
+test('estimateTimeline lays steps end to end for each scenario', () => {
+    const estimate = estimateTimeline([
+        { id: 'step1', title: 'Step 1', duration: months(1, 3) },
+        { id: 'step2', title: 'Step 2', duration: months(3, 6) }
+    ], '2026-01-01');
+    
+    const [step1, step2] = estimate.steps;
+    
+    assert.equal(formatIsoDate(step1.optimistic.start), '2026-01-01');
+    assert.equal(formatIsoDate(step1.optimistic.end), '2026-02-01');
+    assert.equal(formatIsoDate(step1.pessimistic.end), '2026-04-01');
+    
+    // Each step starts when the previous one ends in the same scenario
+    assert.equal(step2.optimistic.start, step1.optimistic.end);
+    assert.equal(step2.pessimistic.start, step1.pessimistic.end);
+    
+    assert.equal(formatIsoDate(estimate.end.optimistic), '2026-05-01');
+    assert.equal(formatIsoDate(estimate.end.likely), '2026-07-16');
+    assert.equal(formatIsoDate(estimate.end.pessimistic), '2026-10-01');
+});
+
+test('estimateTimeline keeps scenarios in order', () => {
+    const estimate = estimateTimeline([
+        { id: 'step1', title: 'Step 1', duration: months(1, 3) },
+        { id: 'step4', title: 'Step 4', duration: { min: 2, max: 8, likely: 5, unit: 'weeks' } },
+        { id: 'step5', title: 'Step 5', duration: months(3, 12) }
+    ], '2026-06-30');
+    
+    estimate.steps.forEach(step => {
+        assert.ok(step.optimistic.end <= step.likely.end, `${step.id}: optimistic before likely`);
+        assert.ok(step.likely.end <= step.pessimistic.end, `${step.id}: likely before pessimistic`);
+    });
+});
+
+test('estimateTimeline skips steps without a duration range', () => {
+    const estimate = estimateTimeline([
+        { id: 'step3', title: 'Step 3', duration: months(2, 4) },
+        { id: 'step4', title: 'Step 4', duration: { label: 'Meeting Duration', text: 'Varies' } },
+        { id: 'step5', title: 'Step 5', duration: months(3, 12) }
+    ], parseIsoDate('2026-01-01'));
+    
+    assert.deepEqual(estimate.steps.map(step => step.id), ['step3', 'step5']);
+    assert.deepEqual(estimate.untimedSteps, ['Step 4']);
+    assert.equal(estimate.steps[1].likely.start, estimate.steps[0].likely.end);
+});
+
+test('estimateTimeline rejects an invalid start date', () => {
+    assert.throws(() => estimateTimeline([], '2026-02-30'), /Invalid start date/);
+});
+
+test('getTimelineFraction places dates between the start and the pessimistic end', () => {
+    const estimate = estimateTimeline([
+        { id: 'step1', title: 'Step 1', duration: { min: 1, max: 4, unit: 'weeks' } }
+    ], '2026-01-01');
+    
+    assert.equal(getTimelineFraction(estimate, estimate.start), 0);
+    assert.equal(getTimelineFraction(estimate, estimate.end.pessimistic), 1);
+    assert.equal(getTimelineFraction(estimate, estimate.steps[0].optimistic.end), 0.25);
+    assert.equal(getTimelineFraction(estimate, parseIsoDate('2030-01-01')), 1);
+});
+
+test('getTimelineFraction is 0 for an empty timeline', () => {
+    const estimate = estimateTimeline([], '2026-01-01');
+    assert.equal(getTimelineFraction(estimate, parseIsoDate('2026-02-01')), 0);
+});
+
+const utf8Length = text => Buffer.byteLength(text, 'utf8');
+
+const sampleEvent = (overrides = {}) => Object.assign({
+    uid: 'step4-20270101@vancouver-rezoning-guide',
+    start: parseIsoDate('2027-01-01'),
+    end: parseIsoDate('2027-01-28'),
+    summary: 'Step 4: Council Decision',
+    description: 'Council considers the application'
+}, overrides);
+
+test('escapeIcsText escapes backslashes, separators and newlines', () => {
+    assert.equal(escapeIcsText('a\\b; c, d\ne\r\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+});
+
+test('foldIcsLine keeps short lines as they are', () => {
+    assert.equal(foldIcsLine('SUMMARY:Short'), 'SUMMARY:Short');
+});
+
+test('foldIcsLine folds at 75 octets with a leading space on continuation lines', () => {
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+    const parts = foldIcsLine(line).split('\r\n');
+    
+    assert.equal(utf8Length(parts[0]), 75);
+    parts.slice(1).forEach(part => {
+        assert.ok(part.startsWith(' '));
+        assert.ok(utf8Length(part) <= 75);
+    });
+    assert.equal(parts.map((part, index) => index === 0 ? part : part.slice(1)).join(''), line);
+});
+
+test('foldIcsLine never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const parts = foldIcsLine(line).split('\r\n');
+    
+    parts.forEach(part => assert.ok(utf8Length(part) <= 75));
+    assert.equal(parts.map((part, index) => index === 0 ? part : part.slice(1)).join(''), line);
+});
+
+test('formatIcsDateTime gives a UTC date-time without separators', () => {
+    assert.equal(formatIcsDateTime(new Date('2026-10-19T08:05:09.123Z')), '20261019T080509Z');
+});
+
+test('buildIcsCalendar wraps all-day events in a VCALENDAR with CRLF line endings', () => {
+    const ics = buildIcsCalendar([sampleEvent()], { name: 'My project', now: new Date('2026-10-19T12:00:00Z') });
+    const lines = ics.split('\r\n');
+    
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'every newline is part of a CRLF');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('VERSION:2.0'));
+    assert.ok(lines.some(line => line.startsWith('PRODID:')));
+    assert.ok(lines.includes('X-WR-CALNAME:My project'));
+    assert.ok(lines.includes('UID:step4-20270101@vancouver-rezoning-guide'));
+    assert.ok(lines.includes('DTSTAMP:20261019T120000Z'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20270101'));
+    assert.ok(lines.includes('SUMMARY:Step 4: Council Decision'));
+    assert.equal(lines[lines.length - 2], 'END:VCALENDAR');
+});
+
+test('buildIcsCalendar makes DTEND the day after the last day', () => {
+    const ics = buildIcsCalendar([sampleEvent({ end: parseIsoDate('2027-12-31') })]);
+    assert.ok(ics.includes('DTEND;VALUE=DATE:20280101'));
+});
+
+test('buildIcsCalendar adds an alarm only when reminderDays is given', () => {
+    const ics = buildIcsCalendar([
+        sampleEvent({ uid: 'a@test' }),
+        sampleEvent({ uid: 'b@test', reminderDays: 7 })
+    ]);
+    
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+    assert.equal(ics.match(/BEGIN:VALARM/g).length, 1);
+    assert.ok(ics.includes('TRIGGER:-P7D'));
+    assert.ok(ics.indexOf('UID:b@test') < ics.indexOf('BEGIN:VALARM'));
+});
+
+test('buildIcsCalendar escapes and folds long descriptions', () => {
+    const description = `Attend the hearing; bring notes, questions\n${'and more '.repeat(20)}`;
+    const ics = buildIcsCalendar([sampleEvent({ description })]);
+    const unfolded = ics.replace(/\r\n /g, '');
+    
+    assert.ok(unfolded.includes('DESCRIPTION:Attend the hearing\\; bring notes\\, questions\\nand more'));
+    ics.split('\r\n').forEach(line => assert.ok(utf8Length(line) <= 75));
+});
@@ -0,0 +1,77 @@
+/**
+ * Interface tests for the timeline detail panels (js/timeline.js)
+ * Run with: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadGuide } = require('./helpers/load-guide.js');
+
+const getButton = (document, step) => document.querySelector(`.btn-expand[aria-controls="detail-${step}"]`);
+
+test('every step has a collapsed detail panel', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const buttons = document.querySelectorAll('.btn-expand');
+    assert.ok(buttons.length > 0);
+    buttons.forEach(button => {
+        assert.equal(button.getAttribute('aria-expanded'), 'false');
+        assert.equal(document.getElementById(button.getAttribute('aria-controls')).hidden, true);
+    });
+});
+
+test('the expand button opens and closes its panel', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const button = getButton(document, 'step3');
+    const panel = document.getElementById('detail-step3');
+    
+    button.click();
+    assert.equal(panel.hidden, false);
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(window.location.hash, '#resident/step3');
+    
+    button.click();
+    assert.equal(panel.hidden, true);
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(window.location.hash, '');
+});
+
+test('several panels can be open at once', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    getButton(document, 'step1').click();
+    getButton(document, 'step2').click();
+    
+    assert.equal(document.getElementById('detail-step1').hidden, false);
+    assert.equal(document.getElementById('detail-step2').hidden, false);
+    assert.deepEqual([...window.eval('state.expandedPanels')], ['detail-step1', 'detail-step2']);
+});
+
+test('toggleDetailPanel keeps the button and state in step', async t => {
+    const window = await loadGuide();
+    t.after(() => window.close());
+    const { document } = window;
+    
+    const button = getButton(document, 'step4');
+    window.toggleDetailPanel('detail-step4', button);
+    
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.deepEqual([...window.eval('state.expandedPanels')], ['detail-step4']);
+});
+
+test('a link to a step opens its panel on that tab', async t => {
+    const window = await loadGuide({ hash: '#developer/step3' });
+    t.after(() => window.close());
+    const { document } = window;
+    
+    assert.equal(document.querySelector('.tab[aria-selected="true"]').dataset.tab, 'developer');
+    assert.equal(document.getElementById('detail-step3').hidden, false);
+    assert.equal(getButton(document, 'step3').getAttribute('aria-expanded'), 'true');
+});
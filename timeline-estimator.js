@@ -0,0 +1,253 @@
+/**
+ * Vancouver Rezoning Guide - Timeline Estimator
+ * Turns the step durations in data/content.json into calendar dates and iCalendar files.
+ * No DOM access here, so the date math can be unit tested in Node (see tests/).
+ */
+
+// ========================================
+// Scenarios
+// ========================================
+// optimistic uses each step's min, pessimistic its max, likely its likely value (or the midpoint)
+const ESTIMATE_SCENARIOS = ['optimistic', 'likely', 'pessimistic'];
+
+const DAYS_PER_MONTH = 30.44;
+
+function getScenarioDuration(duration, scenario) {
+    switch (scenario) {
+        case 'optimistic':
+            return duration.min;
+        case 'pessimistic':
+            return duration.max;
+        case 'likely':
+            return duration.likely !== undefined ? duration.likely : (duration.min + duration.max) / 2;
+        default:
+            throw new Error(`Unknown estimate scenario: ${scenario}`);
+    }
+}
+
+function hasEstimate(duration) {
+    return Boolean(duration) && typeof duration.min === 'number' && typeof duration.max === 'number';
+}
+
+// ========================================
+// Date Math (UTC, whole days)
+// ========================================
+
+// "2026-03-15" -> Date at UTC midnight, or null if it isn't a real calendar date
+function parseIsoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function formatIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + Math.round(days) * 86400000);
+}
+
+// Whole months keep the day of the month where possible (Jan 31 + 1 month = Feb 28/29);
+// any fraction of a month is added as days
+function addMonths(date, months) {
+    const whole = Math.trunc(months);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + whole;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const shifted = new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+    
+    return addDays(shifted, (months - whole) * DAYS_PER_MONTH);
+}
+
+function addDuration(date, amount, unit) {
+    switch (unit) {
+        case 'weeks':
+            return addDays(date, amount * 7);
+        case 'months':
+            return addMonths(date, amount);
+        default:
+            throw new Error(`Unknown duration unit: ${unit}`);
+    }
+}
+
+// ========================================
+// Estimate
+// ========================================
+
+/**
+ * Lay the steps end to end from startDate, once per scenario.
+ * steps: [{ id, title, duration: { min, max, likely?, unit } }]
+ * Steps without a min and max can't be dated; they're listed in untimedSteps and skipped.
+ */
+function estimateTimeline(steps, startDate) {
+    const start = startDate instanceof Date ? startDate : parseIsoDate(startDate);
+    if (!start) {
+        throw new Error(`Invalid start date: ${startDate}`);
+    }
+    
+    const cursor = {};
+    ESTIMATE_SCENARIOS.forEach(scenario => { cursor[scenario] = start; });
+    
+    const timed = steps.filter(step => hasEstimate(step.duration));
+    
+    const estimatedSteps = timed.map(step => {
+        const estimate = { id: step.id, title: step.title };
+        
+        ESTIMATE_SCENARIOS.forEach(scenario => {
+            const from = cursor[scenario];
+            const to = addDuration(from, getScenarioDuration(step.duration, scenario), step.duration.unit);
+            estimate[scenario] = { start: from, end: to };
+            cursor[scenario] = to;
+        });
+        
+        return estimate;
+    });
+    
+    return {
+        start,
+        steps: estimatedSteps,
+        end: Object.assign({}, cursor),
+        untimedSteps: steps.filter(step => !timed.includes(step)).map(step => step.title)
+    };
+}
+
+// Position of a date between the estimate's start and its pessimistic end, from 0 to 1, for drawing bars
+function getTimelineFraction(estimate, date) {
+    const span = estimate.end.pessimistic.getTime() - estimate.start.getTime();
+    if (span <= 0) return 0;
+    
+    return Math.min(1, Math.max(0, (date.getTime() - estimate.start.getTime()) / span));
+}
+
+// ========================================
+// iCalendar Export (RFC 5545)
+// ========================================
+const ICS_PRODUCT_ID = '-//City of Vancouver//Rezoning Guide//EN';
+const ICS_MAX_LINE_OCTETS = 75;
+
+/**
+ * Build a .ics file with one all-day event per entry.
+ * events: [{ uid, start, end, summary, description, reminderDays?, reminderDescription? }]
+ * end is the last day of the event; reminderDays adds an alarm that many days before it starts.
+ */
+function buildIcsCalendar(events, { name = 'Rezoning schedule', now = new Date() } = {}) {
+    const stamp = formatIcsDateTime(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`
+    ];
+    
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`,
+            // DTEND is exclusive for all-day events, so it's the day after the last day
+            `DTEND;VALUE=DATE:${formatIcsDate(addDays(event.end, 1))}`,
+            `SUMMARY:${escapeIcsText(event.summary)}`
+        );
+        
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        }
+        
+        lines.push('TRANSP:TRANSPARENT');
+        
+        if (event.reminderDays) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:-P${event.reminderDays}D`,
+                `DESCRIPTION:${escapeIcsText(event.reminderDescription || `Reminder: ${event.summary}`)}`,
+                'END:VALARM'
+            );
+        }
+        
+        lines.push('END:VEVENT');
+    });
+    
+    lines.push('END:VCALENDAR');
+    
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting a character
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    
+    for (const char of line) {
+        const size = getUtf8Length(char);
+        const limit = parts.length === 0 ? ICS_MAX_LINE_OCTETS : ICS_MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    
+    return parts.join('\r\n ');
+}
+
+function getUtf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+}
+
+// 20260315
+function formatIcsDate(date) {
+    return formatIsoDate(date).replace(/-/g, '');
+}
+
+// 20260315T091500Z
+function formatIcsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ========================================
+// Export functions for testing
+// ========================================
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ESTIMATE_SCENARIOS,
+        getScenarioDuration,
+        hasEstimate,
+        parseIsoDate,
+        formatIsoDate,
+        addDays,
+        addMonths,
+        addDuration,
+        estimateTimeline,
+        getTimelineFraction,
+        buildIcsCalendar,
+        escapeIcsText,
+        foldIcsLine,
+        formatIcsDate,
+        formatIcsDateTime
+    };
+}